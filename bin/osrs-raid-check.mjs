@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+// bin/osrs-raid-check.mjs
+// Command-line raid checker. Looks a player up on the hiscores (or reads a
+// saved profile or hiscores text file) and prints which raids they have
+// unlocked and what every locked raid is missing, using the same lib/
+// modules as the page.
+//
+// Exit codes are meant for scripts:
+//
+//   0  the check ran (and, with --raid, that raid is unlocked)
+//   1  --raid was given and that raid is locked
+//   2  bad arguments, or a profile or hiscores file that can't be read
+//   3  the hiscores lookup failed or the app data is invalid
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+
+import {
+  GAME_MODES,
+  HISCORE_ERRORS,
+  isValidUsername,
+  getHiscoresUrl,
+  parseHiscores
+} from '../lib/hiscores.mjs';
+import { checkItemData, checkRaidData } from '../lib/app-data.mjs';
+import { readServerConfig } from '../server/config.js';
+import { fetchTextWithRetry } from '../server/upstream.js';
+import {
+  playerFromHiscores,
+  normalizePlayer,
+  evaluateEligibility,
+  summarizeEligibility
+} from '../lib/eligibility.mjs';
+import { importProfile } from '../lib/profiles.mjs';
+
+const EXIT_OK = 0;
+const EXIT_LOCKED = 1;
+const EXIT_USAGE = 2;
+const EXIT_FAILURE = 3;
+
+const USAGE = `Usage: osrs-raid-check [<username>] [options]
+
+Options:
+  --profile <file>   Read levels, quests, gear and kill counts from a JSON
+                     profile exported from the page
+  --hiscores <file>  Read hiscores from a saved index_lite.ws text file
+                     instead of fetching them, e.g. to run offline
+  --mode <mode>      Game mode or account type: ${Object.keys(GAME_MODES).join(', ')}
+                     (default: the profile's mode, or main)
+  --raid <name>      Exit with code 1 unless this raid is unlocked
+  --json             Print the result as JSON
+  -h, --help         Show this help
+
+Levels and kill counts from the hiscores take precedence over the profile;
+quests and gear always come from the profile.`;
+
+/**
+ * An error that should end the program with a particular exit code.
+ */
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Read and parse a JSON file from the data directory.
+ *
+ * @param {string} name - File name inside data/.
+ * @returns {Object} The parsed document.
+ */
+function readDataFile(name) {
+  return JSON.parse(readFileSync(new URL(`../data/${name}`, import.meta.url), 'utf8'));
+}
+
+/**
+ * Read a file given on the command line, turning failures into usage errors.
+ *
+ * @param {string} path - The file path.
+ * @param {string} what - Description for error messages.
+ * @returns {string} The file contents.
+ */
+function readInputFile(path, what) {
+  try {
+    return readFileSync(path, 'utf8');
+  } catch (err) {
+    throw new CliError(`Could not read ${what} ${path}: ${err.message}`, EXIT_USAGE);
+  }
+}
+
+/**
+ * Fetch a player's hiscores text from Jagex with the server's time limit,
+ * retries and backoff, so a stalled connection can't hang a script. The
+ * HISCORE_TIMEOUT, HISCORE_RETRIES and HISCORE_RETRY_DELAY variables apply
+ * here too.
+ *
+ * @param {string} username - The player's display name.
+ * @param {string} mode - A key of GAME_MODES.
+ * @returns {Promise<string>} The index_lite.ws response body.
+ */
+async function fetchHiscores(username, mode) {
+  let upstream;
+  try {
+    ({ upstream } = readServerConfig());
+  } catch (err) {
+    throw new CliError(err.message, EXIT_USAGE);
+  }
+  try {
+    return await fetchTextWithRetry(getHiscoresUrl(username, mode), { fetch, ...upstream });
+  } catch (err) {
+    throw new CliError(HISCORE_ERRORS[err.code].message, EXIT_FAILURE);
+  }
+}
+
+/**
+ * Build the player object from the command-line options.
+ *
+ * @param {Object} values - Parsed options.
+ * @param {string} [username] - The positional username, if any.
+ * @returns {Promise<Object>} A player object.
+ */
+async function loadPlayer(values, username) {
+  let player = normalizePlayer({});
+  if (values.profile) {
+    try {
+      player = importProfile(JSON.parse(readInputFile(values.profile, 'profile')), 'profile').profile;
+    } catch (err) {
+      if (err instanceof CliError) throw err;
+      throw new CliError(`Invalid profile ${values.profile}: ${err.message}`, EXIT_USAGE);
+    }
+  }
+
+  if (values.mode) {
+    player.mode = values.mode;
+  }
+
+  let text = null;
+  if (values.hiscores) {
+    text = readInputFile(values.hiscores, 'hiscores file');
+  } else if (username) {
+    text = await fetchHiscores(username, player.mode);
+  }
+  if (text === null) return player;
+
+  let hiscores;
+  try {
+    hiscores = parseHiscores(text);
+  } catch (err) {
+    const exitCode = values.hiscores ? EXIT_USAGE : EXIT_FAILURE;
+    throw new CliError(`Could not parse hiscores: ${err.message}`, exitCode);
+  }
+  const fetched = playerFromHiscores(hiscores, player.mode);
+  return {
+    ...player,
+    ...fetched,
+    quests: player.quests,
+    gear: player.gear,
+    killCounts: { ...player.killCounts, ...fetched.killCounts }
+  };
+}
+
+/**
+ * Format the summary as a plain text table: one row per raid, with every
+ * missing requirement of a locked raid on its own line.
+ *
+ * @param {Object} summary - Result of summarizeEligibility().
+ * @returns {string} The table.
+ */
+function formatTable(summary) {
+  const rows = [
+    ...summary.unlocked.map((name) => [name, 'unlocked', '']),
+    ...summary.locked.flatMap(({ name, missing }) =>
+      missing.map((reason, i) => (i === 0 ? [name, 'locked', reason] : ['', '', reason]))
+    )
+  ];
+  const header = ['Raid', 'Status', 'Missing'];
+  const widths = [0, 1].map((col) => Math.max(header[col].length, ...rows.map((row) => row[col].length)));
+  return [header, ...rows]
+    .map((row) => `${row[0].padEnd(widths[0])}  ${row[1].padEnd(widths[1])}  ${row[2]}`.trimEnd())
+    .join('\n');
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        profile: { type: 'string' },
+        hiscores: { type: 'string' },
+        mode: { type: 'string' },
+        raid: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (err) {
+    throw new CliError(`${err.message}\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+  if (positionals.length > 1) {
+    throw new CliError(`Expected one username, got ${positionals.length}\n\n${USAGE}`, EXIT_USAGE);
+  }
+  const [username] = positionals;
+  if (!username && !values.profile && !values.hiscores) {
+    throw new CliError(USAGE, EXIT_USAGE);
+  }
+  if (username && !isValidUsername(username)) {
+    throw new CliError(HISCORE_ERRORS['invalid-name'].message, EXIT_USAGE);
+  }
+  if (values.mode && !Object.prototype.hasOwnProperty.call(GAME_MODES, values.mode)) {
+    throw new CliError(HISCORE_ERRORS['invalid-mode'].message, EXIT_USAGE);
+  }
+
+  let items;
+  let raids;
+  try {
+    items = checkItemData(readDataFile('items.json'));
+    raids = checkRaidData(readDataFile('raids.json'), items);
+  } catch (err) {
+    throw new CliError(err.message, EXIT_FAILURE);
+  }
+
+  let target = null;
+  if (values.raid) {
+    const wanted = values.raid.toLowerCase();
+    target = raids.find((raid) => raid.name.toLowerCase() === wanted || (raid.activity || '').toLowerCase() === wanted);
+    if (!target) {
+      throw new CliError(`Unknown raid "${values.raid}". Known raids: ${raids.map((raid) => raid.name).join(', ')}`, EXIT_USAGE);
+    }
+  }
+
+  const player = await loadPlayer(values, username);
+  const summary = summarizeEligibility(evaluateEligibility(raids, player, { items }));
+  if (values.json) {
+    const result = { mode: player.mode, ...summary };
+    console.log(JSON.stringify(username ? { player: username, ...result } : result, null, 2));
+  } else {
+    console.log(formatTable(summary));
+  }
+  return target && !summary.unlocked.includes(target.name) ? EXIT_LOCKED : EXIT_OK;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(err instanceof CliError ? err.message : err);
+    process.exitCode = err instanceof CliError ? err.exitCode : EXIT_FAILURE;
+  }
+);
@@ -0,0 +1,63 @@
+// lib/app-data.mjs
+// Checks for the two data files, data/items.json and data/raids.json,
+// against everything else the app knows about: skill and quest names from
+// lib/hiscores.mjs and lib/quests.mjs, and the items and tags the raids'
+// gear rules refer to. The page fetches the files and Node reads them from
+// disk, but both hand the parsed JSON to these functions so a bad edit is
+// caught the same way everywhere.
+
+import { HISCORE_SKILLS, HISCORE_ACTIVITIES, GAME_MODES } from './hiscores.mjs';
+import { QUESTS } from './quests.mjs';
+import { BONUS_KEYS, ITEM_SLOTS, validateItemData, getItemTags } from './items.mjs';
+import { LOADOUT_STYLES } from './loadouts.mjs';
+import { RAID_CATEGORIES } from './catalogue.mjs';
+import { validateRaidData } from './raid-data.mjs';
+
+// Stat names a requirement may use. `overall` is a hiscores row, not a stat.
+const DATA_SKILLS = HISCORE_SKILLS.filter((skill) => skill !== 'overall');
+
+/**
+ * Validate a parsed items.json document.
+ *
+ * @param {Object} data - The parsed JSON document.
+ * @returns {Object} The item map keyed by item id.
+ * @throws {Error} Listing every problem if the data is invalid.
+ */
+export function checkItemData(data) {
+  const errors = validateItemData(data, {
+    skills: DATA_SKILLS,
+    quests: QUESTS.map((quest) => quest.name)
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid item data:\n${errors.join('\n')}`);
+  }
+  return data.items;
+}
+
+/**
+ * Validate a parsed raids.json document. Gear rules are checked against
+ * the given item map, so validate the item data first.
+ *
+ * @param {Object} data - The parsed JSON document.
+ * @param {Object} items - The item map returned by checkItemData().
+ * @returns {Array} The raid definitions.
+ * @throws {Error} Listing every problem if the data is invalid.
+ */
+export function checkRaidData(data, items) {
+  const errors = validateRaidData(data, {
+    skills: DATA_SKILLS,
+    quests: QUESTS.map((quest) => quest.name),
+    activities: HISCORE_ACTIVITIES,
+    items: Object.keys(items),
+    tags: getItemTags(items),
+    slots: [...ITEM_SLOTS, 'other'],
+    bonuses: BONUS_KEYS,
+    modes: Object.keys(GAME_MODES),
+    styles: Object.keys(LOADOUT_STYLES),
+    categories: Object.keys(RAID_CATEGORIES)
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid raid data:\n${errors.join('\n')}`);
+  }
+  return data.raids;
+}
@@ -0,0 +1,135 @@
+// lib/catalogue.mjs
+// The content catalogue: what kind of encounter each entry of
+// data/raids.json is, the combat styles it's done with and how many
+// players it takes, plus the filters and sort orders the results offer
+// over them. Every entry carries:
+//
+//   category: 'boss',                   // a key of RAID_CATEGORIES
+//   styles: ['ranged', 'magic'],        // keys of LOADOUT_STYLES
+//   groupSize: { min: 1, max: 5 }       // no `max` means no upper limit
+
+import { LOADOUT_STYLES } from './loadouts.mjs';
+
+// Kinds of content, in the order the results list them.
+export const RAID_CATEGORIES = {
+  raid: 'Raids',
+  boss: 'Bosses',
+  slayer: 'Slayer bosses',
+  minigame: 'Minigames'
+};
+
+// Group size filters: content that can be done alone, or with others.
+export const GROUP_FILTERS = {
+  solo: 'Solo',
+  group: 'Group'
+};
+
+// Ways the results can be sorted. `category` keeps the order of the data
+// file within each category.
+export const RAID_SORTS = {
+  category: 'Category',
+  name: 'Name',
+  readiness: 'Closest to ready',
+  groupSize: 'Group size'
+};
+
+/**
+ * Describe a group size for showing to the player.
+ *
+ * @param {{min: number, max: number}} groupSize - An entry's `groupSize`.
+ * @returns {string} e.g. "Solo", "1–5 players", "2+ players".
+ */
+export function formatGroupSize({ min, max }) {
+  if (max === 1) return 'Solo';
+  if (typeof max === 'undefined') return `${min}+ players`;
+  return min === max ? `${min} players` : `${min}–${max} players`;
+}
+
+/**
+ * Describe an entry's combat styles, e.g. "Ranged, Mage".
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @returns {string} The style names from LOADOUT_STYLES.
+ */
+export function formatStyles(raid) {
+  return raid.styles.map((style) => LOADOUT_STYLES[style] || style).join(', ');
+}
+
+/**
+ * Keep the entries that match the chosen filters. An empty or missing
+ * filter matches everything.
+ *
+ * @param {Array} raids - Raid definitions from data/raids.json.
+ * @param {Object} [filters={}]
+ * @param {string} [filters.category] - A key of RAID_CATEGORIES.
+ * @param {string} [filters.style] - A key of LOADOUT_STYLES.
+ * @param {string} [filters.group] - A key of GROUP_FILTERS.
+ * @returns {Array} The matching raids, in their original order.
+ */
+export function filterRaids(raids, { category, style, group } = {}) {
+  return raids.filter((raid) => {
+    if (category && raid.category !== category) return false;
+    if (style && !raid.styles.includes(style)) return false;
+    if (group === 'solo' && raid.groupSize.min > 1) return false;
+    if (group === 'group' && raid.groupSize.max === 1) return false;
+    return true;
+  });
+}
+
+/**
+ * How far a player is from an entry: unlocked entries come first, the
+ * highest readiness tier first; locked ones by how many requirements they
+ * still miss.
+ *
+ * @param {Object} evaluation - Result of evaluateTiers().
+ * @returns {number} Lower is closer to ready.
+ */
+function readinessRank(evaluation) {
+  if (!evaluation.entry.passed) return evaluation.entry.missing.length;
+  const reached = evaluation.tiers.findIndex((tier) => tier.name === evaluation.reached);
+  return -1 - reached;
+}
+
+/**
+ * Sort evaluated entries. Ties keep the order of the data file.
+ *
+ * @param {Array<{raid: Object, evaluation: Object}>} entries - Raids with
+ *   their evaluateTiers() result.
+ * @param {string} [sort='category'] - A key of RAID_SORTS.
+ * @returns {Array} The sorted entries; `entries` itself isn't changed.
+ */
+export function sortRaids(entries, sort = 'category') {
+  const categories = Object.keys(RAID_CATEGORIES);
+  const compare = {
+    category: (a, b) => categories.indexOf(a.raid.category) - categories.indexOf(b.raid.category),
+    name: (a, b) => a.raid.name.localeCompare(b.raid.name),
+    readiness: (a, b) => readinessRank(a.evaluation) - readinessRank(b.evaluation),
+    groupSize: (a, b) =>
+      a.raid.groupSize.min - b.raid.groupSize.min ||
+      (a.raid.groupSize.max ?? Infinity) - (b.raid.groupSize.max ?? Infinity)
+  }[sort];
+  if (!compare) {
+    throw new Error(`sort must be one of ${Object.keys(RAID_SORTS).join(', ')}`);
+  }
+  return [...entries].sort(compare);
+}
+
+/**
+ * Split sorted entries into runs of the same category, for headings.
+ *
+ * @param {Array<{raid: Object}>} entries - Entries sorted by category.
+ * @returns {Array<{category: string, label: string, entries: Array}>} One
+ *   group per run, labelled from RAID_CATEGORIES.
+ */
+export function groupByCategory(entries) {
+  const groups = [];
+  entries.forEach((entry) => {
+    const last = groups[groups.length - 1];
+    if (last && last.category === entry.raid.category) {
+      last.entries.push(entry);
+    } else {
+      groups.push({ category: entry.raid.category, label: RAID_CATEGORIES[entry.raid.category], entries: [entry] });
+    }
+  });
+  return groups;
+}
@@ -0,0 +1,324 @@
+// lib/combat.mjs
+// A max hit, accuracy and DPS calculator following the standard OSRS
+// formulas: effective levels from boosted stats, prayers and attack
+// styles, an attack roll against the target's defence roll, and expected
+// damage per second from the hit chance, max hit and weapon speed.
+//
+// Set effects and special bonuses that depend on the target (Void,
+// Obsidian, Salve amulets against undead, dragonbane and demonbane
+// weapons) are applied as multipliers. Weapon-specific mechanics such as
+// the Twisted bow's scaling or multi-hit weapons are not modelled, so
+// treat the result as a guide for comparing setups rather than an exact
+// figure.
+
+import { getItem, sumEquipmentBonuses } from './items.mjs';
+
+// Offensive prayers. A prayer only helps the combat type it belongs to.
+export const PRAYERS = {
+  none: { label: 'None', type: null, attack: 1, strength: 1 },
+  piety: { label: 'Piety', type: 'melee', attack: 1.2, strength: 1.23 },
+  chivalry: { label: 'Chivalry', type: 'melee', attack: 1.15, strength: 1.18 },
+  incredibleReflexes: {
+    label: 'Incredible Reflexes + Ultimate Strength',
+    type: 'melee',
+    attack: 1.15,
+    strength: 1.15
+  },
+  rigour: { label: 'Rigour', type: 'ranged', attack: 1.2, strength: 1.23 },
+  eagleEye: { label: 'Eagle Eye', type: 'ranged', attack: 1.15, strength: 1.15 },
+  augury: { label: 'Augury', type: 'magic', attack: 1.25, strength: 1 },
+  mysticMight: { label: 'Mystic Might', type: 'magic', attack: 1.15, strength: 1 }
+};
+
+// Stat-boosting potions. Each boost is [flat, fraction of the level].
+export const POTIONS = {
+  none: { label: 'None', boosts: {} },
+  superCombat: {
+    label: 'Super combat potion',
+    boosts: { attack: [5, 0.15], strength: [5, 0.15], defence: [5, 0.15] }
+  },
+  ranging: { label: 'Ranging potion', boosts: { ranged: [4, 0.1] } },
+  magic: { label: 'Magic potion', boosts: { magic: [4, 0] } },
+  imbuedHeart: { label: 'Imbued heart', boosts: { magic: [1, 0.1] } },
+  overload: {
+    label: 'Overload (+)',
+    boosts: {
+      attack: [6, 0.16],
+      strength: [6, 0.16],
+      defence: [6, 0.16],
+      ranged: [6, 0.16],
+      magic: [6, 0.16]
+    }
+  },
+  smellingSalts: {
+    label: 'Smelling salts',
+    boosts: {
+      attack: [11, 0.16],
+      strength: [11, 0.16],
+      defence: [11, 0.16],
+      ranged: [11, 0.16],
+      magic: [11, 0.16]
+    }
+  }
+};
+
+// Invisible level bonuses from the selected attack style, per combat type.
+// Rapid shortens the attack delay instead of adding levels.
+export const STANCES = {
+  accurate: { label: 'Accurate', melee: { attack: 3 }, ranged: { attack: 3, strength: 3 } },
+  aggressive: { label: 'Aggressive', melee: { strength: 3 } },
+  controlled: { label: 'Controlled', melee: { attack: 1, strength: 1 } },
+  defensive: { label: 'Defensive' },
+  rapid: { label: 'Rapid', ranged: { speed: -1 } },
+  longrange: { label: 'Longrange' }
+};
+
+// Combat spells for magic weapons that aren't powered staves.
+export const SPELLS = {
+  fireSurge: { label: 'Fire Surge', maxHit: 24 },
+  fireWave: { label: 'Fire Wave', maxHit: 20 },
+  fireBlast: { label: 'Fire Blast', maxHit: 16 },
+  iceBlitz: { label: 'Ice Blitz', maxHit: 26 },
+  bloodBarrage: { label: 'Blood Barrage', maxHit: 29 },
+  iceBarrage: { label: 'Ice Barrage', maxHit: 30 }
+};
+
+/**
+ * Apply a potion boost to a level.
+ *
+ * @param {number} level - The base level.
+ * @param {number[]|undefined} boost - `[flat, fraction]`, or undefined.
+ * @returns {number} The boosted level.
+ */
+function boostLevel(level, boost) {
+  if (!boost) return level;
+  return level + Math.floor(boost[0] + level * boost[1]);
+}
+
+/**
+ * Work out whether a weapon attacks with melee, ranged or magic.
+ * Unarmed counts as melee. The `mage` and `ranged` tags decide first; an
+ * untagged weapon is judged by its powered staff or ammunition details,
+ * then by whichever attack bonus is highest.
+ *
+ * @param {Object|null} weapon - The item in the weapon slot.
+ * @returns {string} 'melee', 'ranged' or 'magic'.
+ */
+export function getCombatType(weapon) {
+  if (!weapon) return 'melee';
+  if (weapon.tags.includes('mage')) return 'magic';
+  if (weapon.tags.includes('ranged')) return 'ranged';
+  if (weapon.poweredStaff) return 'magic';
+  if (weapon.ammo) return 'ranged';
+  const [stab, slash, crush, magic, ranged] = weapon.bonuses;
+  const melee = Math.max(stab, slash, crush);
+  if (ranged > 0 && ranged > melee && ranged >= magic) return 'ranged';
+  if (magic > 0 && magic > melee) return 'magic';
+  return 'melee';
+}
+
+/**
+ * Pick the melee attack type a weapon is best at, based on its stab,
+ * slash and crush attack bonuses. Unarmed attacks crush.
+ *
+ * @param {Object|null} weapon - The item in the weapon slot.
+ * @returns {string} 'stab', 'slash' or 'crush'.
+ */
+function getMeleeAttackType(weapon) {
+  if (!weapon) return 'crush';
+  const [stab, slash, crush] = weapon.bonuses;
+  if (stab >= slash && stab >= crush) return 'stab';
+  return slash >= crush ? 'slash' : 'crush';
+}
+
+/**
+ * Detect set effects from the worn gear.
+ *
+ * @param {Object} gear - Selected item ids keyed by slot.
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {{void: string|null, eliteVoid: boolean, obsidian: boolean}}
+ *   The Void style ('melee', 'ranged' or 'magic') if a full set is worn,
+ *   whether it is elite, and whether the Obsidian set bonus applies.
+ */
+export function getSetEffects(gear, itemDb) {
+  const worn = (slot) => getItem(itemDb, (gear || {})[slot]);
+  const hasTag = (slot, tag) => Boolean(worn(slot) && worn(slot).tags.includes(tag));
+
+  let voidStyle = null;
+  if (['head', 'body', 'legs', 'hands'].every((slot) => hasTag(slot, 'void'))) {
+    const helm = worn('head');
+    voidStyle = ['melee', 'ranged', 'mage'].find((style) => helm.tags.includes(style)) || null;
+    if (voidStyle === 'mage') voidStyle = 'magic';
+  }
+  return {
+    void: voidStyle,
+    eliteVoid: Boolean(voidStyle) && hasTag('body', 'elite void') && hasTag('legs', 'elite void'),
+    obsidian: ['head', 'body', 'legs'].every((slot) => hasTag(slot, 'obsidian')) && hasTag('weapon', 'tzhaar')
+  };
+}
+
+/**
+ * Collect the accuracy and damage multipliers that apply to this attack.
+ *
+ * @param {string} combatType - 'melee', 'ranged' or 'magic'.
+ * @param {Object} gear - Selected item ids keyed by slot.
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @param {string[]} attributes - Target attributes such as 'undead'.
+ * @returns {{accuracy: number[], damage: number[]}} Multipliers, applied in order.
+ */
+function getGearMultipliers(combatType, gear, itemDb, attributes) {
+  const accuracy = [];
+  const damage = [];
+  const neck = getItem(itemDb, (gear || {}).neck);
+  const weapon = getItem(itemDb, (gear || {}).weapon);
+  const neckTags = neck ? neck.tags : [];
+  const weaponTags = weapon ? weapon.tags : [];
+
+  // Salve amulets against undead; only imbued ones help ranged and magic.
+  if (attributes.includes('undead') && neckTags.includes('salve') &&
+      (combatType === 'melee' || neckTags.includes('salve imbued'))) {
+    const bonus = neckTags.includes('salve enhanced') ? 1.2 : 7 / 6;
+    accuracy.push(bonus);
+    damage.push(bonus);
+  }
+  if (attributes.includes('dragon') && weaponTags.includes('dragonbane')) {
+    accuracy.push(combatType === 'ranged' ? 1.3 : 1.2);
+    damage.push(combatType === 'ranged' ? 1.25 : 1.2);
+  }
+  if (attributes.includes('demon') && weaponTags.includes('demonbane')) {
+    accuracy.push(1.7);
+    damage.push(1.7);
+  }
+  if (combatType === 'melee' && getSetEffects(gear, itemDb).obsidian) {
+    accuracy.push(1.1);
+    damage.push(1.1);
+  }
+  return { accuracy, damage };
+}
+
+/**
+ * Apply multipliers one after another, rounding down after each, as the
+ * game does.
+ *
+ * @param {number} value - The starting value.
+ * @param {number[]} multipliers - Multipliers to apply.
+ * @returns {number} The result.
+ */
+function applyMultipliers(value, multipliers) {
+  return multipliers.reduce((total, factor) => Math.floor(total * factor), value);
+}
+
+/**
+ * Chance that an attack roll beats a defence roll.
+ *
+ * @param {number} attackRoll - The attacker's maximum attack roll.
+ * @param {number} defenceRoll - The target's maximum defence roll.
+ * @returns {number} Hit chance from 0 to 1.
+ */
+export function getHitChance(attackRoll, defenceRoll) {
+  if (attackRoll > defenceRoll) {
+    return 1 - (defenceRoll + 2) / (2 * (attackRoll + 1));
+  }
+  return attackRoll / (2 * (defenceRoll + 1));
+}
+
+/**
+ * Calculate effective levels, max hit, accuracy and DPS for the selected
+ * gear against a target.
+ *
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @param {Object} target - A raid's `target` from data/raids.json:
+ *   `{ name, defence, magic, defenceBonuses: { stab, slash, crush, magic,
+ *   ranged }, attributes }`.
+ * @param {Object} [options={}] - Combat settings.
+ * @param {string} [options.stance='accurate'] - Key of STANCES.
+ * @param {string} [options.prayer='none'] - Key of PRAYERS.
+ * @param {string} [options.potion='none'] - Key of POTIONS.
+ * @param {string} [options.spell='fireSurge'] - Key of SPELLS, used when
+ *   the weapon isn't a powered staff.
+ * @returns {Object} `{ combatType, attackType, effectiveAttack,
+ *   effectiveStrength, maxHit, attackRoll, defenceRoll, accuracy, speed,
+ *   dps }`. effectiveStrength is null for magic.
+ */
+export function calculateDps(player, itemDb, target, options = {}) {
+  const gear = player.gear || {};
+  const weapon = getItem(itemDb, gear.weapon);
+  const combatType = getCombatType(weapon);
+  const bonuses = sumEquipmentBonuses(gear, itemDb);
+  const sets = getSetEffects(gear, itemDb);
+  const prayerData = PRAYERS[options.prayer] || PRAYERS.none;
+  const prayer = prayerData.type === combatType ? prayerData : PRAYERS.none;
+  const boosts = (POTIONS[options.potion] || POTIONS.none).boosts;
+  const stance = (STANCES[options.stance || 'accurate'] || {})[combatType] || {};
+  const defenceBonuses = target.defenceBonuses || {};
+  const multipliers = getGearMultipliers(combatType, gear, itemDb, target.attributes || []);
+  let speed = weapon && weapon.speed ? weapon.speed : 4;
+
+  let attackType;
+  let effectiveAttack;
+  let effectiveStrength = null;
+  let attackBonus;
+  let maxHit;
+  let defenceRoll;
+
+  if (combatType === 'magic') {
+    attackType = 'magic';
+    const magic = boostLevel(player.magic || 1, boosts.magic);
+    effectiveAttack = Math.floor(magic * prayer.attack) + 9;
+    if (sets.void === 'magic') effectiveAttack = Math.floor(effectiveAttack * 1.45);
+    attackBonus = bonuses.magicAttack;
+
+    let baseHit;
+    if (weapon && weapon.poweredStaff) {
+      baseHit = Math.floor(magic / 3) + weapon.poweredStaff.offset;
+    } else {
+      baseHit = (SPELLS[options.spell] || SPELLS.fireSurge).maxHit;
+      speed = 5;
+    }
+    const damageBonus = bonuses.magicDamage + (sets.eliteVoid && sets.void === 'magic' ? 2.5 : 0);
+    maxHit = Math.floor(baseHit * (1 + damageBonus / 100));
+    defenceRoll = ((target.magic || 1) + 9) * ((defenceBonuses.magic || 0) + 64);
+  } else {
+    const isRanged = combatType === 'ranged';
+    attackType = isRanged ? 'ranged' : getMeleeAttackType(weapon);
+    const attackLevel = isRanged
+      ? boostLevel(player.ranged || 1, boosts.ranged)
+      : boostLevel(player.attack || 1, boosts.attack);
+    const strengthLevel = isRanged
+      ? attackLevel
+      : boostLevel(player.strength || 1, boosts.strength);
+
+    effectiveAttack = Math.floor(attackLevel * prayer.attack) + (stance.attack || 0) + 8;
+    effectiveStrength = Math.floor(strengthLevel * prayer.strength) + (stance.strength || 0) + 8;
+    if (sets.void === combatType) {
+      effectiveAttack = Math.floor(effectiveAttack * 1.1);
+      effectiveStrength = Math.floor(effectiveStrength * (isRanged && sets.eliteVoid ? 1.125 : 1.1));
+    }
+
+    attackBonus = isRanged ? bonuses.rangedAttack : bonuses[`${attackType}Attack`];
+    const strengthBonus = isRanged ? bonuses.rangedStrength : bonuses.meleeStrength;
+    maxHit = Math.floor((effectiveStrength * (strengthBonus + 64) + 320) / 640);
+    speed += stance.speed || 0;
+    defenceRoll = ((target.defence || 1) + 9) * ((defenceBonuses[attackType] || 0) + 64);
+  }
+
+  maxHit = applyMultipliers(maxHit, multipliers.damage);
+  const attackRoll = applyMultipliers(effectiveAttack * (attackBonus + 64), multipliers.accuracy);
+  const accuracy = getHitChance(attackRoll, defenceRoll);
+  // Each hit rolls uniformly from 0 to the max hit; a game tick is 0.6s.
+  const dps = (accuracy * (maxHit / 2)) / (speed * 0.6);
+
+  return {
+    combatType,
+    attackType,
+    effectiveAttack,
+    effectiveStrength,
+    maxHit,
+    attackRoll,
+    defenceRoll,
+    accuracy,
+    speed,
+    dps
+  };
+}
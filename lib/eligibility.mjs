@@ -0,0 +1,183 @@
+// lib/eligibility.mjs
+// Shared eligibility checks. The page, server.js and any other Node script
+// build a player object with the same shape as getPlayerData() in
+// script.js and run it through evaluateEligibility(), so every consumer
+// unlocks exactly the same raids.
+//
+// A player object looks like:
+//
+//   {
+//     attack: 75, strength: 80, ..., combat: 95,
+//     mode: 'ironman',                      // a key of GAME_MODES
+//     quests: ['Priest in Peril'],
+//     gear: { weapon: '4151', ... },        // item ids keyed by slot
+//     inventory: ['11802'],                 // switches carried with it
+//     loadouts: [{ name: 'Mage', style: 'magic', gear, inventory }],
+//     owned: ['4151', '11802', ...],        // item ids the player owns
+//     killCounts: { 'Chambers of Xeric': 12 }
+//   }
+
+import { GAME_MODES, DEFAULT_GAME_MODE, HISCORE_SKILLS, getSkillLevels, getActivityScores } from './hiscores.mjs';
+import { resolveQuestName } from './quests.mjs';
+import { normalizeInventory, normalizeLoadouts } from './loadouts.mjs';
+import { normalizeOwnedItems } from './owned.mjs';
+import { evaluateRaid } from './requirements.mjs';
+
+// Skills entered by hand on the page; the minimum a profile should have.
+const COMBAT_SKILLS = ['attack', 'strength', 'defence', 'hitpoints', 'ranged', 'prayer', 'magic'];
+
+// Skills a profile may carry levels for. `overall` is a total, not a skill.
+const PROFILE_SKILLS = HISCORE_SKILLS.filter((skill) => skill !== 'overall');
+
+/**
+ * Compute the combat level from individual skill levels using the OSRS formula.
+ * The formula calculates a base component from Defence, Hitpoints and half
+ * Prayer, then adds the highest of the melee, ranged or magic components.
+ * See: https://oldschool.runescape.wiki/w/Combat_level#The_formula
+ *
+ * @param {Object} stats - An object containing individual skill levels.
+ * @returns {number} The calculated combat level, rounded down to the nearest integer.
+ */
+export function computeCombatLevel(stats) {
+  const base = 0.25 * (stats.defence + stats.hitpoints + Math.floor(stats.prayer / 2));
+  const melee = 0.325 * (stats.attack + stats.strength);
+  const range = 0.325 * Math.floor(1.5 * stats.ranged);
+  const mage = 0.325 * Math.floor(1.5 * stats.magic);
+  return Math.floor(base + Math.max(melee, range, mage));
+}
+
+/**
+ * Build a player object from parsed hiscores. Quests and gear aren't on
+ * the hiscores, so they start empty.
+ *
+ * @param {Object} hiscores - Result of parseHiscores().
+ * @param {string} [mode=DEFAULT_GAME_MODE] - The game mode the hiscores
+ *   were looked up in.
+ * @returns {Object} A player object.
+ */
+export function playerFromHiscores(hiscores, mode = DEFAULT_GAME_MODE) {
+  const levels = getSkillLevels(hiscores);
+  return {
+    ...levels,
+    combat: computeCombatLevel(levels),
+    mode,
+    quests: [],
+    gear: {},
+    killCounts: getActivityScores(hiscores)
+  };
+}
+
+/**
+ * Check and tidy a player profile that came from outside the app, such as
+ * a saved profile or a JSON request body. Levels of hiscores skills are
+ * coerced to numbers and other top-level keys are ignored; missing combat
+ * levels are computed, renamed quests are mapped to their current names,
+ * gear, inventory and owned item ids are stored as strings, loadouts are
+ * checked with normalizeLoadouts() and a missing game mode defaults to the
+ * regular hiscores.
+ *
+ * @param {*} profile - The untrusted profile.
+ * @returns {Object} A player object.
+ * @throws {Error} If the profile isn't an object or has malformed fields.
+ */
+export function normalizePlayer(profile) {
+  if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+    throw new Error('Profile must be a JSON object');
+  }
+  const player = { mode: DEFAULT_GAME_MODE, quests: [], gear: {}, inventory: [], loadouts: [], owned: [], killCounts: {} };
+
+  PROFILE_SKILLS.forEach((skill) => {
+    const value = profile[skill];
+    if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value))) {
+      const level = Number(value);
+      if (!Number.isInteger(level) || level < 0 || level > 99) {
+        throw new Error(`${skill} must be a level from 0 to 99`);
+      }
+      player[skill] = level;
+    }
+  });
+  COMBAT_SKILLS.forEach((skill) => {
+    if (typeof player[skill] === 'undefined') {
+      player[skill] = skill === 'hitpoints' ? 10 : 1;
+    }
+  });
+  player.combat = Number.isInteger(Number(profile.combat)) && Number(profile.combat) > 0
+    ? Number(profile.combat)
+    : computeCombatLevel(player);
+
+  if (typeof profile.mode !== 'undefined') {
+    if (!Object.prototype.hasOwnProperty.call(GAME_MODES, profile.mode)) {
+      throw new Error(`mode must be one of ${Object.keys(GAME_MODES).join(', ')}`);
+    }
+    player.mode = profile.mode;
+  }
+  if (typeof profile.quests !== 'undefined') {
+    if (!Array.isArray(profile.quests) || profile.quests.some((quest) => typeof quest !== 'string')) {
+      throw new Error('quests must be an array of quest names');
+    }
+    player.quests = profile.quests.map(resolveQuestName);
+  }
+  if (typeof profile.gear !== 'undefined') {
+    if (typeof profile.gear !== 'object' || profile.gear === null || Array.isArray(profile.gear)) {
+      throw new Error('gear must be an object of item ids keyed by slot');
+    }
+    Object.entries(profile.gear).forEach(([slot, id]) => {
+      if (id !== null && id !== '') player.gear[slot] = String(id);
+    });
+  }
+  if (typeof profile.inventory !== 'undefined') {
+    player.inventory = normalizeInventory(profile.inventory);
+  }
+  if (typeof profile.loadouts !== 'undefined') {
+    player.loadouts = normalizeLoadouts(profile.loadouts);
+  }
+  if (typeof profile.owned !== 'undefined') {
+    player.owned = normalizeOwnedItems(profile.owned);
+  }
+  if (typeof profile.killCounts !== 'undefined') {
+    if (typeof profile.killCounts !== 'object' || profile.killCounts === null) {
+      throw new Error('killCounts must be an object of counts keyed by activity');
+    }
+    Object.entries(profile.killCounts).forEach(([activity, count]) => {
+      if (Number.isFinite(Number(count))) player.killCounts[activity] = Number(count);
+    });
+  }
+  return player;
+}
+
+/**
+ * Evaluate every raid for a player.
+ *
+ * @param {Array} raids - Raid definitions from data/raids.json.
+ * @param {Object} player - A player object.
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {{unlocked: Array, locked: Array<{raid: Object, missing: string[]}>}}
+ *   Unlocked raids, and locked raids with their failure messages.
+ */
+export function evaluateEligibility(raids, player, context = {}) {
+  const unlocked = [];
+  const locked = [];
+  raids.forEach((raid) => {
+    const evaluation = evaluateRaid(raid, player, context);
+    if (evaluation.passed) {
+      unlocked.push(raid);
+    } else {
+      locked.push({ raid, missing: evaluation.missing });
+    }
+  });
+  return { unlocked, locked };
+}
+
+/**
+ * Reduce an evaluateEligibility() result to plain names and messages,
+ * ready to send as JSON.
+ *
+ * @param {Object} eligibility - Result of evaluateEligibility().
+ * @returns {{unlocked: string[], locked: Array<{name: string, missing: string[]}>}}
+ */
+export function summarizeEligibility(eligibility) {
+  return {
+    unlocked: eligibility.unlocked.map((raid) => raid.name),
+    locked: eligibility.locked.map((entry) => ({ name: entry.raid.name, missing: entry.missing }))
+  };
+}
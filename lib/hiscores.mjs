@@ -0,0 +1,353 @@
+// lib/hiscores.mjs
+// Parser for the plain text returned by the OSRS Hiscores `index_lite.ws`
+// endpoint. The response has no headers or names: every line is one row of
+// the hiscores table, in an order fixed by Jagex. Skill rows contain
+// `rank,level,xp` and activity rows (clue scrolls, minigames, boss kill
+// counts) contain `rank,score`. A rank of -1 means the player is unranked
+// in that row.
+//
+// The row order below follows the current Jagex layout. See
+// https://oldschool.runescape.wiki/w/Application_programming_interface#Hiscores
+// When Jagex adds a new skill or boss the matching name has to be inserted
+// at the same position here, otherwise every later row is shifted.
+
+/**
+ * Skill rows, in hiscores order. Names are lowercase so they match the
+ * stat keys used throughout the app (e.g. `player.attack`).
+ */
+export const HISCORE_SKILLS = [
+  'overall',
+  'attack',
+  'defence',
+  'strength',
+  'hitpoints',
+  'ranged',
+  'prayer',
+  'magic',
+  'cooking',
+  'woodcutting',
+  'fletching',
+  'fishing',
+  'firemaking',
+  'crafting',
+  'smithing',
+  'mining',
+  'herblore',
+  'agility',
+  'thieving',
+  'slayer',
+  'farming',
+  'runecraft',
+  'hunter',
+  'construction',
+  'sailing'
+];
+
+/**
+ * Activity rows, in hiscores order, directly after the skills. Names match
+ * the labels shown on the official hiscores pages.
+ */
+export const HISCORE_ACTIVITIES = [
+  'League Points',
+  'Deadman Points',
+  'Bounty Hunter - Hunter',
+  'Bounty Hunter - Rogue',
+  'Bounty Hunter (Legacy) - Hunter',
+  'Bounty Hunter (Legacy) - Rogue',
+  'Clue Scrolls (all)',
+  'Clue Scrolls (beginner)',
+  'Clue Scrolls (easy)',
+  'Clue Scrolls (medium)',
+  'Clue Scrolls (hard)',
+  'Clue Scrolls (elite)',
+  'Clue Scrolls (master)',
+  'LMS - Rank',
+  'PvP Arena - Rank',
+  'Soul Wars Zeal',
+  'Rifts closed',
+  'Colosseum Glory',
+  'Collections Logged',
+  'Abyssal Sire',
+  'Alchemical Hydra',
+  'Amoxliatl',
+  'Araxxor',
+  'Artio',
+  'Barrows Chests',
+  'Bryophyta',
+  'Callisto',
+  "Calvar'ion",
+  'Cerberus',
+  'Chambers of Xeric',
+  'Chambers of Xeric: Challenge Mode',
+  'Chaos Elemental',
+  'Chaos Fanatic',
+  'Commander Zilyana',
+  'Corporeal Beast',
+  'Crazy Archaeologist',
+  'Dagannoth Prime',
+  'Dagannoth Rex',
+  'Dagannoth Supreme',
+  'Deranged Archaeologist',
+  'Doom of Mokhaiotl',
+  'Duke Sucellus',
+  'General Graardor',
+  'Giant Mole',
+  'Grotesque Guardians',
+  'Hespori',
+  'Kalphite Queen',
+  'King Black Dragon',
+  'Kraken',
+  "Kree'Arra",
+  "K'ril Tsutsaroth",
+  'Lunar Chests',
+  'Mimic',
+  'Nex',
+  'Nightmare',
+  "Phosani's Nightmare",
+  'Obor',
+  'Phantom Muspah',
+  'Sarachnis',
+  'Scorpia',
+  'Scurrius',
+  'Shellbane Gryphon',
+  'Skotizo',
+  'Sol Heredit',
+  'Spindel',
+  'Tempoross',
+  'The Gauntlet',
+  'The Corrupted Gauntlet',
+  'The Hueycoatl',
+  'The Leviathan',
+  'The Royal Titans',
+  'The Whisperer',
+  'Theatre of Blood',
+  'Theatre of Blood: Hard Mode',
+  'Thermonuclear Smoke Devil',
+  'Tombs of Amascut',
+  'Tombs of Amascut: Expert Mode',
+  'TzKal-Zuk',
+  'TzTok-Jad',
+  'Vardorvis',
+  'Venenatis',
+  "Vet'ion",
+  'Vorkath',
+  'Wintertodt',
+  'Yama',
+  'Zalcano',
+  'Zulrah'
+];
+
+/**
+ * Convert a single numeric field from the response. Jagex uses -1 for
+ * "not ranked", which we turn into null so callers can't mistake it for
+ * a real value.
+ *
+ * @param {string} value - The raw field text.
+ * @returns {number|null} The parsed number, or null when unranked/missing.
+ */
+function parseHiscoreField(value) {
+  const number = parseInt(value, 10);
+  if (Number.isNaN(number) || number < 0) return null;
+  return number;
+}
+
+/**
+ * Account types and game modes, each with the hiscores table that ranks
+ * it. `ironman` marks the account types that can't trade, which raid data
+ * can give their own requirements (see getRaidRequirements() in
+ * lib/requirements.mjs). Group ironmen have no individual table of their
+ * own; their stats are on the regular hiscores.
+ */
+export const GAME_MODES = {
+  main: { label: 'Regular', table: 'hiscore_oldschool', ironman: false },
+  ironman: { label: 'Ironman', table: 'hiscore_oldschool_ironman', ironman: true },
+  'hardcore-ironman': { label: 'Hardcore Ironman', table: 'hiscore_oldschool_hardcore_ironman', ironman: true },
+  'ultimate-ironman': { label: 'Ultimate Ironman', table: 'hiscore_oldschool_ultimate', ironman: true },
+  'group-ironman': { label: 'Group Ironman', table: 'hiscore_oldschool', ironman: true },
+  'hardcore-group-ironman': { label: 'Hardcore Group Ironman', table: 'hiscore_oldschool', ironman: true },
+  seasonal: { label: 'Leagues (seasonal)', table: 'hiscore_oldschool_seasonal', ironman: false },
+  deadman: { label: 'Deadman Mode', table: 'hiscore_oldschool_deadman', ironman: false },
+  'fresh-start': { label: 'Fresh Start worlds', table: 'hiscore_oldschool_fresh_start', ironman: false }
+};
+
+// Mode used when none is given, e.g. by profiles saved before modes existed.
+export const DEFAULT_GAME_MODE = 'main';
+
+// Display names are 1 to 12 letters, digits, spaces, hyphens and
+// underscores. See https://oldschool.runescape.wiki/w/Display_name
+const USERNAME_PATTERN = /^[A-Za-z0-9 _-]{1,12}$/;
+
+/**
+ * Check a name against the in-game display name rules.
+ *
+ * @param {string} name - The name, already trimmed.
+ * @returns {boolean} True if Jagex could have issued the name.
+ */
+export function isValidUsername(name) {
+  return typeof name === 'string' && USERNAME_PATTERN.test(name);
+}
+
+/**
+ * Ways a hiscores lookup can fail, with the HTTP status the backend
+ * answers with and the message shown to the player. The backend names the
+ * code in an `X-Hiscore-Error` header so the page can tell these apart
+ * from a missing backend.
+ */
+export const HISCORE_ERRORS = {
+  'invalid-name': {
+    status: 400,
+    message: "That isn't a valid RuneScape name. Names are up to 12 letters, numbers, spaces, - or _."
+  },
+  'invalid-mode': {
+    status: 400,
+    message: `Unknown game mode. Choose one of: ${Object.keys(GAME_MODES).join(', ')}.`
+  },
+  'not-found': {
+    status: 404,
+    message: 'That player is not on the hiscores. Check the spelling; new or low-level accounts may not be ranked yet.'
+  },
+  'rate-limited': {
+    status: 429,
+    message: 'Too many lookups in a short time. Please wait a minute and try again.'
+  },
+  'upstream-error': {
+    status: 502,
+    message: 'The RuneScape hiscores are not responding properly. Please try again later.'
+  },
+  'upstream-timeout': {
+    status: 504,
+    message: 'The RuneScape hiscores took too long to respond. Please try again later.'
+  }
+};
+
+/**
+ * A failed hiscores lookup. `code` is a key of HISCORE_ERRORS and `status`
+ * the matching HTTP status.
+ */
+export class HiscoresError extends Error {
+  constructor(code) {
+    super(HISCORE_ERRORS[code].message);
+    this.name = 'HiscoresError';
+    this.code = code;
+    this.status = HISCORE_ERRORS[code].status;
+  }
+}
+
+/**
+ * Build the `index_lite.ws` URL for a player. The response is plain text
+ * and has no CORS headers, so browsers need a proxy in front of it.
+ *
+ * @param {string} player - The player's display name.
+ * @param {string} [mode=DEFAULT_GAME_MODE] - A key of GAME_MODES.
+ * @returns {string} The hiscores URL.
+ * @throws {HiscoresError} If the mode is unknown.
+ */
+export function getHiscoresUrl(player, mode = DEFAULT_GAME_MODE) {
+  if (!Object.prototype.hasOwnProperty.call(GAME_MODES, mode)) {
+    throw new HiscoresError('invalid-mode');
+  }
+  const table = GAME_MODES[mode].table;
+  return `https://secure.runescape.com/m=${table}/index_lite.ws?player=${encodeURIComponent(player)}`;
+}
+
+/**
+ * Parse an `index_lite.ws` response into named skills and activities.
+ *
+ * Each skill becomes `{ rank, level, xp, ranked }` and each activity
+ * `{ rank, score, ranked }`. Unranked skills keep the level Jagex reports
+ * (usually 1, or 10 for Hitpoints) but have a null rank and xp; unranked
+ * activities have a null rank and score. Rows missing from a short
+ * response are treated as unranked, and extra rows (a layout newer than
+ * this file) are ignored.
+ *
+ * @param {string} text - The plain text body returned by the hiscores API.
+ * @returns {{skills: Object, activities: Object}} The parsed hiscores.
+ */
+export function parseHiscores(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Empty hiscores response');
+  }
+  const lines = text
+    .trim()
+    .split('\n')
+    .map((line) => line.trim().split(','));
+
+  // A real response always starts with a three-field skill row. If it
+  // doesn't, we were most likely handed an HTML error page.
+  if (lines[0].length !== 3) {
+    throw new Error('Unrecognised hiscores response');
+  }
+
+  const skills = {};
+  HISCORE_SKILLS.forEach((name, i) => {
+    const [rank, level, xp] = lines[i] || [];
+    const parsedRank = parseHiscoreField(rank);
+    const parsedLevel = parseHiscoreField(level);
+    skills[name] = {
+      rank: parsedRank,
+      level: parsedLevel === null ? defaultSkillLevel(name) : parsedLevel,
+      xp: parsedRank === null ? null : parseHiscoreField(xp),
+      ranked: parsedRank !== null
+    };
+  });
+
+  const activities = {};
+  HISCORE_ACTIVITIES.forEach((name, i) => {
+    const [rank, score] = lines[HISCORE_SKILLS.length + i] || [];
+    const parsedRank = parseHiscoreField(rank);
+    activities[name] = {
+      rank: parsedRank,
+      score: parsedRank === null ? null : parseHiscoreField(score),
+      ranked: parsedRank !== null
+    };
+  });
+
+  return { skills, activities };
+}
+
+/**
+ * The level a brand new account has in a skill. Used when a skill row is
+ * missing entirely.
+ *
+ * @param {string} skill - Lowercase skill name.
+ * @returns {number} 10 for Hitpoints, 1 for anything else.
+ */
+function defaultSkillLevel(skill) {
+  return skill === 'hitpoints' ? 10 : 1;
+}
+
+/**
+ * Flatten parsed hiscores into `{ skill: level }`, the shape used by
+ * `playerStats` and the raid requirements. The `overall` row is skipped
+ * because it is a total, not a skill.
+ *
+ * @param {{skills: Object}} hiscores - Result of parseHiscores().
+ * @returns {Object} Map of skill name to level.
+ */
+export function getSkillLevels(hiscores) {
+  const levels = {};
+  Object.entries(hiscores.skills).forEach(([name, skill]) => {
+    if (name !== 'overall') {
+      levels[name] = skill.level;
+    }
+  });
+  return levels;
+}
+
+/**
+ * Flatten parsed hiscores into `{ activity: score }` for every ranked
+ * activity. Unranked activities are left out; callers should treat a
+ * missing entry as a kill count of 0.
+ *
+ * @param {{activities: Object}} hiscores - Result of parseHiscores().
+ * @returns {Object} Map of activity name to score / kill count.
+ */
+export function getActivityScores(hiscores) {
+  const scores = {};
+  Object.entries(hiscores.activities).forEach(([name, activity]) => {
+    if (activity.ranked) {
+      scores[name] = activity.score;
+    }
+  });
+  return scores;
+}
@@ -0,0 +1,218 @@
+// lib/history.mjs
+// Progress history: every hiscores fetch saved as a timestamped snapshot,
+// and the helpers that turn a player's snapshots into charts, gains over a
+// date range and the date each raid became unlocked.
+//
+// A snapshot looks like:
+//
+//   {
+//     player: 'main/zezima',          // historyKey(username, mode)
+//     username: 'Zezima',
+//     mode: 'main',
+//     timestamp: 1767225600000,
+//     skills: { attack: { level: 75, xp: 1210421 }, ... },
+//     killCounts: { 'Chambers of Xeric': 12 }
+//   }
+//
+// In the browser snapshots are kept in IndexedDB by openSnapshotStore().
+
+import { HISCORE_SKILLS, DEFAULT_GAME_MODE, getActivityScores } from './hiscores.mjs';
+import { computeCombatLevel } from './eligibility.mjs';
+import { evaluateRaid } from './requirements.mjs';
+import { XP_TABLE } from './planner.mjs';
+
+const DB_NAME = 'osrs-raid-checker';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+
+/**
+ * The key a player's snapshots are filed under. Names are compared the way
+ * the game does, so "Lynx Titan" and "lynx_titan" share a history.
+ *
+ * @param {string} username - The player's display name.
+ * @param {string} [mode=DEFAULT_GAME_MODE] - A key of GAME_MODES.
+ * @returns {string} The key, e.g. 'main/lynx titan'.
+ */
+export function historyKey(username, mode = DEFAULT_GAME_MODE) {
+  return `${mode}/${String(username).trim().toLowerCase().replace(/[\s_-]+/g, ' ')}`;
+}
+
+/**
+ * Build a snapshot from parsed hiscores. Unranked skills have no XP on the
+ * hiscores, so they're given the XP at the start of their level.
+ *
+ * @param {Object} hiscores - Result of parseHiscores().
+ * @param {Object} options
+ * @param {string} options.username - The player's display name.
+ * @param {string} [options.mode=DEFAULT_GAME_MODE] - The game mode looked up.
+ * @param {number} [options.timestamp=Date.now()] - When it was fetched.
+ * @returns {Object} The snapshot.
+ */
+export function createSnapshot(hiscores, { username, mode = DEFAULT_GAME_MODE, timestamp = Date.now() }) {
+  const skills = {};
+  HISCORE_SKILLS.forEach((name) => {
+    if (name === 'overall') return;
+    const { level, xp } = hiscores.skills[name];
+    skills[name] = { level, xp: xp === null ? XP_TABLE[level] || 0 : xp };
+  });
+  return {
+    player: historyKey(username, mode),
+    username,
+    mode,
+    timestamp,
+    skills,
+    killCounts: getActivityScores(hiscores)
+  };
+}
+
+/**
+ * Keep the snapshots taken within a date range, oldest first.
+ *
+ * @param {Array} snapshots - A player's snapshots.
+ * @param {number} [from=-Infinity] - Start of the range (ms since epoch).
+ * @param {number} [to=Infinity] - End of the range (ms since epoch).
+ * @returns {Array} The snapshots in the range.
+ */
+export function snapshotsInRange(snapshots, from = -Infinity, to = Infinity) {
+  return snapshots
+    .filter((snapshot) => snapshot.timestamp >= from && snapshot.timestamp <= to)
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * A skill's level and XP over time, for charting.
+ *
+ * @param {Array} snapshots - Snapshots, oldest first.
+ * @param {string} skill - Lowercase skill name.
+ * @returns {Array<{timestamp: number, level: number, xp: number}>} The points.
+ */
+export function getSkillSeries(snapshots, skill) {
+  return snapshots
+    .filter((snapshot) => snapshot.skills[skill])
+    .map((snapshot) => ({ timestamp: snapshot.timestamp, ...snapshot.skills[skill] }));
+}
+
+/**
+ * Levels and XP gained in every skill between the first and last snapshot
+ * of a date range.
+ *
+ * @param {Array} snapshots - A player's snapshots.
+ * @param {number} [from] - Start of the range (ms since epoch).
+ * @param {number} [to] - End of the range (ms since epoch).
+ * @returns {?{from: Object, to: Object, skills: Object}} The first and last
+ *   snapshots and `{ skill: { levels, xp } }`, or null with fewer than two
+ *   snapshots in the range.
+ */
+export function computeGains(snapshots, from, to) {
+  const range = snapshotsInRange(snapshots, from, to);
+  if (range.length < 2) return null;
+  const first = range[0];
+  const last = range[range.length - 1];
+  const skills = {};
+  Object.entries(last.skills).forEach(([skill, end]) => {
+    const start = first.skills[skill] || end;
+    skills[skill] = { levels: end.level - start.level, xp: end.xp - start.xp };
+  });
+  return { from: first, to: last, skills };
+}
+
+/**
+ * Turn a snapshot into a player object, taking quests, gear and loadouts
+ * (which aren't on the hiscores) from another player object.
+ *
+ * @param {Object} snapshot - A snapshot.
+ * @param {Object} [base={}] - A player object for quests, gear and loadouts.
+ * @returns {Object} A player object.
+ */
+export function playerFromSnapshot(snapshot, base = {}) {
+  const levels = {};
+  Object.entries(snapshot.skills).forEach(([skill, { level }]) => {
+    levels[skill] = level;
+  });
+  return {
+    ...levels,
+    combat: computeCombatLevel(levels),
+    mode: snapshot.mode,
+    quests: base.quests || [],
+    gear: base.gear || {},
+    inventory: base.inventory || [],
+    loadouts: base.loadouts || [],
+    killCounts: { ...snapshot.killCounts }
+  };
+}
+
+/**
+ * Find the first snapshot in which each raid was unlocked. Quests and gear
+ * aren't recorded in snapshots, so every snapshot is checked with the
+ * quests and gear of `base` (normally the current form): the result says
+ * when the player's stats and kill counts became good enough.
+ *
+ * @param {Array} snapshots - Snapshots, oldest first.
+ * @param {Array} raids - Raid definitions from data/raids.json.
+ * @param {Object} base - A player object for quests and gear.
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {Array<{raid: Object, unlockedAt: ?number}>} One entry per raid;
+ *   `unlockedAt` is null if no snapshot unlocks it. A raid already unlocked
+ *   in the first snapshot was unlocked at or before that time.
+ */
+export function findUnlockDates(snapshots, raids, base, context = {}) {
+  const players = snapshots.map((snapshot) => playerFromSnapshot(snapshot, base));
+  return raids.map((raid) => {
+    const index = players.findIndex((player) => evaluateRaid(raid, player, context).passed);
+    return { raid, unlockedAt: index === -1 ? null : snapshots[index].timestamp };
+  });
+}
+
+/**
+ * Wrap an IndexedDB request in a promise.
+ *
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} The request's result.
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the snapshot database.
+ *
+ * @param {IDBFactory} [idb=globalThis.indexedDB] - The IndexedDB factory.
+ * @returns {Promise<{add: Function, list: Function, clear: Function}>} The
+ *   store: `add(snapshot)`, `list(key)` resolving to that player's
+ *   snapshots oldest first, and `clear(key)` deleting them.
+ * @throws {Error} If IndexedDB isn't available.
+ */
+export async function openSnapshotStore(idb = globalThis.indexedDB) {
+  if (!idb) {
+    throw new Error('This browser cannot store history (IndexedDB is unavailable)');
+  }
+  const request = idb.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+    store.createIndex('player', 'player');
+  };
+  const db = await promisify(request);
+
+  const transaction = (mode) => db.transaction(SNAPSHOT_STORE, mode).objectStore(SNAPSHOT_STORE);
+  return {
+    add: (snapshot) => promisify(transaction('readwrite').add(snapshot)),
+    list: async (key) => {
+      const snapshots = await promisify(transaction('readonly').index('player').getAll(key));
+      return snapshots.sort((a, b) => a.timestamp - b.timestamp);
+    },
+    clear: (key) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(SNAPSHOT_STORE, 'readwrite');
+        const store = tx.objectStore(SNAPSHOT_STORE);
+        // Delete from the success handler so the transaction is still open
+        store.index('player').getAllKeys(key).onsuccess = (event) => {
+          event.target.result.forEach((id) => store.delete(id));
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      })
+  };
+}
@@ -0,0 +1,152 @@
+// lib/item-search.mjs
+// Search over the item database for the gear pickers: items grouped into
+// families, fuzzy matching on names, recently used items and item icons.
+//
+// Many items exist in several versions that differ only by a suffix:
+// imbued (i), enhanced (e), ornament kit (or), locked (l), trimmed (t),
+// charges ("Amulet of glory(4)"), charged and uncharged, and Barrows-style
+// degradation ("Ahrim's hood 75", "Crystal bow 3/10"). A family is one
+// entry in the search results, named after the plain item, and the player
+// then chooses which variant they have. splitVariant() in lib/items.mjs
+// knows the suffixes.
+
+import { ITEM_SLOTS, splitVariant } from './items.mjs';
+
+// How many recently used items are remembered per slot.
+export const MAX_RECENT_ITEMS = 8;
+
+// Default number of families searchItems() returns.
+export const DEFAULT_SEARCH_LIMIT = 30;
+
+const ICON_BASE_URL = 'https://oldschool.runescape.wiki/images/';
+
+// Shown in place of an icon that can't be loaded: the item has no icon on
+// the wiki, or the page is used offline. Bundled with the page.
+export const ITEM_ICON_PLACEHOLDER = 'images/item-placeholder.svg';
+
+/**
+ * Group the item database into families, one per slot and family name.
+ *
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {Array<Object>} Families sorted by name: `{ name, slot,
+ *   defaultId, search, variants: [{ id, name, variant }] }`, where
+ *   `defaultId` is the plain item if there is one, `search` is the
+ *   lowercase name matched against and variants are sorted by id.
+ */
+export function buildItemIndex(itemDb) {
+  const families = new Map();
+  Object.entries(itemDb || {})
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .forEach(([id, item]) => {
+      const { base, variant } = splitVariant(item.name);
+      const key = `${item.slot}/${base.toLowerCase()}`;
+      if (!families.has(key)) {
+        families.set(key, { name: base, slot: item.slot, defaultId: id, search: base.toLowerCase(), variants: [] });
+      }
+      const family = families.get(key);
+      family.variants.push({ id, name: item.name, variant });
+      if (!variant) family.defaultId = id;
+    });
+  return Array.from(families.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the family an item belongs to.
+ *
+ * @param {Array} index - Result of buildItemIndex().
+ * @param {string} id - An item id.
+ * @returns {Object|null} The family, or null if the id isn't in the index.
+ */
+export function findItemFamily(index, id) {
+  const wanted = String(id);
+  return index.find((family) => family.variants.some((entry) => entry.id === wanted)) || null;
+}
+
+/**
+ * Score how well a query matches a name. Every character of the query has
+ * to appear in the name in order; matches at the start of the name or of
+ * a word and runs of consecutive characters score higher, so "d def"
+ * finds "Dragon defender". Whole-word and shorter names rank first.
+ *
+ * @param {string} query - What was typed, lowercase.
+ * @param {string} text - The name to match, lowercase.
+ * @returns {?number} The score, higher is better, or null for no match.
+ */
+export function scoreMatch(query, text) {
+  if (!query) return 0;
+  if (text === query) return 1000;
+  if (text.startsWith(query)) return 800 - text.length;
+  const substring = text.indexOf(query);
+  if (substring !== -1) {
+    return (/[\s(-]/.test(text.charAt(substring - 1)) ? 600 : 400) - text.length;
+  }
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const char of query) {
+    if (char === ' ') continue;
+    const found = text.indexOf(char, position);
+    if (found === -1) return null;
+    if (found === 0 || /[\s(-]/.test(text.charAt(found - 1))) score += 10;
+    if (found === previous + 1) score += 5;
+    score += 1;
+    previous = found;
+    position = found + 1;
+  }
+  return score - text.length / 10;
+}
+
+/**
+ * Search the families that fit a gear slot. The 'other' slot holds
+ * anything carried as a switch, so it searches every slot.
+ *
+ * @param {Array} index - Result of buildItemIndex().
+ * @param {string} query - What was typed.
+ * @param {Object} [options={}]
+ * @param {string} [options.slot] - A gear slot; omit to search everything.
+ * @param {number} [options.limit=DEFAULT_SEARCH_LIMIT] - Most families to return.
+ * @returns {Array<Object>} Matching families, best match first.
+ */
+export function searchItems(index, query, { slot, limit = DEFAULT_SEARCH_LIMIT } = {}) {
+  const wanted = String(query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const inSlot = slot && ITEM_SLOTS.includes(slot) ? (family) => family.slot === slot : () => true;
+  return index
+    .filter(inSlot)
+    .map((family) => {
+      const score = Math.max(
+        scoreMatch(wanted, family.search) ?? -Infinity,
+        ...family.variants.map((entry) => (scoreMatch(wanted, entry.name.toLowerCase()) ?? -Infinity) - 1)
+      );
+      return { family, score };
+    })
+    .filter((entry) => entry.score > -Infinity)
+    .sort((a, b) => b.score - a.score || a.family.name.localeCompare(b.family.name))
+    .slice(0, limit)
+    .map((entry) => entry.family);
+}
+
+/**
+ * Record that an item was picked for a slot.
+ *
+ * @param {Object} recent - Item ids keyed by slot, most recent first.
+ * @param {string} slot - The gear slot.
+ * @param {string} id - The item id picked.
+ * @param {number} [max=MAX_RECENT_ITEMS] - How many to keep per slot.
+ * @returns {Object} The updated lists; `recent` itself isn't changed.
+ */
+export function addRecentItem(recent, slot, id, max = MAX_RECENT_ITEMS) {
+  const list = (recent[slot] || []).filter((entry) => entry !== String(id));
+  return { ...recent, [slot]: [String(id), ...list].slice(0, max) };
+}
+
+/**
+ * URL of an item's inventory icon on the Old School RuneScape Wiki, which
+ * names its icon files after the item. Use ITEM_ICON_PLACEHOLDER when it
+ * fails to load.
+ *
+ * @param {Object} item - An item from the database.
+ * @returns {string} The image URL.
+ */
+export function getItemIconUrl(item) {
+  return `${ICON_BASE_URL}${encodeURIComponent(item.name.replace(/ /g, '_'))}.png`;
+}
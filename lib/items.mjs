@@ -0,0 +1,367 @@
+// lib/items.mjs
+// Helpers for the item database in data/items.json. Items are keyed by
+// their in-game item id and carry the slot they are worn in, the levels
+// needed to equip them, their equipment bonuses and free-form tags such as
+// "spec weapon" or "salve" that raid gear rules can refer to.
+//
+// Equip requirements are a map of skill levels (`requirements`) plus an
+// optional list of quests that must be completed (`quests`).
+//
+// Weapons may be `twoHanded` and, if they fire ammunition, say which kind
+// and the highest-level ammo they accept, e.g. `ammo: { type: 'arrow',
+// maxLevel: 50 }` for a Magic shortbow. Ammo items carry a matching
+// `ammoType`. The blowpipe's loaded darts are picked in the ammo slot.
+//
+// In the JSON file the bonuses are stored as a fixed-order array to keep
+// each item on one line; BONUS_KEYS gives the meaning of every position.
+
+// The only format version this code understands.
+export const ITEM_DATA_VERSION = 1;
+
+// Order of the `bonuses` array of every item, matching the in-game
+// equipment stats screen.
+export const BONUS_KEYS = [
+  'stabAttack',
+  'slashAttack',
+  'crushAttack',
+  'magicAttack',
+  'rangedAttack',
+  'stabDefence',
+  'slashDefence',
+  'crushDefence',
+  'magicDefence',
+  'rangedDefence',
+  'meleeStrength',
+  'rangedStrength',
+  'magicDamage',
+  'prayer'
+];
+
+// Display names for BONUS_KEYS, used in requirement messages.
+export const BONUS_LABELS = {
+  stabAttack: 'Stab attack',
+  slashAttack: 'Slash attack',
+  crushAttack: 'Crush attack',
+  magicAttack: 'Magic attack',
+  rangedAttack: 'Ranged attack',
+  stabDefence: 'Stab defence',
+  slashDefence: 'Slash defence',
+  crushDefence: 'Crush defence',
+  magicDefence: 'Magic defence',
+  rangedDefence: 'Ranged defence',
+  meleeStrength: 'Melee strength',
+  rangedStrength: 'Ranged strength',
+  magicDamage: 'Magic damage',
+  prayer: 'Prayer'
+};
+
+// Slots an item can be worn in. These match the data-slot attributes of
+// the gear pickers, except 'other', which holds a switch and therefore
+// offers items from every slot.
+export const ITEM_SLOTS = ['head', 'neck', 'body', 'legs', 'weapon', 'shield', 'hands', 'boots', 'ring', 'cape', 'ammo'];
+
+// Parenthesised suffixes that mark a version of the same item: imbued
+// (i), enhanced (e), ornament kit (or), locked (l), trimmed (t), gold
+// trimmed (g), upgraded (u), corrupted (c), poisoned (p) to (p++), bounty
+// hunter (b) and (bh), charged and uncharged, and so on. Numbered tags are
+// matched separately: charges such as "Amulet of glory(4)", trimmed
+// charges such as "(t4)" and heraldic shields such as "(h1)".
+export const VARIANT_TAGS = [
+  'i', 'e', 'or', 'l', 't', 'g', 'u', 'c', 'cr', 'b', 'bh', 'kp', 'nz', 'p', 'p+', 'p++',
+  'uncharged', 'charged', 'full', 'empty', 'inactive', 'deg', 'broken', 'damaged', 'deadman'
+];
+
+// One trailing suffix: a variant tag, a numbered tag, a degradation
+// percentage such as " 75", a crystal charge such as " 3/10" or " full".
+const VARIANT_SUFFIX = new RegExp(
+  `\\s*(\\((?:${VARIANT_TAGS.map((tag) => tag.replace(/\+/g, '\\+')).join('|')}|[th]?\\d+)\\)|\\s(?:\\d+(?:/\\d+)?|full))$`,
+  'i'
+);
+
+// Crystal equipment fresh from a crystal seed is "New crystal bow".
+const NEW_CRYSTAL = /^new (crystal .+)$/i;
+
+// Suffixes that only change how an item looks. Such variants have the
+// bonuses and requirements of the plain item, which validateItemData()
+// checks.
+const COSMETIC_SUFFIX = /\((?:or|l|t|g|cr|h\d)\)\s*/gi;
+
+/**
+ * Split an item name into its family name and variant. Suffixes can
+ * stack, e.g. "Dragon defender (l)(t)".
+ *
+ * @param {string} name - The item name.
+ * @returns {{base: string, variant: string}} e.g. `{ base: 'Dragon
+ *   defender', variant: '(l)(t)' }`; the variant is '' for the plain item.
+ */
+export function splitVariant(name) {
+  const full = String(name).trim();
+  let base = full;
+  for (let match = VARIANT_SUFFIX.exec(base); match && match.index > 0; match = VARIANT_SUFFIX.exec(base)) {
+    base = base.slice(0, match.index);
+  }
+  let variant = full.slice(base.length).trim();
+  const crystal = NEW_CRYSTAL.exec(base);
+  if (crystal) {
+    base = crystal[1].charAt(0).toUpperCase() + crystal[1].slice(1);
+    variant = `New ${variant}`.trim();
+  }
+  return { base, variant };
+}
+
+/**
+ * Check whether an item name is a purely cosmetic variant, such as an
+ * ornament kit or a trimmed version.
+ *
+ * @param {string} name - The item name.
+ * @returns {boolean} True when every suffix is cosmetic.
+ */
+export function isCosmeticVariant(name) {
+  const { variant } = splitVariant(name);
+  return Boolean(variant) && variant.replace(COSMETIC_SUFFIX, '') === '';
+}
+
+/**
+ * Check the shape of a parsed items.json document. Like validateRaidData(),
+ * the caller may pass in the skill and quest names that equip requirements
+ * are allowed to use.
+ *
+ * @param {Object} data - The parsed JSON document.
+ * @param {Object} [names={}] - Known names to check references against.
+ * @param {string[]} [names.skills] - Valid stat names (e.g. 'attack').
+ * @param {string[]} [names.quests] - Valid quest names.
+ * @returns {string[]} Error messages; empty when the data is valid.
+ */
+export function validateItemData(data, names = {}) {
+  if (typeof data !== 'object' || data === null || typeof data.items !== 'object' || data.items === null) {
+    return ['Item data must be an object with an "items" map'];
+  }
+  const errors = [];
+  const skills = names.skills ? new Set(names.skills) : null;
+  const quests = names.quests ? new Set(names.quests) : null;
+  if (data.version !== ITEM_DATA_VERSION) {
+    errors.push(
+      `Unsupported item data version ${JSON.stringify(data.version)} (expected ${ITEM_DATA_VERSION})`
+    );
+  }
+  if (Array.isArray(data.bonusOrder) && data.bonusOrder.join() !== BONUS_KEYS.join()) {
+    errors.push(`bonusOrder: must be ${BONUS_KEYS.join(', ')}`);
+  }
+  Object.entries(data.items).forEach(([id, item]) => {
+    const path = `items["${id}"]`;
+    if (!/^\d+$/.test(id)) {
+      errors.push(`${path}: item ids must be whole numbers`);
+    }
+    if (typeof item.name !== 'string' || !item.name) {
+      errors.push(`${path}.name: must be a non-empty string`);
+    }
+    if (!ITEM_SLOTS.includes(item.slot)) {
+      errors.push(`${path}.slot: unknown slot ${JSON.stringify(item.slot)}`);
+    }
+    if (!Array.isArray(item.bonuses) || item.bonuses.length !== BONUS_KEYS.length) {
+      errors.push(`${path}.bonuses: must be an array of ${BONUS_KEYS.length} numbers`);
+    }
+    if (!Array.isArray(item.tags)) {
+      errors.push(`${path}.tags: must be an array`);
+    }
+    if (item.ammo && (typeof item.ammo.type !== 'string' || !Number.isInteger(item.ammo.maxLevel))) {
+      errors.push(`${path}.ammo: must have a "type" and a whole-number "maxLevel"`);
+    }
+    Object.entries(item.requirements || {}).forEach(([skill, level]) => {
+      if (skills && !skills.has(skill)) {
+        errors.push(`${path}.requirements: unknown stat "${skill}"`);
+      } else if (!Number.isInteger(level) || level < 1 || level > 99) {
+        errors.push(`${path}.requirements.${skill}: must be a whole number from 1 to 99`);
+      }
+    });
+    if (typeof item.quests !== 'undefined' && !Array.isArray(item.quests)) {
+      errors.push(`${path}.quests: must be an array of quest names`);
+    } else if (quests) {
+      (item.quests || []).forEach((quest) => {
+        if (!quests.has(quest)) {
+          errors.push(`${path}.quests: unknown quest "${quest}"`);
+        }
+      });
+    }
+  });
+  return errors.concat(validateCosmeticVariants(data.items));
+}
+
+/**
+ * Check that cosmetic variants have the bonuses and requirements of the
+ * plain item in their family, e.g. that "Amulet of torture (or)" matches
+ * "Amulet of torture".
+ *
+ * @param {Object} itemDb - The `items` map of an items.json document.
+ * @returns {string[]} Error messages.
+ */
+function validateCosmeticVariants(itemDb) {
+  const named = Object.entries(itemDb).filter(([, item]) => item && typeof item.name === 'string');
+  const plain = new Map();
+  named.forEach(([, item]) => {
+    if (!splitVariant(item.name).variant) {
+      plain.set(`${item.slot}/${item.name.toLowerCase()}`, item);
+    }
+  });
+  const sameRequirements = (a = {}, b = {}) =>
+    Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((skill) => a[skill] === b[skill]);
+  const errors = [];
+  named.forEach(([id, item]) => {
+    if (!isCosmeticVariant(item.name)) return;
+    const base = plain.get(`${item.slot}/${splitVariant(item.name).base.toLowerCase()}`);
+    if (!base) return;
+    if (String(item.bonuses) !== String(base.bonuses)) {
+      errors.push(`items["${id}"].bonuses: must match ${base.name}, as ${item.name} is cosmetic`);
+    }
+    if (!sameRequirements(item.requirements, base.requirements)) {
+      errors.push(`items["${id}"].requirements: must match ${base.name}, as ${item.name} is cosmetic`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Look up an item by id.
+ *
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @param {string|number} id - The item id.
+ * @returns {Object|null} The item, or null if the id is unknown.
+ */
+export function getItem(itemDb, id) {
+  return (itemDb && itemDb[String(id)]) || null;
+}
+
+/**
+ * Find an item id by its name, ignoring case. Used to migrate profiles
+ * saved before gear selections were stored as ids.
+ *
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @param {string} name - Item name.
+ * @returns {string|null} The item id, or null if no item has that name.
+ */
+export function findItemIdByName(itemDb, name) {
+  const wanted = String(name).trim().toLowerCase();
+  const match = Object.entries(itemDb || {}).find(([, item]) => item.name.toLowerCase() === wanted);
+  return match ? match[0] : null;
+}
+
+/**
+ * Turn an item's bonus array into an object keyed by BONUS_KEYS.
+ *
+ * @param {Object} item - An item from the database.
+ * @returns {Object} Bonuses, e.g. `{ stabAttack: 0, slashAttack: 82, ... }`.
+ */
+export function getItemBonuses(item) {
+  const bonuses = {};
+  BONUS_KEYS.forEach((key, i) => {
+    bonuses[key] = (item && item.bonuses && item.bonuses[i]) || 0;
+  });
+  return bonuses;
+}
+
+/**
+ * Resolve a gear selection (slot -> item id) into database items.
+ * Unknown ids are skipped.
+ *
+ * @param {Object} gear - Selected item ids keyed by slot.
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {Array<{slot: string, id: string, item: Object}>} The equipped items.
+ */
+export function getEquippedItems(gear, itemDb) {
+  return Object.entries(gear || {})
+    .map(([slot, id]) => ({ slot, id: String(id), item: getItem(itemDb, id) }))
+    .filter((entry) => entry.item);
+}
+
+/**
+ * Check whether an item occupies both hands.
+ *
+ * @param {Object|null} item - An item from the database.
+ * @returns {boolean} True for two-handed weapons.
+ */
+export function isTwoHanded(item) {
+  return Boolean(item && item.twoHanded);
+}
+
+/**
+ * Check whether the equipped weapon can fire the equipped ammo.
+ *
+ * @param {Object|null} weapon - The item in the weapon slot.
+ * @param {Object|null} ammo - The item in the ammo slot.
+ * @returns {boolean} True when the weapon uses this kind of ammo and the
+ *   ammo isn't too strong for it.
+ */
+export function isAmmoCompatible(weapon, ammo) {
+  if (!weapon || !weapon.ammo || !ammo) return false;
+  const ammoLevel = (ammo.requirements && ammo.requirements.ranged) || 1;
+  return ammo.ammoType === weapon.ammo.type && ammoLevel <= weapon.ammo.maxLevel;
+}
+
+/**
+ * Describe a mismatch between the weapon and ammo slots, if there is one.
+ *
+ * @param {Object} gear - Selected item ids keyed by slot.
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {string|null} A warning, or null when the ammo is fine.
+ */
+export function getAmmoProblem(gear, itemDb) {
+  const weapon = getItem(itemDb, (gear || {}).weapon);
+  const ammo = getItem(itemDb, (gear || {}).ammo);
+  if (weapon && weapon.ammo && !ammo) {
+    return `${weapon.name} needs ${weapon.ammo.type}s in the ammo slot`;
+  }
+  if (!ammo) return null;
+  if (!weapon || !weapon.ammo) {
+    return `${ammo.name} isn't used by ${weapon ? weapon.name : 'an empty weapon slot'}`;
+  }
+  if (ammo.ammoType !== weapon.ammo.type) {
+    return `${weapon.name} fires ${weapon.ammo.type}s, not ${ammo.name}`;
+  }
+  if (!isAmmoCompatible(weapon, ammo)) {
+    return `${weapon.name} can't fire ${ammo.name}`;
+  }
+  return null;
+}
+
+/**
+ * Add up the equipment bonuses of everything worn, like the in-game
+ * Equipment Stats screen. The 'other' slot holds a switch that isn't worn
+ * at the same time, so it doesn't count. A shield is ignored while a
+ * two-handed weapon is equipped, and ammo only adds ranged strength when
+ * the weapon can fire it.
+ *
+ * @param {Object} gear - Selected item ids keyed by slot.
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {Object} Summed bonuses keyed by BONUS_KEYS.
+ */
+export function sumEquipmentBonuses(gear, itemDb) {
+  const totals = getItemBonuses(null);
+  const weapon = getItem(itemDb, (gear || {}).weapon);
+  getEquippedItems(gear, itemDb)
+    .filter((entry) => entry.slot !== 'other')
+    .filter((entry) => !(entry.slot === 'shield' && isTwoHanded(weapon)))
+    .forEach((entry) => {
+      const bonuses = getItemBonuses(entry.item);
+      if (entry.slot === 'ammo' && !isAmmoCompatible(weapon, entry.item)) {
+        bonuses.rangedStrength = 0;
+      }
+      BONUS_KEYS.forEach((key) => {
+        totals[key] += bonuses[key];
+      });
+    });
+  return totals;
+}
+
+/**
+ * List every tag used in the database, sorted.
+ *
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {string[]} Tag names.
+ */
+export function getItemTags(itemDb) {
+  const tags = new Set();
+  Object.values(itemDb || {}).forEach((item) => {
+    (item.tags || []).forEach((tag) => tags.add(tag));
+  });
+  return Array.from(tags).sort();
+}
@@ -0,0 +1,162 @@
+// lib/loadouts.mjs
+// Gear loadouts: named setups for each combat style that a player switches
+// between during a raid, kept in the player's profile next to the gear
+// currently in the gear grid. A loadout looks like:
+//
+//   {
+//     name: 'Mage',
+//     style: 'magic',
+//     gear: { head: '21018', weapon: '22323', ... },  // item ids by slot
+//     inventory: ['12926', '11785']                    // switches carried
+//   }
+//
+// Raid requirements refer to loadouts by style (see the `loadouts` key in
+// lib/requirements.mjs), so "needs a viable mage setup" holds for any
+// loadout the player filed under `magic`, whatever they named it.
+
+// Styles a loadout can be filed under, with the name a new loadout of
+// that style gets.
+export const LOADOUT_STYLES = {
+  melee: 'Melee',
+  ranged: 'Ranged',
+  magic: 'Mage',
+  tank: 'Tank'
+};
+
+// Longest loadout name accepted.
+export const MAX_LOADOUT_NAME_LENGTH = 32;
+
+// An inventory has 28 slots.
+export const MAX_INVENTORY_SIZE = 28;
+
+// Name of the stand-in loadout used when a player has saved none.
+export const CURRENT_GEAR_LOADOUT = 'Current gear';
+
+/**
+ * Tidy a loadout name and check it's usable.
+ *
+ * @param {*} name - The name entered or read from a profile.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is empty or too long.
+ */
+export function checkLoadoutName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Please enter a loadout name.');
+  }
+  if (trimmed.length > MAX_LOADOUT_NAME_LENGTH) {
+    throw new Error(`Loadout names can be at most ${MAX_LOADOUT_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Add or replace a loadout, matched by name.
+ *
+ * @param {Array} loadouts - The player's loadouts.
+ * @param {Object} loadout - The loadout to save.
+ * @returns {Array} The updated list; `loadouts` itself isn't changed.
+ */
+export function putLoadout(loadouts, loadout) {
+  const exists = loadouts.some((entry) => entry.name === loadout.name);
+  return exists
+    ? loadouts.map((entry) => (entry.name === loadout.name ? loadout : entry))
+    : [...loadouts, loadout];
+}
+
+/**
+ * Remove a loadout by name.
+ *
+ * @param {Array} loadouts - The player's loadouts.
+ * @param {string} name - The loadout name.
+ * @returns {Array} The updated list.
+ */
+export function removeLoadout(loadouts, name) {
+  return loadouts.filter((entry) => entry.name !== name);
+}
+
+/**
+ * Add an item to an inventory-switch list.
+ *
+ * @param {string[]} inventory - Item ids carried.
+ * @param {string} id - The item id to add.
+ * @returns {string[]} The updated list.
+ * @throws {Error} If the inventory is full.
+ */
+export function addInventoryItem(inventory, id) {
+  if (inventory.length >= MAX_INVENTORY_SIZE) {
+    throw new Error(`An inventory holds at most ${MAX_INVENTORY_SIZE} items.`);
+  }
+  return [...inventory, String(id)];
+}
+
+/**
+ * The loadouts a requirement for a style is checked against. A player who
+ * hasn't saved any loadouts is judged on their current gear for every
+ * style, as before loadouts existed.
+ *
+ * @param {Object} player - The player object.
+ * @param {string} style - A key of LOADOUT_STYLES.
+ * @returns {Array} The loadouts filed under the style.
+ */
+export function getStyleLoadouts(player, style) {
+  const loadouts = player.loadouts || [];
+  if (loadouts.length === 0) {
+    return [{ name: CURRENT_GEAR_LOADOUT, style, gear: player.gear || {}, inventory: player.inventory || [] }];
+  }
+  return loadouts.filter((loadout) => loadout.style === style);
+}
+
+/**
+ * Check and tidy an inventory-switch list that came from outside the app.
+ *
+ * @param {*} value - The untrusted list.
+ * @param {string} [path='inventory'] - Where the list is, for error messages.
+ * @returns {string[]} The item ids, as strings.
+ * @throws {Error} If the value isn't a list of at most MAX_INVENTORY_SIZE ids.
+ */
+export function normalizeInventory(value, path = 'inventory') {
+  if (!Array.isArray(value) || value.length > MAX_INVENTORY_SIZE) {
+    throw new Error(`${path} must be an array of at most ${MAX_INVENTORY_SIZE} item ids`);
+  }
+  return value.filter((id) => id !== null && id !== '').map(String);
+}
+
+/**
+ * Check and tidy loadouts that came from outside the app, such as a saved
+ * profile or a JSON request body. Item ids are stored as strings.
+ *
+ * @param {*} value - The untrusted `loadouts` value.
+ * @returns {Array} The loadouts.
+ * @throws {Error} If the value isn't a list of loadouts.
+ */
+export function normalizeLoadouts(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('loadouts must be an array');
+  }
+  const names = new Set();
+  return value.map((loadout, i) => {
+    if (typeof loadout !== 'object' || loadout === null || Array.isArray(loadout)) {
+      throw new Error(`loadouts[${i}] must be an object`);
+    }
+    const name = checkLoadoutName(loadout.name);
+    if (names.has(name)) {
+      throw new Error(`loadouts[${i}]: duplicate loadout name "${name}"`);
+    }
+    names.add(name);
+    if (!Object.prototype.hasOwnProperty.call(LOADOUT_STYLES, loadout.style)) {
+      throw new Error(`loadouts[${i}].style must be one of ${Object.keys(LOADOUT_STYLES).join(', ')}`);
+    }
+    const gear = {};
+    if (typeof loadout.gear !== 'undefined') {
+      if (typeof loadout.gear !== 'object' || loadout.gear === null || Array.isArray(loadout.gear)) {
+        throw new Error(`loadouts[${i}].gear must be an object of item ids keyed by slot`);
+      }
+      Object.entries(loadout.gear).forEach(([slot, id]) => {
+        if (id !== null && id !== '') gear[slot] = String(id);
+      });
+    }
+    const inventory = typeof loadout.inventory === 'undefined' ? [] : normalizeInventory(loadout.inventory, `loadouts[${i}].inventory`);
+    return { name, style: loadout.style, gear, inventory };
+  });
+}
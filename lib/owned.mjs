@@ -0,0 +1,250 @@
+// lib/owned.mjs
+// Owned items and "best in slot I own" suggestions. Besides the gear it
+// wears, a player can list the items they own (`owned` in the profile, a
+// list of item ids). For a raid and a combat style, suggestBestInSlot()
+// picks the best item they own and can equip for every slot, checks the
+// raid's gear rules for that style against the setup, and names the next
+// upgrade for each slot.
+//
+// "Best" is a score from the item's bonuses (see STYLE_SCORES). Items a
+// gear rule asks for by id or tag are always included, worn or carried as
+// a switch, so the setup meets as many of the raid's rules as it can.
+
+import { ITEM_SLOTS, getItem, getItemBonuses, isTwoHanded, isAmmoCompatible, splitVariant } from './items.mjs';
+import { LOADOUT_STYLES, MAX_INVENTORY_SIZE, getStyleLoadouts } from './loadouts.mjs';
+import { ENTRY_TIER } from './raid-data.mjs';
+import { evaluateItemRequirements, evaluateRequirements, getRaidRequirements, getTierRequirements } from './requirements.mjs';
+
+// How much an item helps each style, from its bonuses. Strength and
+// magic damage count most since they raise max hits; the prayer bonus
+// breaks ties.
+export const STYLE_SCORES = {
+  melee: (b) => b.meleeStrength + Math.max(b.stabAttack, b.slashAttack, b.crushAttack) / 2 + b.prayer / 10,
+  ranged: (b) => b.rangedStrength + b.rangedAttack / 2 + b.prayer / 10,
+  magic: (b) => b.magicDamage * 2 + b.magicAttack + b.prayer / 10,
+  tank: (b) => (b.stabDefence + b.slashDefence + b.crushDefence + b.magicDefence + b.rangedDefence) / 5 + b.prayer / 2
+};
+
+// Name suffixes of copies that only work inside a minigame: Bounty Hunter,
+// the Gauntlet, Deadman, Nightmare Zone and Castle Wars rentals. They are
+// never suggested as upgrades.
+const MINIGAME_ONLY = /\((?:bh|basic|attuned|perfected|deadman|nz|cr)\)/i;
+
+/**
+ * Score an item for a style.
+ *
+ * @param {Object|null} item - An item from the database.
+ * @param {string} style - A key of LOADOUT_STYLES.
+ * @returns {number} The score; 0 for no item.
+ */
+export function scoreItem(item, style) {
+  return item ? STYLE_SCORES[style](getItemBonuses(item)) : 0;
+}
+
+/**
+ * Add an item to the owned list, once.
+ *
+ * @param {string[]} owned - Item ids owned.
+ * @param {string} id - The item id to add.
+ * @returns {string[]} The updated list; `owned` itself isn't changed.
+ */
+export function addOwnedItem(owned, id) {
+  return owned.includes(String(id)) ? owned : [...owned, String(id)];
+}
+
+/**
+ * Check and tidy an owned-items list that came from outside the app.
+ *
+ * @param {*} value - The untrusted list.
+ * @returns {string[]} The item ids, as strings, without duplicates.
+ * @throws {Error} If the value isn't an array.
+ */
+export function normalizeOwnedItems(value) {
+  if (!Array.isArray(value)) {
+    throw new Error('owned must be an array of item ids');
+  }
+  return value.filter((id) => id !== null && id !== '').reduce(addOwnedItem, []);
+}
+
+/**
+ * Collect the gear rules a raid sets for a style: the `gear` rules of its
+ * requirements and every tier, and their `loadouts` rules for the style.
+ * Rules inside `any` groups are included; rules inside `not` groups,
+ * which ask for gear *not* to be worn, are not.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {string} style - A key of LOADOUT_STYLES.
+ * @param {string} [mode] - The player's game mode, for overrides.
+ * @returns {Array<{tier: string, rule: Object}>} The rules, with the tier
+ *   they belong to.
+ */
+export function collectGearRules(raid, style, mode) {
+  const found = [];
+  const walk = (req, tier) => {
+    if (!req) return;
+    (req.gear || []).forEach((rule) => found.push({ tier, rule }));
+    ((req.loadouts || {})[style] || []).forEach((rule) => found.push({ tier, rule }));
+    [...(req.all || []), ...(req.any || [])].forEach((set) => walk(set, tier));
+  };
+  walk(getRaidRequirements(raid, mode), ENTRY_TIER);
+  (raid.tiers || []).forEach((tier) => walk(getTierRequirements(raid, tier, mode), tier.name));
+  return found;
+}
+
+/**
+ * Check whether an item matches an item or tag rule.
+ *
+ * @param {Object} rule - A gear rule.
+ * @param {string} id - The item id.
+ * @param {Object} item - The item.
+ * @returns {boolean} True if the item meets the rule.
+ */
+function matchesRule(rule, id, item) {
+  if (typeof rule.tag === 'string') return item.tags.includes(rule.tag);
+  return typeof rule.item !== 'undefined' && String(rule.item) === id;
+}
+
+/**
+ * Pick the better of two candidates: the higher score, then the plain
+ * item over a variant, then the shorter name, then the lower id.
+ *
+ * @param {?Object} a - A candidate `{ id, item, score }`, or null.
+ * @param {Object} b - Another candidate.
+ * @returns {Object} The better candidate.
+ */
+function better(a, b) {
+  if (!a) return b;
+  if (b.score !== a.score) return b.score > a.score ? b : a;
+  const plainA = !splitVariant(a.item.name).variant;
+  const plainB = !splitVariant(b.item.name).variant;
+  if (plainA !== plainB) return plainB ? b : a;
+  if (a.item.name.length !== b.item.name.length) return b.item.name.length < a.item.name.length ? b : a;
+  return Number(b.id) < Number(a.id) ? b : a;
+}
+
+/**
+ * Pick the smaller of two upgrades: the lower score, then as better().
+ *
+ * @param {?Object} a - A candidate `{ id, item, score }`, or null.
+ * @param {Object} b - Another candidate.
+ * @returns {Object} The smaller upgrade.
+ */
+function smaller(a, b) {
+  if (!a || b.score === a.score) return better(a, b);
+  return b.score < a.score ? b : a;
+}
+
+/**
+ * Suggest the best setup a player can make from the items they own for a
+ * raid and style.
+ *
+ * Items a gear rule wants in a particular worn slot, such as a salve
+ * amulet in the neck slot, are placed first. The remaining slots get the
+ * owned, equippable item with the highest score; a two-handed weapon is
+ * only picked if it beats the best weapon and shield together, and ammo
+ * has to suit the weapon. Anything else a rule asks for by id or tag, such
+ * as a spec weapon, becomes an inventory switch. The next upgrade for a
+ * slot is the smallest step up: the lowest scoring item the player doesn't
+ * own, but meets the equip requirements of, that scores higher than the
+ * pick.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {string} style - A key of LOADOUT_STYLES.
+ * @param {Object} player - The player object, with `owned` item ids.
+ * @param {Object} context - Shared lookup data holding the item database,
+ *   see evaluateRequirements().
+ * @returns {{gear: Object, inventory: string[], slots: Array, rules: Array}}
+ *   The suggested gear and switches; per slot `{ slot, id, item, score,
+ *   next }` where `next` is `{ id, item, score }` or null; and per gear
+ *   rule `{ tier, label, passedNow, passedWithSetup }`, where `passedNow`
+ *   says whether the player's gear or any of their loadouts of the style
+ *   already meets it.
+ */
+export function suggestBestInSlot(raid, style, player, context) {
+  if (!Object.prototype.hasOwnProperty.call(STYLE_SCORES, style)) {
+    throw new Error(`style must be one of ${Object.keys(LOADOUT_STYLES).join(', ')}`);
+  }
+  const itemDb = context.items || {};
+  const owned = new Set(player.owned || []);
+  const wearable = (id) => {
+    const item = getItem(itemDb, id);
+    return item && evaluateItemRequirements(item, player, context).passed ? { id, item, score: scoreItem(item, style) } : null;
+  };
+  const ownedItems = Array.from(owned).map(wearable).filter(Boolean);
+  const bestIn = (candidates, slot, accept = () => true) =>
+    candidates.filter((entry) => entry.item.slot === slot && accept(entry)).reduce(better, null);
+
+  const gear = {};
+  const inventory = [];
+  const rules = collectGearRules(raid, style, player.mode);
+  const pickedMatch = (rule) => [...Object.values(gear), ...inventory].some((id) => matchesRule(rule, id, getItem(itemDb, id)));
+  const bestMatch = (rule, slot) =>
+    ownedItems.filter((entry) => matchesRule(rule, entry.id, entry.item) && (!slot || entry.item.slot === slot)).reduce(better, null);
+  const itemRules = rules.map(({ rule }) => rule).filter((rule) => typeof rule.bonus !== 'string');
+
+  // Items a rule wants in a particular worn slot come first
+  itemRules
+    .filter((rule) => rule.slot && rule.slot !== 'other')
+    .forEach((rule) => {
+      if (gear[rule.slot] || pickedMatch(rule)) return;
+      const match = bestMatch(rule, rule.slot);
+      if (match) gear[rule.slot] = match.id;
+    });
+
+  // Then the best scoring item for every free slot
+  if (!gear.weapon) {
+    const oneHanded = bestIn(ownedItems, 'weapon', (entry) => !isTwoHanded(entry.item));
+    const twoHanded = gear.shield ? null : bestIn(ownedItems, 'weapon', (entry) => isTwoHanded(entry.item));
+    const shield = gear.shield ? null : bestIn(ownedItems, 'shield');
+    const weapon =
+      twoHanded && twoHanded.score > (oneHanded ? oneHanded.score : 0) + (shield ? shield.score : 0) ? twoHanded : oneHanded;
+    if (weapon) gear.weapon = weapon.id;
+  }
+  const weaponItem = getItem(itemDb, gear.weapon);
+  const fits = (slot) => (entry) => {
+    if (slot === 'shield') return !isTwoHanded(weaponItem);
+    if (slot === 'ammo') return weaponItem && weaponItem.ammo ? isAmmoCompatible(weaponItem, entry.item) : !entry.item.ammoType;
+    return true;
+  };
+  ITEM_SLOTS.forEach((slot) => {
+    if (gear[slot]) return;
+    const pick = bestIn(ownedItems, slot, fits(slot));
+    if (pick && pick.score > 0) gear[slot] = pick.id;
+  });
+
+  // Anything else a rule asks for, such as a spec weapon, is carried as a switch
+  itemRules.forEach((rule) => {
+    if (pickedMatch(rule)) return;
+    const match = bestMatch(rule, rule.slot && rule.slot !== 'other' ? rule.slot : null);
+    if (match && inventory.length < MAX_INVENTORY_SIZE) inventory.push(match.id);
+  });
+
+  const slots = ITEM_SLOTS.map((slot) => {
+    const item = getItem(itemDb, gear[slot]);
+    const score = scoreItem(item, style);
+    const next = Object.keys(itemDb)
+      .filter((id) => itemDb[id].slot === slot && !owned.has(id) && !MINIGAME_ONLY.test(itemDb[id].name))
+      .map(wearable)
+      .filter((entry) => entry && entry.score > score && fits(slot)(entry))
+      .reduce(smaller, null);
+    return { slot, id: gear[slot] || null, item, score, next };
+  });
+
+  const setup = { ...player, gear, inventory };
+  const setups = [
+    player,
+    ...getStyleLoadouts(player, style).map((loadout) => ({ ...player, gear: loadout.gear, inventory: loadout.inventory }))
+  ];
+  const check = (rule, who) => evaluateRequirements({ gear: [rule] }, who, context).rules[0];
+  return {
+    gear,
+    inventory,
+    slots,
+    rules: rules.map(({ tier, rule }) => ({
+      tier,
+      label: check(rule, setup).label,
+      passedNow: setups.some((who) => check(rule, who).passed),
+      passedWithSetup: check(rule, setup).passed
+    }))
+  };
+}
@@ -0,0 +1,247 @@
+// lib/planner.mjs
+// The upgrade planner: what a player still has to do to unlock a raid.
+// It walks the failing parts of a raid's rule tree (see lib/requirements.mjs)
+// and turns them into an ordered checklist: quests in the order they can be
+// done, each preceded by the levels needed to start it, then the raid's own
+// levels, kill counts and gear. Levels come with the XP still to gain.
+//
+// For an `any` group the cheapest option is planned. Locked raids are ranked
+// by how close they are: fewest steps first, then least XP.
+
+import { getQuest, getQuestPrerequisites } from './quests.mjs';
+import { describeRequirement, evaluateRaid } from './requirements.mjs';
+
+// Highest level the planner will plan for.
+export const MAX_LEVEL = 99;
+
+/**
+ * XP needed for each level, indexed by level (XP_TABLE[1] is 0,
+ * XP_TABLE[99] is 13,034,431). Built from the in-game formula, see
+ * https://oldschool.runescape.wiki/w/Experience#Formula
+ */
+export const XP_TABLE = (() => {
+  const table = [0, 0];
+  let points = 0;
+  for (let level = 1; level < MAX_LEVEL; level += 1) {
+    points += Math.floor(level + 300 * 2 ** (level / 7));
+    table.push(Math.floor(points / 4));
+  }
+  return table;
+})();
+
+/**
+ * XP needed to go from the start of one level to another. Unknown current
+ * levels are planned from level 1.
+ *
+ * @param {?number} current - The current level.
+ * @param {number} target - The level to reach.
+ * @returns {number} The XP still to gain; 0 if the target is already met.
+ */
+export function getXpBetween(current, target) {
+  const from = Math.min(MAX_LEVEL, Math.max(1, current || 1));
+  const to = Math.min(MAX_LEVEL, Math.max(1, target));
+  return Math.max(0, XP_TABLE[to] - XP_TABLE[from]);
+}
+
+/**
+ * An empty set of needs, filled in by collectNeeds().
+ *
+ * @returns {Object} The needs.
+ */
+function createNeeds() {
+  return { levels: {}, combat: null, quests: [], kc: [], gear: [], other: [] };
+}
+
+/**
+ * Raise a level target, keeping the higher of the old and new targets.
+ *
+ * @param {Object} levels - Targets keyed by skill.
+ * @param {string} skill - Lowercase skill name.
+ * @param {number} target - The level needed.
+ */
+function addLevel(levels, skill, target) {
+  levels[skill] = Math.max(levels[skill] || 0, target);
+}
+
+/**
+ * Add one set of needs to another.
+ *
+ * @param {Object} into - Needs to add to.
+ * @param {Object} from - Needs to add.
+ */
+function mergeNeeds(into, from) {
+  Object.entries(from.levels).forEach(([skill, target]) => addLevel(into.levels, skill, target));
+  if (from.combat) into.combat = Math.max(into.combat || 0, from.combat);
+  from.quests.forEach((quest) => {
+    if (!into.quests.includes(quest)) into.quests.push(quest);
+  });
+  into.kc.push(...from.kc.filter((entry) => !into.kc.some((known) => known.activity === entry.activity)));
+  into.gear.push(...from.gear.filter((label) => !into.gear.includes(label)));
+  into.other.push(...from.other);
+}
+
+/**
+ * Gather what it takes to make a failing node pass.
+ *
+ * @param {Object} node - A group or rule result from evaluateRequirements().
+ * @param {Object} player - The player object.
+ * @param {Object} needs - Needs to add to.
+ */
+function collectNeeds(node, player, needs) {
+  if (node.passed) return;
+  if (!node.children) {
+    if (node.type === 'skill') addLevel(needs.levels, node.stat, node.required);
+    else if (node.type === 'combat') needs.combat = Math.max(needs.combat || 0, node.required);
+    else if (node.type === 'quest') needs.quests.push(node.required);
+    else if (node.type === 'kc') needs.kc.push({ activity: node.activity, required: node.required, current: node.current });
+    else if (node.type === 'gear') needs.gear.push(node.label);
+    else needs.other.push(node.message);
+    return;
+  }
+  if (node.type === 'any') {
+    const options = node.children.map((option) => {
+      const optionNeeds = createNeeds();
+      collectNeeds(option, player, optionNeeds);
+      return optionNeeds;
+    });
+    const best = options.reduce((a, b) => (compareCost(planCost(b, player), planCost(a, player)) < 0 ? b : a));
+    mergeNeeds(needs, best);
+    return;
+  }
+  if (node.type === 'not') {
+    needs.other.push(`Not allowed: ${describeRequirement(node.children[0])}`);
+    return;
+  }
+  node.children.forEach((child) => collectNeeds(child, player, needs));
+}
+
+/**
+ * Turn needs into an ordered checklist. Quests come first, in an order
+ * they can be done in, with missing prerequisites added and the levels to
+ * start each one listed just before it; the remaining levels, combat
+ * level, kill counts and gear follow.
+ *
+ * @param {Object} needs - Result of collectNeeds().
+ * @param {Object} player - The player object.
+ * @returns {Array<Object>} Steps: `{ type: 'skill', skill, from, to, xp }`,
+ *   `{ type: 'quest', quest }`, `{ type: 'combat', required, current }`,
+ *   `{ type: 'kc', activity, required, current }`, `{ type: 'gear', label }`
+ *   or `{ type: 'other', message }`, each with a `message` to show.
+ */
+function orderSteps(needs, player) {
+  const done = new Set(player.quests || []);
+  const planned = {};
+  const steps = [];
+
+  const reach = (skill, target) => {
+    const current = typeof player[skill] === 'number' ? player[skill] : null;
+    const from = Math.max(current || 0, planned[skill] || 0) || null;
+    if (from !== null && from >= target) return;
+    const xp = getXpBetween(from, target);
+    planned[skill] = target;
+    const name = skill.charAt(0).toUpperCase() + skill.slice(1);
+    steps.push({
+      type: 'skill',
+      skill,
+      from,
+      to: target,
+      xp,
+      message: `Train ${name} to ${target} (${from === null ? 'current level unknown' : `from ${from}`}, ${xp.toLocaleString()} XP)`
+    });
+  };
+
+  const quests = [];
+  needs.quests.forEach((quest) => {
+    [...getQuestPrerequisites(quest), quest].forEach((name) => {
+      if (!done.has(name) && !quests.includes(name)) quests.push(name);
+    });
+  });
+  quests.forEach((name) => {
+    const quest = getQuest(name);
+    Object.entries(quest ? quest.skills : {}).forEach(([skill, level]) => reach(skill, level));
+    steps.push({ type: 'quest', quest: name, message: `Complete ${name}` });
+  });
+
+  Object.entries(needs.levels).forEach(([skill, target]) => reach(skill, target));
+  if (needs.combat) {
+    steps.push({
+      type: 'combat',
+      required: needs.combat,
+      current: player.combat,
+      message: `Reach combat level ${needs.combat} (current ${player.combat})`
+    });
+  }
+  needs.kc.forEach(({ activity, required, current }) => {
+    steps.push({
+      type: 'kc',
+      activity,
+      required,
+      current,
+      message: `Get ${required - current} more ${activity} kills (${current}/${required})`
+    });
+  });
+  needs.gear.forEach((label) => steps.push({ type: 'gear', label, message: `Get ${label}` }));
+  needs.other.forEach((message) => steps.push({ type: 'other', message }));
+  return steps;
+}
+
+/**
+ * Size of a plan, for comparing raids and `any` options.
+ *
+ * @param {Object} needs - Result of collectNeeds().
+ * @param {Object} player - The player object.
+ * @returns {{steps: number, xp: number}} Checklist length and total XP.
+ */
+function planCost(needs, player) {
+  const steps = orderSteps(needs, player);
+  return { steps: steps.length, xp: steps.reduce((sum, step) => sum + (step.xp || 0), 0) };
+}
+
+/**
+ * Order two plan costs, smaller first.
+ *
+ * @param {{steps: number, xp: number}} a - A plan cost.
+ * @param {{steps: number, xp: number}} b - Another plan cost.
+ * @returns {number} Negative if a is closer to unlocking than b.
+ */
+function compareCost(a, b) {
+  return a.steps - b.steps || a.xp - b.xp;
+}
+
+/**
+ * Plan what a player needs to unlock a raid.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {Object} player - The player object.
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {{raid: Object, passed: boolean, steps: Array, xp: number}}
+ *   The raid, whether it's already unlocked, the checklist (see
+ *   orderSteps()) and the total XP it involves.
+ */
+export function planRaid(raid, player, context = {}) {
+  const evaluation = evaluateRaid(raid, player, context);
+  const needs = createNeeds();
+  collectNeeds(evaluation.result, player, needs);
+  const steps = orderSteps(needs, player);
+  return {
+    raid,
+    passed: evaluation.passed,
+    steps,
+    xp: steps.reduce((sum, step) => sum + (step.xp || 0), 0)
+  };
+}
+
+/**
+ * Plan every locked raid and rank them, closest to unlocking first.
+ *
+ * @param {Array} raids - Raid definitions from data/raids.json.
+ * @param {Object} player - The player object.
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {Array} planRaid() results for the locked raids.
+ */
+export function rankLockedRaids(raids, player, context = {}) {
+  return raids
+    .map((raid) => planRaid(raid, player, context))
+    .filter((plan) => !plan.passed)
+    .sort((a, b) => compareCost({ steps: a.steps.length, xp: a.xp }, { steps: b.steps.length, xp: b.xp }));
+}
@@ -0,0 +1,218 @@
+// lib/profiles.mjs
+// Saved player profiles: several named profiles (a main, an alt, a planned
+// account...) kept together in one versioned document, plus the JSON file
+// format used to export a profile and import it again.
+//
+// The saved document looks like:
+//
+//   {
+//     version: 4,
+//     active: 'Main',
+//     profiles: [{ name: 'Main', profile: { attack: 75, ..., quests, gear, loadouts, owned } }]
+//   }
+//
+// and an exported file like `{ version: 4, name: 'Main', profile: {...} }`.
+// `version` says which shape the profiles inside have. Whenever that shape
+// changes, bump PROFILE_VERSION and add a step to MIGRATIONS, so older saves
+// and files are upgraded as they load.
+
+import { DEFAULT_GAME_MODE } from './hiscores.mjs';
+import { normalizePlayer } from './eligibility.mjs';
+
+export const PROFILE_VERSION = 4;
+
+// Longest profile name accepted.
+export const MAX_PROFILE_NAME_LENGTH = 32;
+
+// Name given to a profile carried over from the single-profile save.
+export const LEGACY_PROFILE_NAME = 'Main';
+
+// One upgrade step per version, keyed by the version it upgrades from.
+//
+//   1  the single unnamed profile saved before named profiles, which may
+//      predate game modes; those were all regular accounts
+//   2  profiles from before gear loadouts and inventory switches, which
+//      have neither
+//   3  profiles from before owned items were recorded
+const MIGRATIONS = {
+  1: (profile) => ({ ...profile, mode: profile.mode || DEFAULT_GAME_MODE }),
+  2: (profile) => ({ ...profile, inventory: profile.inventory || [], loadouts: profile.loadouts || [] }),
+  3: (profile) => ({ ...profile, owned: profile.owned || [] })
+};
+
+/**
+ * Check whether a value is a plain object (not null or an array).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for objects.
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check that this version of the app can read a saved version.
+ *
+ * @param {*} version - The `version` of a saved document or file.
+ * @throws {Error} If the version is unknown or newer than this app.
+ */
+function checkProfileVersion(version) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown profile version "${version}"`);
+  }
+  if (version > PROFILE_VERSION) {
+    throw new Error(`This profile was saved by a newer version of the app (version ${version})`);
+  }
+}
+
+/**
+ * Upgrade a profile saved with an older version to the current shape.
+ *
+ * @param {Object} profile - The saved profile.
+ * @param {number} version - The version it was saved with.
+ * @returns {Object} The profile in the current shape.
+ * @throws {Error} If the version is unknown or newer than this app.
+ */
+export function migrateProfile(profile, version) {
+  checkProfileVersion(version);
+  let migrated = profile;
+  for (let step = version; step < PROFILE_VERSION; step += 1) {
+    migrated = MIGRATIONS[step](migrated);
+  }
+  return migrated;
+}
+
+/**
+ * Tidy a profile name and check it's usable.
+ *
+ * @param {*} name - The name entered or read from a file.
+ * @returns {string} The trimmed name.
+ * @throws {Error} If the name is empty or too long.
+ */
+export function checkProfileName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Please enter a profile name.');
+  }
+  if (trimmed.length > MAX_PROFILE_NAME_LENGTH) {
+    throw new Error(`Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Create a document with no profiles.
+ *
+ * @returns {{version: number, active: ?string, profiles: Array}}
+ */
+export function createProfileStore() {
+  return { version: PROFILE_VERSION, active: null, profiles: [] };
+}
+
+/**
+ * Read the saved profiles document, migrating it to the current version.
+ * When there is none yet but a single-profile save from before named
+ * profiles exists, that profile becomes the first one.
+ *
+ * @param {?string} text - The saved document as JSON, if any.
+ * @param {?string} [legacyText] - The old single profile as JSON, if any.
+ * @returns {{version: number, active: ?string, profiles: Array}} The profiles.
+ * @throws {Error} If the saved JSON is malformed or its version unknown or
+ *   newer than this app.
+ */
+export function parseProfileStore(text, legacyText) {
+  const store = createProfileStore();
+  if (!text) {
+    if (legacyText) {
+      store.profiles.push({ name: LEGACY_PROFILE_NAME, profile: migrateProfile(JSON.parse(legacyText), 1) });
+      store.active = LEGACY_PROFILE_NAME;
+    }
+    return store;
+  }
+  const data = JSON.parse(text);
+  if (!isObject(data) || !Array.isArray(data.profiles)) {
+    throw new Error('Saved profiles are malformed');
+  }
+  checkProfileVersion(data.version);
+  data.profiles.forEach((entry) => {
+    if (!isObject(entry) || typeof entry.name !== 'string' || !isObject(entry.profile)) return;
+    store.profiles.push({ name: entry.name, profile: migrateProfile(entry.profile, data.version) });
+  });
+  store.active = findProfile(store, data.active) ? data.active : store.profiles.length ? store.profiles[0].name : null;
+  return store;
+}
+
+/**
+ * Find a profile by name.
+ *
+ * @param {Object} store - The profiles document.
+ * @param {string} name - The profile name.
+ * @returns {Object|undefined} The profile, if there is one by that name.
+ */
+export function findProfile(store, name) {
+  const entry = store.profiles.find((candidate) => candidate.name === name);
+  return entry ? entry.profile : undefined;
+}
+
+/**
+ * Add or replace a profile and make it the active one.
+ *
+ * @param {Object} store - The profiles document.
+ * @param {string} name - The profile name.
+ * @param {Object} profile - The profile to save.
+ * @returns {Object} The updated document.
+ */
+export function putProfile(store, name, profile) {
+  const exists = findProfile(store, name) !== undefined;
+  const profiles = exists
+    ? store.profiles.map((entry) => (entry.name === name ? { name, profile } : entry))
+    : [...store.profiles, { name, profile }];
+  return { ...store, active: name, profiles };
+}
+
+/**
+ * Remove a profile. If it was the active one, the first remaining profile
+ * becomes active.
+ *
+ * @param {Object} store - The profiles document.
+ * @param {string} name - The profile name.
+ * @returns {Object} The updated document.
+ */
+export function removeProfile(store, name) {
+  const profiles = store.profiles.filter((entry) => entry.name !== name);
+  const active = store.active === name ? (profiles.length ? profiles[0].name : null) : store.active;
+  return { ...store, active, profiles };
+}
+
+/**
+ * Wrap a profile for export to a JSON file.
+ *
+ * @param {string} name - The profile name.
+ * @param {Object} profile - The profile.
+ * @returns {{version: number, name: string, profile: Object}}
+ */
+export function exportProfile(name, profile) {
+  return { version: PROFILE_VERSION, name, profile };
+}
+
+/**
+ * Read an imported profile file. Besides exported files this accepts a
+ * bare profile, the shape saved before named profiles and sent to
+ * POST /api/eligibility. The profile is migrated and checked with
+ * normalizePlayer().
+ *
+ * @param {*} data - The parsed file contents.
+ * @param {string} fallbackName - Name to use when the file doesn't have one,
+ *   such as the file name.
+ * @returns {{name: string, profile: Object}} The profile to save.
+ * @throws {Error} If the file isn't a profile or has malformed fields.
+ */
+export function importProfile(data, fallbackName) {
+  if (!isObject(data)) {
+    throw new Error('Profile file must contain a JSON object');
+  }
+  const wrapped = isObject(data.profile);
+  const profile = wrapped ? migrateProfile(data.profile, data.version) : migrateProfile(data, 1);
+  const name = checkProfileName(wrapped && typeof data.name === 'string' && data.name.trim() ? data.name : fallbackName);
+  return { name, profile: normalizePlayer(profile) };
+}
@@ -0,0 +1,1000 @@
+// lib/quests.mjs
+// Quest data and prerequisite helpers. Every entry lists the quests that
+// must be completed first (`quests`) and the skill levels needed to start
+// it (`skills`). Only direct prerequisites are listed; helpers below walk
+// the graph to find indirect ones. Quest point requirements are not
+// modelled.
+//
+// Names match the Old School RuneScape Wiki so raid requirements can use
+// them as written there. Miniquests that gate a real quest or a boss (e.g.
+// Enter the Abyss for Devious Minds, The Frozen Door for Nex) are included
+// and flagged with `miniquest: true`.
+// See https://oldschool.runescape.wiki/w/Quests/List
+
+export const QUESTS = [
+  // Free-to-play quests
+  { name: 'Below Ice Mountain', members: false, quests: [], skills: {} },
+  { name: "Black Knights' Fortress", members: false, quests: [], skills: {} },
+  { name: "Cook's Assistant", members: false, quests: [], skills: {} },
+  { name: 'The Corsair Curse', members: false, quests: [], skills: {} },
+  { name: 'Demon Slayer', members: false, quests: [], skills: {} },
+  { name: "Doric's Quest", members: false, quests: [], skills: {} },
+  { name: 'Dragon Slayer I', members: false, quests: [], skills: {} },
+  { name: 'Ernest the Chicken', members: false, quests: [], skills: {} },
+  { name: 'Goblin Diplomacy', members: false, quests: [], skills: {} },
+  { name: 'Imp Catcher', members: false, quests: [], skills: {} },
+  { name: "The Knight's Sword", members: false, quests: [], skills: { mining: 10 } },
+  { name: 'Misthalin Mystery', members: false, quests: [], skills: {} },
+  { name: "Pirate's Treasure", members: false, quests: [], skills: {} },
+  { name: 'Prince Ali Rescue', members: false, quests: [], skills: {} },
+  { name: 'The Restless Ghost', members: false, quests: [], skills: {} },
+  { name: 'Romeo & Juliet', members: false, quests: [], skills: {} },
+  { name: 'Rune Mysteries', members: false, quests: [], skills: {} },
+  { name: 'Sheep Shearer', members: false, quests: [], skills: {} },
+  { name: 'Shield of Arrav', members: false, quests: [], skills: {} },
+  { name: 'Vampyre Slayer', members: false, quests: [], skills: {} },
+  { name: "Witch's Potion", members: false, quests: [], skills: {} },
+  { name: 'X Marks the Spot', members: false, quests: [], skills: {} },
+
+  // Members quests
+  {
+    name: 'Animal Magnetism',
+    members: true,
+    quests: ['The Restless Ghost', 'Ernest the Chicken', 'Priest in Peril'],
+    skills: { slayer: 18, crafting: 19, ranged: 30, woodcutting: 35 }
+  },
+  {
+    name: 'Another Slice of H.A.M.',
+    members: true,
+    quests: ['Death to the Dorgeshuun', 'The Giant Dwarf', 'The Dig Site', 'Goblin Diplomacy'],
+    skills: { attack: 15, prayer: 25 }
+  },
+  {
+    name: 'The Ascent of Arceuus',
+    members: true,
+    quests: ['Client of Kourend'],
+    skills: { mining: 12, hunter: 12 }
+  },
+  {
+    name: 'At First Light',
+    members: true,
+    quests: ['Children of the Sun', "Eagles' Peak"],
+    skills: { hunter: 46, herblore: 30, construction: 27 }
+  },
+  {
+    name: 'Beneath Cursed Sands',
+    members: true,
+    quests: ['Contact!'],
+    skills: { agility: 62, crafting: 55, firemaking: 55 }
+  },
+  {
+    name: 'Between a Rock...',
+    members: true,
+    quests: ['Dwarf Cannon', 'Fishing Contest'],
+    skills: { defence: 30, mining: 40, smithing: 50 }
+  },
+  {
+    name: 'Big Chompy Bird Hunting',
+    members: true,
+    quests: [],
+    skills: { fletching: 5, cooking: 30, ranged: 30 }
+  },
+  { name: 'Biohazard', members: true, quests: ['Plague City'], skills: {} },
+  { name: 'Bone Voyage', members: true, quests: ['The Dig Site'], skills: {} },
+  {
+    name: 'Cabin Fever',
+    members: true,
+    quests: ["Pirate's Treasure", 'Rum Deal'],
+    skills: { agility: 42, crafting: 45, smithing: 50, ranged: 40 }
+  },
+  { name: 'Children of the Sun', members: true, quests: [], skills: {} },
+  { name: 'Client of Kourend', members: true, quests: [], skills: {} },
+  { name: 'Clock Tower', members: true, quests: [], skills: {} },
+  {
+    name: 'Cold War',
+    members: true,
+    quests: [],
+    skills: { hunter: 10, agility: 30, crafting: 30, construction: 34, thieving: 15 }
+  },
+  {
+    name: 'Contact!',
+    members: true,
+    quests: ['Prince Ali Rescue', "Icthlarin's Little Helper"],
+    skills: {}
+  },
+  {
+    name: 'Creature of Fenkenstrain',
+    members: true,
+    quests: ['Priest in Peril', 'The Restless Ghost'],
+    skills: { crafting: 20, thieving: 25 }
+  },
+  {
+    name: 'The Curse of Arrav',
+    members: true,
+    quests: ['Defender of Varrock', 'Troll Romance'],
+    skills: { mining: 64, ranged: 62, thieving: 62, agility: 61, strength: 58, slayer: 37 }
+  },
+  {
+    name: 'Darkness of Hallowvale',
+    members: true,
+    quests: ['In Aid of the Myreque'],
+    skills: {
+      construction: 5,
+      mining: 20,
+      thieving: 22,
+      agility: 26,
+      crafting: 32,
+      magic: 33,
+      strength: 40
+    }
+  },
+  { name: 'Death Plateau', members: true, quests: [], skills: {} },
+  {
+    name: 'Death on the Isle',
+    members: true,
+    quests: ['Children of the Sun'],
+    skills: { thieving: 34, agility: 32 }
+  },
+  {
+    name: 'Death to the Dorgeshuun',
+    members: true,
+    quests: ['The Lost Tribe'],
+    skills: { agility: 23, thieving: 23 }
+  },
+  {
+    name: 'Defender of Varrock',
+    members: true,
+    quests: [
+      'Shield of Arrav',
+      'Temple of Ikov',
+      'Below Ice Mountain',
+      'Family Crest',
+      'Garden of Tranquillity',
+      'What Lies Below',
+      'Romeo & Juliet',
+      'Demon Slayer'
+    ],
+    skills: { agility: 51, hunter: 52, smithing: 55, mining: 59 }
+  },
+  {
+    name: 'The Depths of Despair',
+    members: true,
+    quests: ['Client of Kourend'],
+    skills: { agility: 18 }
+  },
+  {
+    name: 'Desert Treasure I',
+    members: true,
+    quests: [
+      'The Dig Site',
+      'Temple of Ikov',
+      'The Tourist Trap',
+      'Troll Stronghold',
+      'Priest in Peril',
+      'Waterfall Quest'
+    ],
+    skills: { thieving: 53, firemaking: 50, magic: 50, slayer: 10 }
+  },
+  {
+    name: 'Desert Treasure II - The Fallen Empire',
+    members: true,
+    quests: [
+      'Desert Treasure I',
+      'Secrets of the North',
+      "Enakhra's Lament",
+      'Temple of the Eye',
+      'The Garden of Death',
+      'Below Ice Mountain',
+      'His Faithful Servants'
+    ],
+    skills: { firemaking: 75, magic: 75, thieving: 70, herblore: 62, runecraft: 60, construction: 60 }
+  },
+  {
+    name: 'Devious Minds',
+    members: true,
+    quests: ['Wanted!', 'Troll Stronghold', "Doric's Quest", 'Enter the Abyss'],
+    skills: { smithing: 65, runecraft: 50, fletching: 50 }
+  },
+  {
+    name: 'The Dig Site',
+    members: true,
+    quests: [],
+    skills: { agility: 10, herblore: 10, thieving: 25 }
+  },
+  {
+    name: 'Dragon Slayer II',
+    members: true,
+    quests: [
+      "Legends' Quest",
+      'Dream Mentor',
+      'A Tail of Two Cats',
+      'Animal Magnetism',
+      'Ghosts Ahoy',
+      'Bone Voyage',
+      'Client of Kourend'
+    ],
+    skills: {
+      magic: 75,
+      smithing: 70,
+      mining: 68,
+      crafting: 62,
+      agility: 60,
+      thieving: 60,
+      construction: 50,
+      hitpoints: 50
+    }
+  },
+  {
+    name: 'Dream Mentor',
+    members: true,
+    quests: ['Lunar Diplomacy', "Eadgar's Ruse"],
+    skills: {}
+  },
+  { name: 'Druidic Ritual', members: true, quests: [], skills: {} },
+  { name: 'Dwarf Cannon', members: true, quests: [], skills: {} },
+  {
+    name: "Eadgar's Ruse",
+    members: true,
+    quests: ['Druidic Ritual', 'Troll Stronghold'],
+    skills: { herblore: 31 }
+  },
+  { name: "Eagles' Peak", members: true, quests: [], skills: { hunter: 27 } },
+  {
+    name: 'Elemental Workshop I',
+    members: true,
+    quests: [],
+    skills: { mining: 20, smithing: 20, crafting: 20 }
+  },
+  {
+    name: 'Elemental Workshop II',
+    members: true,
+    quests: ['Elemental Workshop I'],
+    skills: { magic: 20, smithing: 30 }
+  },
+  {
+    name: "Enakhra's Lament",
+    members: true,
+    quests: [],
+    skills: { crafting: 50, firemaking: 45, prayer: 43, magic: 39 }
+  },
+  {
+    name: 'Enlightened Journey',
+    members: true,
+    quests: [],
+    skills: { firemaking: 20, farming: 30, crafting: 36 }
+  },
+  {
+    name: 'Ethically Acquired Antiquities',
+    members: true,
+    quests: ['Children of the Sun'],
+    skills: { thieving: 25 }
+  },
+  {
+    name: 'The Eyes of Glouphrie',
+    members: true,
+    quests: ['The Grand Tree'],
+    skills: { construction: 5, magic: 46 }
+  },
+  {
+    name: 'Fairytale I - Growing Pains',
+    members: true,
+    quests: ['Lost City', 'Nature Spirit'],
+    skills: {}
+  },
+  {
+    name: 'Fairytale II - Cure a Queen',
+    members: true,
+    quests: ['Fairytale I - Growing Pains'],
+    skills: { thieving: 40, farming: 49, herblore: 57 }
+  },
+  {
+    name: 'Family Crest',
+    members: true,
+    quests: [],
+    skills: { crafting: 40, smithing: 40, mining: 40, magic: 59 }
+  },
+  { name: 'The Feud', members: true, quests: [], skills: { thieving: 30 } },
+  { name: 'Fight Arena', members: true, quests: [], skills: {} },
+  {
+    name: 'The Final Dawn',
+    members: true,
+    quests: ['The Heart of Darkness', 'Perilous Moons'],
+    skills: { thieving: 66, fletching: 52, runecraft: 52 }
+  },
+  { name: 'Fishing Contest', members: true, quests: [], skills: { fishing: 10 } },
+  {
+    name: 'Forgettable Tale...',
+    members: true,
+    quests: ['The Giant Dwarf', 'Fishing Contest'],
+    skills: { cooking: 22, farming: 17 }
+  },
+  { name: 'The Forsaken Tower', members: true, quests: ['Client of Kourend'], skills: {} },
+  {
+    name: 'The Fremennik Exiles',
+    members: true,
+    quests: ['The Fremennik Isles', 'Lunar Diplomacy', 'Mountain Daughter', "Heroes' Quest"],
+    skills: { crafting: 65, slayer: 60, smithing: 60, fishing: 60, runecraft: 55 }
+  },
+  {
+    name: 'The Fremennik Isles',
+    members: true,
+    quests: ['The Fremennik Trials'],
+    skills: { construction: 20, agility: 40, woodcutting: 56, crafting: 46 }
+  },
+  { name: 'The Fremennik Trials', members: true, quests: [], skills: {} },
+  {
+    name: 'Garden of Tranquillity',
+    members: true,
+    quests: ['Creature of Fenkenstrain'],
+    skills: { farming: 25 }
+  },
+  { name: 'The Garden of Death', members: true, quests: [], skills: { farming: 20 } },
+  { name: "Gertrude's Cat", members: true, quests: [], skills: {} },
+  {
+    name: 'Getting Ahead',
+    members: true,
+    quests: [],
+    skills: { crafting: 30, construction: 26 }
+  },
+  {
+    name: 'Ghosts Ahoy',
+    members: true,
+    quests: ['Priest in Peril', 'The Restless Ghost'],
+    skills: { agility: 25, cooking: 20 }
+  },
+  {
+    name: 'The Giant Dwarf',
+    members: true,
+    quests: [],
+    skills: { crafting: 12, firemaking: 16, magic: 33, thieving: 14 }
+  },
+  { name: 'The Golem', members: true, quests: [], skills: { crafting: 20, thieving: 25 } },
+  { name: 'The Grand Tree', members: true, quests: [], skills: { agility: 25 } },
+  {
+    name: 'The Great Brain Robbery',
+    members: true,
+    quests: ['Creature of Fenkenstrain', 'Cabin Fever'],
+    skills: { crafting: 16, construction: 30, prayer: 50 }
+  },
+  {
+    name: 'Grim Tales',
+    members: true,
+    quests: ["Witch's House"],
+    skills: { farming: 45, herblore: 52, thieving: 58, agility: 59, woodcutting: 71 }
+  },
+  {
+    name: 'The Hand in the Sand',
+    members: true,
+    quests: [],
+    skills: { thieving: 17, crafting: 49 }
+  },
+  {
+    name: 'Haunted Mine',
+    members: true,
+    quests: ['Priest in Peril'],
+    skills: { agility: 15, crafting: 35 }
+  },
+  { name: 'Hazeel Cult', members: true, quests: [], skills: {} },
+  {
+    name: 'The Heart of Darkness',
+    members: true,
+    quests: ["Twilight's Promise"],
+    skills: { mining: 55, thieving: 48, slayer: 48, agility: 46 }
+  },
+  {
+    name: "Heroes' Quest",
+    members: true,
+    quests: ['Shield of Arrav', 'Lost City', "Merlin's Crystal", 'Dragon Slayer I'],
+    skills: { cooking: 53, fishing: 53, herblore: 25, mining: 50 }
+  },
+  { name: 'Holy Grail', members: true, quests: ["Merlin's Crystal"], skills: { attack: 20 } },
+  {
+    name: 'Horror from the Deep',
+    members: true,
+    quests: ["Alfred Grimhand's Barcrawl"],
+    skills: { agility: 35 }
+  },
+  {
+    name: "Icthlarin's Little Helper",
+    members: true,
+    quests: ["Gertrude's Cat"],
+    skills: {}
+  },
+  {
+    name: 'In Aid of the Myreque',
+    members: true,
+    quests: ['In Search of the Myreque'],
+    skills: { crafting: 25, mining: 15, magic: 7 }
+  },
+  {
+    name: 'In Search of the Myreque',
+    members: true,
+    quests: ['Nature Spirit'],
+    skills: { agility: 25 }
+  },
+  { name: 'Jungle Potion', members: true, quests: ['Druidic Ritual'], skills: { herblore: 3 } },
+  {
+    name: 'A Kingdom Divided',
+    members: true,
+    quests: [
+      'The Depths of Despair',
+      'The Queen of Thieves',
+      'The Ascent of Arceuus',
+      'The Forsaken Tower',
+      'Tale of the Righteous'
+    ],
+    skills: {
+      agility: 54,
+      thieving: 52,
+      woodcutting: 52,
+      herblore: 50,
+      mining: 42,
+      crafting: 38,
+      magic: 35
+    }
+  },
+  {
+    name: "King's Ransom",
+    members: true,
+    quests: ["Black Knights' Fortress", 'Holy Grail', 'Murder Mystery', 'One Small Favour'],
+    skills: { magic: 45, defence: 65 }
+  },
+  {
+    name: 'Land of the Goblins',
+    members: true,
+    quests: ['Another Slice of H.A.M.', 'Fishing Contest'],
+    skills: { agility: 38, fishing: 40, thieving: 45, herblore: 48 }
+  },
+  {
+    name: "Legends' Quest",
+    members: true,
+    quests: ['Family Crest', "Heroes' Quest", 'Shilo Village', 'Underground Pass', 'Waterfall Quest'],
+    skills: {
+      agility: 50,
+      crafting: 50,
+      herblore: 45,
+      magic: 56,
+      mining: 52,
+      prayer: 42,
+      smithing: 50,
+      strength: 50,
+      thieving: 50,
+      woodcutting: 50
+    }
+  },
+  {
+    name: 'Lost City',
+    members: true,
+    quests: [],
+    skills: { crafting: 31, woodcutting: 36 }
+  },
+  {
+    name: 'The Lost Tribe',
+    members: true,
+    quests: ['Goblin Diplomacy', 'Rune Mysteries'],
+    skills: { agility: 13, thieving: 13, mining: 17 }
+  },
+  {
+    name: 'Lunar Diplomacy',
+    members: true,
+    quests: ['The Fremennik Trials', 'Lost City', 'Rune Mysteries', 'Shilo Village'],
+    skills: {
+      herblore: 5,
+      crafting: 61,
+      defence: 40,
+      firemaking: 49,
+      magic: 65,
+      mining: 60,
+      woodcutting: 55
+    }
+  },
+  {
+    name: 'Making Friends with My Arm',
+    members: true,
+    quests: ["My Arm's Big Adventure", 'Swan Song', 'Cold War', 'Romeo & Juliet'],
+    skills: { firemaking: 66, mining: 72, construction: 35, agility: 68 }
+  },
+  {
+    name: 'Making History',
+    members: true,
+    quests: ['Priest in Peril', 'The Restless Ghost'],
+    skills: {}
+  },
+  { name: 'Meat and Greet', members: true, quests: ['Children of the Sun'], skills: {} },
+  { name: "Merlin's Crystal", members: true, quests: [], skills: {} },
+  {
+    name: 'Monkey Madness I',
+    members: true,
+    quests: ['The Grand Tree', 'Tree Gnome Village'],
+    skills: {}
+  },
+  {
+    name: 'Monkey Madness II',
+    members: true,
+    quests: [
+      'Enlightened Journey',
+      'The Eyes of Glouphrie',
+      'Monkey Madness I',
+      'Troll Stronghold',
+      'Watchtower'
+    ],
+    skills: { slayer: 69, crafting: 70, hunter: 60, agility: 55, thieving: 55, firemaking: 60 }
+  },
+  { name: "Monk's Friend", members: true, quests: [], skills: {} },
+  { name: 'Mountain Daughter', members: true, quests: [], skills: { agility: 20 } },
+  {
+    name: "Mourning's End Part I",
+    members: true,
+    quests: ['Roving Elves', 'Big Chompy Bird Hunting', 'Sheep Herder'],
+    skills: { ranged: 60, thieving: 50 }
+  },
+  {
+    name: "Mourning's End Part II",
+    members: true,
+    quests: ["Mourning's End Part I"],
+    skills: { agility: 60 }
+  },
+  { name: 'Murder Mystery', members: true, quests: [], skills: {} },
+  {
+    name: "My Arm's Big Adventure",
+    members: true,
+    quests: ["Eadgar's Ruse", 'The Feud', 'Jungle Potion'],
+    skills: { woodcutting: 10, farming: 29 }
+  },
+  {
+    name: 'Nature Spirit',
+    members: true,
+    quests: ['Priest in Peril', 'The Restless Ghost'],
+    skills: {}
+  },
+  { name: 'A Night at the Theatre', members: true, quests: ['A Taste of Hope'], skills: {} },
+  { name: 'Observatory Quest', members: true, quests: [], skills: {} },
+  {
+    name: "Olaf's Quest",
+    members: true,
+    quests: ['The Fremennik Trials'],
+    skills: { firemaking: 40, woodcutting: 50 }
+  },
+  {
+    name: 'One Small Favour',
+    members: true,
+    quests: ['Rune Mysteries', 'Shilo Village'],
+    skills: { agility: 36, crafting: 25, herblore: 18, smithing: 30 }
+  },
+  {
+    name: 'The Path of Glouphrie',
+    members: true,
+    quests: ['The Eyes of Glouphrie', 'Waterfall Quest', 'Tree Gnome Village'],
+    skills: { strength: 60, slayer: 56, thieving: 56, ranged: 47, agility: 45 }
+  },
+  {
+    name: 'Perilous Moons',
+    members: true,
+    quests: ["Twilight's Promise"],
+    skills: { slayer: 48, hunter: 20, fishing: 20, runecraft: 20, construction: 10 }
+  },
+  { name: 'Plague City', members: true, quests: [], skills: {} },
+  { name: 'Priest in Peril', members: true, quests: [], skills: {} },
+  {
+    name: 'The Queen of Thieves',
+    members: true,
+    quests: ['Client of Kourend'],
+    skills: { thieving: 20 }
+  },
+  { name: 'Rag and Bone Man I', members: true, quests: [], skills: {} },
+  {
+    name: 'Rag and Bone Man II',
+    members: true,
+    quests: [
+      'Rag and Bone Man I',
+      'Creature of Fenkenstrain',
+      'Zogre Flesh Eaters',
+      'Waterfall Quest',
+      'The Fremennik Trials',
+      'Skippy and the Mogres'
+    ],
+    skills: { slayer: 40, defence: 20 }
+  },
+  {
+    name: 'Ratcatchers',
+    members: true,
+    quests: ["Icthlarin's Little Helper", 'The Giant Dwarf'],
+    skills: {}
+  },
+  {
+    name: 'Recipe for Disaster',
+    members: true,
+    quests: [
+      "Cook's Assistant",
+      'Fishing Contest',
+      'Goblin Diplomacy',
+      'Big Chompy Bird Hunting',
+      'Murder Mystery',
+      'Nature Spirit',
+      "Witch's House",
+      "Gertrude's Cat",
+      'Shadow of the Storm',
+      "Legends' Quest",
+      'Monkey Madness I',
+      'Desert Treasure I',
+      'Horror from the Deep'
+    ],
+    skills: {
+      cooking: 70,
+      agility: 48,
+      fishing: 53,
+      thieving: 53,
+      magic: 59,
+      mining: 52,
+      smithing: 40,
+      firemaking: 50,
+      crafting: 40,
+      ranged: 40,
+      herblore: 25,
+      woodcutting: 36,
+      fletching: 10,
+      slayer: 10
+    }
+  },
+  {
+    name: 'Recruitment Drive',
+    members: true,
+    quests: ["Black Knights' Fortress", 'Druidic Ritual'],
+    skills: {}
+  },
+  {
+    name: 'Regicide',
+    members: true,
+    quests: ['Underground Pass'],
+    skills: { agility: 56, crafting: 10 }
+  },
+  {
+    name: 'The Ribbiting Tale of a Lily Pad Labour Dispute',
+    members: true,
+    quests: ['Children of the Sun'],
+    skills: { woodcutting: 15 }
+  },
+  {
+    name: 'Roving Elves',
+    members: true,
+    quests: ['Regicide', 'Waterfall Quest'],
+    skills: {}
+  },
+  {
+    name: 'Royal Trouble',
+    members: true,
+    quests: ['Throne of Miscellania'],
+    skills: { agility: 40, slayer: 40 }
+  },
+  {
+    name: 'Rum Deal',
+    members: true,
+    quests: ['Zogre Flesh Eaters', 'Priest in Peril'],
+    skills: { crafting: 42, fishing: 50, farming: 40, prayer: 47, slayer: 42 }
+  },
+  { name: 'Scorpion Catcher', members: true, quests: [], skills: { prayer: 31 } },
+  { name: 'Sea Slug', members: true, quests: [], skills: { firemaking: 30 } },
+  {
+    name: 'Secrets of the North',
+    members: true,
+    quests: ['Making Friends with My Arm', "The General's Shadow", 'Devious Minds', 'Hazeel Cult'],
+    skills: { agility: 69, thieving: 64, hunter: 56 }
+  },
+  {
+    name: "Shades of Mort'ton",
+    members: true,
+    quests: ['Priest in Peril'],
+    skills: { crafting: 20, herblore: 15, firemaking: 5 }
+  },
+  {
+    name: 'Shadow of the Storm',
+    members: true,
+    quests: ['The Golem', 'Demon Slayer'],
+    skills: { crafting: 30 }
+  },
+  { name: 'Sheep Herder', members: true, quests: [], skills: {} },
+  {
+    name: 'Shilo Village',
+    members: true,
+    quests: ['Jungle Potion'],
+    skills: { crafting: 20, agility: 32 }
+  },
+  {
+    name: 'Sins of the Father',
+    members: true,
+    quests: ['Vampyre Slayer', 'A Taste of Hope'],
+    skills: {
+      woodcutting: 62,
+      fletching: 60,
+      crafting: 56,
+      agility: 52,
+      attack: 50,
+      slayer: 50,
+      magic: 49
+    }
+  },
+  { name: 'Sleeping Giants', members: true, quests: [], skills: { smithing: 15 } },
+  {
+    name: 'The Slug Menace',
+    members: true,
+    quests: ['Wanted!', 'Sea Slug'],
+    skills: { crafting: 30, runecraft: 30, slayer: 30, thieving: 30 }
+  },
+  {
+    name: 'Song of the Elves',
+    members: true,
+    quests: ["Mourning's End Part II", 'Making History'],
+    skills: {
+      agility: 70,
+      construction: 70,
+      farming: 70,
+      herblore: 70,
+      hunter: 70,
+      mining: 70,
+      smithing: 70,
+      woodcutting: 70
+    }
+  },
+  { name: "A Soul's Bane", members: true, quests: [], skills: {} },
+  {
+    name: 'Spirits of the Elid',
+    members: true,
+    quests: [],
+    skills: { magic: 33, ranged: 37, mining: 37, thieving: 37 }
+  },
+  {
+    name: 'Swan Song',
+    members: true,
+    quests: ['One Small Favour', 'Garden of Tranquillity'],
+    skills: { magic: 66, cooking: 62, fishing: 62, smithing: 45, firemaking: 42, crafting: 40 }
+  },
+  {
+    name: 'Tai Bwo Wannai Trio',
+    members: true,
+    quests: ['Jungle Potion'],
+    skills: { agility: 15, cooking: 30, fishing: 5 }
+  },
+  {
+    name: 'A Tail of Two Cats',
+    members: true,
+    quests: ["Icthlarin's Little Helper"],
+    skills: {}
+  },
+  {
+    name: 'Tale of the Righteous',
+    members: true,
+    quests: ['Client of Kourend'],
+    skills: { strength: 16, mining: 10 }
+  },
+  {
+    name: 'A Taste of Hope',
+    members: true,
+    quests: ['Darkness of Hallowvale'],
+    skills: { crafting: 48, agility: 45, attack: 40, herblore: 40, slayer: 38 }
+  },
+  {
+    name: 'Tears of Guthix',
+    members: true,
+    quests: [],
+    skills: { firemaking: 49, crafting: 20, mining: 20 }
+  },
+  {
+    name: 'Temple of Ikov',
+    members: true,
+    quests: [],
+    skills: { thieving: 42, ranged: 40 }
+  },
+  {
+    name: 'Temple of the Eye',
+    members: true,
+    quests: ['Enter the Abyss'],
+    skills: { runecraft: 10 }
+  },
+  {
+    name: 'Throne of Miscellania',
+    members: true,
+    quests: ["Heroes' Quest", 'The Fremennik Trials'],
+    skills: {}
+  },
+  {
+    name: 'The Tourist Trap',
+    members: true,
+    quests: [],
+    skills: { fletching: 10, smithing: 20 }
+  },
+  { name: 'Tower of Life', members: true, quests: [], skills: { construction: 10 } },
+  { name: 'Tree Gnome Village', members: true, quests: [], skills: {} },
+  { name: 'Tribal Totem', members: true, quests: [], skills: { thieving: 21 } },
+  {
+    name: 'Troll Romance',
+    members: true,
+    quests: ['Troll Stronghold'],
+    skills: { agility: 28 }
+  },
+  {
+    name: 'Troll Stronghold',
+    members: true,
+    quests: ['Death Plateau'],
+    skills: { agility: 15 }
+  },
+  {
+    name: "Twilight's Promise",
+    members: true,
+    quests: ['Children of the Sun'],
+    skills: {}
+  },
+  { name: 'Underground Pass', members: true, quests: ['Biohazard'], skills: { ranged: 25 } },
+  {
+    name: 'Wanted!',
+    members: true,
+    quests: ['Recruitment Drive', 'The Lost Tribe', 'Priest in Peril', 'Enter the Abyss'],
+    skills: {}
+  },
+  {
+    name: 'Watchtower',
+    members: true,
+    quests: [],
+    skills: { herblore: 14, magic: 15, thieving: 15, agility: 25, mining: 40 }
+  },
+  { name: 'Waterfall Quest', members: true, quests: [], skills: {} },
+  {
+    name: 'What Lies Below',
+    members: true,
+    quests: ['Rune Mysteries'],
+    skills: { runecraft: 35 }
+  },
+  {
+    name: 'While Guthix Sleeps',
+    members: true,
+    quests: [
+      'Defender of Varrock',
+      'The Hand in the Sand',
+      'Wanted!',
+      'Tears of Guthix',
+      'The Path of Glouphrie',
+      'Fight Arena',
+      'Zogre Flesh Eaters',
+      'The Dig Site'
+    ],
+    skills: { thieving: 72, magic: 67, agility: 66, farming: 65, herblore: 65, hunter: 55 }
+  },
+  { name: "Witch's House", members: true, quests: [], skills: {} },
+  {
+    name: 'Zogre Flesh Eaters',
+    members: true,
+    quests: ['Big Chompy Bird Hunting', 'Jungle Potion'],
+    skills: { smithing: 4, herblore: 8, ranged: 30 }
+  },
+
+  // Miniquests that are prerequisites of the quests above or of raids
+  {
+    name: "Alfred Grimhand's Barcrawl",
+    members: true,
+    miniquest: true,
+    quests: [],
+    skills: {}
+  },
+  {
+    name: 'Enter the Abyss',
+    members: true,
+    miniquest: true,
+    quests: ['Rune Mysteries'],
+    skills: {}
+  },
+  {
+    name: 'The Frozen Door',
+    members: true,
+    miniquest: true,
+    quests: ['Desert Treasure I'],
+    skills: { agility: 70, strength: 70, hitpoints: 70, ranged: 70 }
+  },
+  {
+    name: "The General's Shadow",
+    members: true,
+    miniquest: true,
+    quests: ['Fight Arena'],
+    skills: {}
+  },
+  {
+    name: 'His Faithful Servants',
+    members: true,
+    miniquest: true,
+    quests: ['Priest in Peril'],
+    skills: {}
+  },
+  {
+    name: 'Skippy and the Mogres',
+    members: true,
+    miniquest: true,
+    quests: [],
+    skills: {}
+  }
+];
+
+// Old names that may still appear in saved profiles or raid data, mapped
+// to the current wiki name.
+export const QUEST_ALIASES = {
+  'Desert Treasure': 'Desert Treasure I',
+  'Dragon Slayer': 'Dragon Slayer I',
+  'Monkey Madness': 'Monkey Madness I'
+};
+
+// Lookup table built once so the helpers below don't scan the list.
+const questsByName = new Map(QUESTS.map((quest) => [quest.name, quest]));
+
+/**
+ * Resolve a quest name, following QUEST_ALIASES for renamed quests.
+ *
+ * @param {string} name - A quest name, possibly an old alias.
+ * @returns {string} The current quest name.
+ */
+export function resolveQuestName(name) {
+  return QUEST_ALIASES[name] || name;
+}
+
+/**
+ * Look up a quest definition by name.
+ *
+ * @param {string} name - The quest name (aliases are accepted).
+ * @returns {Object|undefined} The quest entry, or undefined if unknown.
+ */
+export function getQuest(name) {
+  return questsByName.get(resolveQuestName(name));
+}
+
+/**
+ * Collect every quest that must be completed before `name`, including
+ * prerequisites of prerequisites. The result is ordered so that each
+ * quest appears after all of its own prerequisites, which makes it
+ * usable as a to-do list.
+ *
+ * @param {string} name - The quest to start from.
+ * @returns {string[]} Prerequisite quest names, dependencies first.
+ */
+export function getQuestPrerequisites(name) {
+  const ordered = [];
+  const visited = new Set();
+  const visit = (questName) => {
+    const quest = getQuest(questName);
+    if (!quest) return;
+    quest.quests.forEach((prereq) => {
+      if (visited.has(prereq)) return;
+      visited.add(prereq);
+      visit(prereq);
+      ordered.push(prereq);
+    });
+  };
+  visit(name);
+  return ordered;
+}
+
+/**
+ * Find completed quests whose own prerequisites are not met. Only direct
+ * prerequisites are reported for each quest, so a missing quest deep in
+ * the chain is flagged once, on the quest that needs it directly.
+ *
+ * Skill requirements are only checked for skills present in `levels`;
+ * when the player hasn't fetched their hiscores we don't know their
+ * non-combat levels and skip those checks rather than warn wrongly.
+ *
+ * @param {string[]} completed - Names of the quests marked as completed.
+ * @param {Object} [levels={}] - Known skill levels keyed by skill name.
+ * @returns {Array<{quest: string, quests: string[], skills: Array}>}
+ *   One entry per quest with unmet prerequisites.
+ */
+export function findMissingQuestPrerequisites(completed, levels = {}) {
+  const done = new Set(completed.map(resolveQuestName));
+  const problems = [];
+  done.forEach((questName) => {
+    const quest = getQuest(questName);
+    if (!quest) return;
+    const quests = quest.quests.filter((prereq) => !done.has(prereq));
+    const skills = Object.entries(quest.skills)
+      .filter(([skill, required]) => typeof levels[skill] === 'number' && levels[skill] < required)
+      .map(([skill, required]) => ({ skill, required, current: levels[skill] }));
+    if (quests.length > 0 || skills.length > 0) {
+      problems.push({ quest: questName, quests, skills });
+    }
+  });
+  return problems;
+}
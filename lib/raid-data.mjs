@@ -0,0 +1,483 @@
+// lib/raid-data.mjs
+// Validation for data/raids.json. The JSON Schema in data/raids.schema.json
+// documents the file's shape for editors; this validator enforces the same
+// rules at load time and also checks names against the app's own data, so
+// a typo such as "rangd" or "Regicde" fails loudly instead of silently
+// locking a raid for everyone.
+
+// The only format version this code understands. Bump together with the
+// `version` const in raids.schema.json when the shape changes.
+export const RAID_DATA_VERSION = 2;
+
+const RAID_KEYS = [
+  'name',
+  'category',
+  'styles',
+  'groupSize',
+  'activity',
+  'image',
+  'guide',
+  'notes',
+  'target',
+  'requirements',
+  'overrides',
+  'tiers'
+];
+const GROUP_SIZE_KEYS = ['min', 'max'];
+const OVERRIDE_KEYS = ['modes', 'requirements'];
+const TIER_KEYS = ['name', 'requirements'];
+
+// Name of the tier a raid's own `requirements` define; `tiers` list the
+// ones above it.
+export const ENTRY_TIER = 'Entry';
+const TARGET_KEYS = ['name', 'hitpoints', 'defence', 'magic', 'defenceBonuses', 'attributes'];
+const DEFENCE_BONUS_KEYS = ['stab', 'slash', 'crush', 'magic', 'ranged'];
+const TARGET_ATTRIBUTES = ['undead', 'dragon', 'demon'];
+const REQUIREMENT_KEYS = ['combat', 'prayer', 'stats', 'quests', 'kc', 'gear', 'loadouts', 'all', 'any', 'not'];
+const GEAR_RULE_KINDS = ['item', 'tag', 'bonus'];
+
+/**
+ * Check whether a value is a whole number within an inclusive range.
+ *
+ * @param {*} value - The value to check.
+ * @param {number} min - Smallest allowed value.
+ * @param {number} max - Largest allowed value.
+ * @returns {boolean} True when the value is an integer in range.
+ */
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Check whether a value is a plain object (not null or an array).
+ *
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for plain objects.
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Validate the representative target a raid's DPS is calculated against.
+ *
+ * @param {*} target - The raid's `target` object.
+ * @param {string} path - Human-readable location used in error messages.
+ * @param {string[]} errors - Array that error messages are appended to.
+ */
+function validateTarget(target, path, errors) {
+  if (!isPlainObject(target)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  Object.keys(target).forEach((key) => {
+    if (!TARGET_KEYS.includes(key)) {
+      errors.push(`${path}: unknown property "${key}"`);
+    }
+  });
+  if (typeof target.name !== 'string' || !target.name.trim()) {
+    errors.push(`${path}.name: must be a non-empty string`);
+  }
+  if (!Number.isInteger(target.hitpoints) || target.hitpoints < 1) {
+    errors.push(`${path}.hitpoints: must be a whole number of at least 1`);
+  }
+  ['defence', 'magic'].forEach((level) => {
+    if (!Number.isInteger(target[level]) || target[level] < 0) {
+      errors.push(`${path}.${level}: must be a whole number of at least 0`);
+    }
+  });
+  if (!isPlainObject(target.defenceBonuses)) {
+    errors.push(`${path}.defenceBonuses: must be an object`);
+  } else {
+    DEFENCE_BONUS_KEYS.forEach((key) => {
+      if (!Number.isInteger(target.defenceBonuses[key])) {
+        errors.push(`${path}.defenceBonuses.${key}: must be a whole number`);
+      }
+    });
+  }
+  if (typeof target.attributes !== 'undefined') {
+    if (!Array.isArray(target.attributes)) {
+      errors.push(`${path}.attributes: must be an array`);
+    } else {
+      target.attributes.forEach((attribute) => {
+        if (!TARGET_ATTRIBUTES.includes(attribute)) {
+          errors.push(`${path}.attributes: unknown attribute ${JSON.stringify(attribute)}`);
+        }
+      });
+    }
+  }
+}
+
+/**
+ * Validate one gear rule. A rule names exactly one of an item id, an item
+ * tag (optionally limited to a slot) or an equipment bonus with a minimum.
+ *
+ * @param {*} rule - The gear rule.
+ * @param {string} path - Human-readable location used in error messages.
+ * @param {Object} known - Sets of known item ids, tags, slots and bonuses.
+ * @param {string[]} errors - Array that error messages are appended to.
+ */
+function validateGearRule(rule, path, known, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push(`${path}: gear rule must be an object with "item", "tag" or "bonus"`);
+    return;
+  }
+  const kinds = GEAR_RULE_KINDS.filter((kind) => typeof rule[kind] !== 'undefined');
+  if (kinds.length !== 1) {
+    errors.push(`${path}: gear rule must have exactly one of "item", "tag" or "bonus"`);
+    return;
+  }
+  const allowed = { item: ['item'], tag: ['tag', 'slot'], bonus: ['bonus', 'min'] }[kinds[0]];
+  Object.keys(rule).forEach((key) => {
+    if (!allowed.includes(key)) {
+      errors.push(`${path}: unexpected property "${key}"`);
+    }
+  });
+
+  if (kinds[0] === 'item') {
+    if (!Number.isInteger(rule.item) || rule.item < 0) {
+      errors.push(`${path}.item: must be an item id`);
+    } else if (known.items && !known.items.has(String(rule.item))) {
+      errors.push(`${path}.item: unknown item id ${rule.item}`);
+    }
+  } else if (kinds[0] === 'tag') {
+    if (typeof rule.tag !== 'string' || !rule.tag) {
+      errors.push(`${path}.tag: must be a non-empty string`);
+    } else if (known.tags && !known.tags.has(rule.tag)) {
+      errors.push(`${path}.tag: no item has the tag "${rule.tag}"`);
+    }
+    if (typeof rule.slot !== 'undefined' && known.slots && !known.slots.has(rule.slot)) {
+      errors.push(`${path}.slot: unknown slot "${rule.slot}"`);
+    }
+  } else {
+    if (known.bonuses && !known.bonuses.has(rule.bonus)) {
+      errors.push(`${path}.bonus: unknown bonus "${rule.bonus}"`);
+    }
+    if (!Number.isInteger(rule.min)) {
+      errors.push(`${path}.min: must be a whole number`);
+    }
+  }
+}
+
+/**
+ * Validate the requirements block of a single raid and push an error
+ * message for every problem found. Nested `all`, `any` and `not` groups
+ * are requirement sets themselves and are validated recursively.
+ *
+ * @param {Object} req - The raid's `requirements` object.
+ * @param {string} path - Human-readable location used in error messages.
+ * @param {Object} known - Sets of known skills, quests, activities and gear names.
+ * @param {string[]} errors - Array that error messages are appended to.
+ */
+function validateRequirements(req, path, known, errors) {
+  if (!isPlainObject(req)) {
+    errors.push(`${path}: must be an object`);
+    return;
+  }
+  Object.keys(req).forEach((key) => {
+    if (!REQUIREMENT_KEYS.includes(key)) {
+      errors.push(`${path}: unknown requirement "${key}"`);
+    }
+  });
+
+  if (typeof req.combat !== 'undefined' && !isIntegerInRange(req.combat, 3, 126)) {
+    errors.push(`${path}.combat: must be a whole number from 3 to 126`);
+  }
+  if (typeof req.prayer !== 'undefined' && !isIntegerInRange(req.prayer, 1, 99)) {
+    errors.push(`${path}.prayer: must be a whole number from 1 to 99`);
+  }
+
+  if (typeof req.stats !== 'undefined') {
+    if (!isPlainObject(req.stats)) {
+      errors.push(`${path}.stats: must be an object of skill levels`);
+    } else {
+      Object.entries(req.stats).forEach(([stat, level]) => {
+        if (!known.skills.has(stat)) {
+          errors.push(`${path}.stats: unknown stat "${stat}"`);
+        } else if (!isIntegerInRange(level, 1, 99)) {
+          errors.push(`${path}.stats.${stat}: must be a whole number from 1 to 99`);
+        }
+      });
+    }
+  }
+
+  if (typeof req.quests !== 'undefined') {
+    if (!Array.isArray(req.quests)) {
+      errors.push(`${path}.quests: must be an array of quest names`);
+    } else {
+      req.quests.forEach((quest, i) => {
+        if (typeof quest !== 'string' || !known.quests.has(quest)) {
+          errors.push(`${path}.quests[${i}]: unknown quest ${JSON.stringify(quest)}`);
+        }
+      });
+    }
+  }
+
+  if (typeof req.kc !== 'undefined') {
+    if (!isPlainObject(req.kc)) {
+      errors.push(`${path}.kc: must be an object of kill counts`);
+    } else {
+      Object.entries(req.kc).forEach(([activity, count]) => {
+        if (!known.activities.has(activity)) {
+          errors.push(`${path}.kc: unknown hiscores activity "${activity}"`);
+        } else if (!Number.isInteger(count) || count < 1) {
+          errors.push(`${path}.kc["${activity}"]: must be a whole number of at least 1`);
+        }
+      });
+    }
+  }
+
+  if (typeof req.gear !== 'undefined') {
+    if (!Array.isArray(req.gear)) {
+      errors.push(`${path}.gear: must be an array of gear rules`);
+    } else {
+      req.gear.forEach((rule, i) => validateGearRule(rule, `${path}.gear[${i}]`, known, errors));
+    }
+  }
+
+  if (typeof req.loadouts !== 'undefined') {
+    if (!isPlainObject(req.loadouts)) {
+      errors.push(`${path}.loadouts: must be an object of gear rules keyed by loadout style`);
+    } else {
+      Object.entries(req.loadouts).forEach(([style, rules]) => {
+        if (known.styles && !known.styles.has(style)) {
+          errors.push(`${path}.loadouts: unknown loadout style "${style}"`);
+        }
+        if (!Array.isArray(rules) || rules.length === 0) {
+          errors.push(`${path}.loadouts.${style}: must be a non-empty array of gear rules`);
+        } else {
+          rules.forEach((rule, i) => validateGearRule(rule, `${path}.loadouts.${style}[${i}]`, known, errors));
+        }
+      });
+    }
+  }
+
+  ['all', 'any'].forEach((group) => {
+    if (typeof req[group] === 'undefined') return;
+    if (!Array.isArray(req[group]) || req[group].length === 0) {
+      errors.push(`${path}.${group}: must be a non-empty array of requirement sets`);
+      return;
+    }
+    req[group].forEach((set, i) => {
+      validateRequirements(set, `${path}.${group}[${i}]`, known, errors);
+    });
+  });
+  if (typeof req.not !== 'undefined') {
+    validateRequirements(req.not, `${path}.not`, known, errors);
+  }
+}
+
+/**
+ * Validate what kind of content a raid is: its category, combat styles and
+ * group size.
+ *
+ * @param {Object} raid - The raid definition.
+ * @param {string} path - Location used in error messages.
+ * @param {Object} known - Sets of known names.
+ * @param {string[]} errors - Collected error messages.
+ */
+function validateCatalogueKeys(raid, path, known, errors) {
+  if (typeof raid.category !== 'string' || !raid.category) {
+    errors.push(`${path}.category: must be a non-empty string`);
+  } else if (known.categories && !known.categories.has(raid.category)) {
+    errors.push(`${path}.category: unknown category "${raid.category}"`);
+  }
+
+  if (!Array.isArray(raid.styles) || raid.styles.length === 0) {
+    errors.push(`${path}.styles: must be a non-empty array of combat styles`);
+  } else {
+    raid.styles.forEach((style, i) => {
+      if (typeof style !== 'string' || (known.styles && !known.styles.has(style))) {
+        errors.push(`${path}.styles[${i}]: unknown combat style ${JSON.stringify(style)}`);
+      } else if (raid.styles.indexOf(style) !== i) {
+        errors.push(`${path}.styles[${i}]: duplicate style "${style}"`);
+      }
+    });
+  }
+
+  const size = raid.groupSize;
+  if (!isPlainObject(size)) {
+    errors.push(`${path}.groupSize: must be an object with "min" and optionally "max"`);
+    return;
+  }
+  Object.keys(size).forEach((key) => {
+    if (!GROUP_SIZE_KEYS.includes(key)) {
+      errors.push(`${path}.groupSize: unknown property "${key}"`);
+    }
+  });
+  if (!Number.isInteger(size.min) || size.min < 1) {
+    errors.push(`${path}.groupSize.min: must be a whole number of at least 1`);
+  } else if (typeof size.max !== 'undefined' && (!Number.isInteger(size.max) || size.max < size.min)) {
+    errors.push(`${path}.groupSize.max: must be a whole number of at least ${size.min}`);
+  }
+}
+
+/**
+ * Validate a raid's per-mode requirement overrides and push an error
+ * message for every problem found.
+ *
+ * @param {*} overrides - The raid's `overrides` value.
+ * @param {string} path - Location used in error messages.
+ * @param {Object} known - Sets of known names.
+ * @param {string[]} errors - Collected error messages.
+ */
+function validateOverrides(overrides, path, known, errors) {
+  if (!Array.isArray(overrides)) {
+    errors.push(`${path}: must be an array`);
+    return;
+  }
+  overrides.forEach((override, i) => {
+    const itemPath = `${path}[${i}]`;
+    if (!isPlainObject(override)) {
+      errors.push(`${itemPath}: must be an object`);
+      return;
+    }
+    Object.keys(override).forEach((key) => {
+      if (!OVERRIDE_KEYS.includes(key)) {
+        errors.push(`${itemPath}: unknown property "${key}"`);
+      }
+    });
+    if (!Array.isArray(override.modes) || override.modes.length === 0) {
+      errors.push(`${itemPath}.modes: must be a non-empty array of game modes`);
+    } else if (known.modes) {
+      override.modes.forEach((mode) => {
+        if (!known.modes.has(mode)) {
+          errors.push(`${itemPath}.modes: unknown game mode "${mode}"`);
+        }
+      });
+    }
+    validateRequirements(override.requirements, `${itemPath}.requirements`, known, errors);
+  });
+}
+
+/**
+ * Validate a raid's readiness tiers and push an error message for every
+ * problem found. Tier names must be unique and can't reuse ENTRY_TIER.
+ *
+ * @param {*} tiers - The raid's `tiers` value.
+ * @param {string} path - Location used in error messages.
+ * @param {Object} known - Sets of known names.
+ * @param {string[]} errors - Collected error messages.
+ */
+function validateTiers(tiers, path, known, errors) {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    errors.push(`${path}: must be a non-empty array`);
+    return;
+  }
+  const seen = new Set([ENTRY_TIER]);
+  tiers.forEach((tier, i) => {
+    const itemPath = `${path}[${i}]`;
+    if (!isPlainObject(tier)) {
+      errors.push(`${itemPath}: must be an object`);
+      return;
+    }
+    Object.keys(tier).forEach((key) => {
+      if (!TIER_KEYS.includes(key)) {
+        errors.push(`${itemPath}: unknown property "${key}"`);
+      }
+    });
+    if (typeof tier.name !== 'string' || !tier.name.trim()) {
+      errors.push(`${itemPath}.name: must be a non-empty string`);
+    } else if (seen.has(tier.name)) {
+      errors.push(`${itemPath}.name: duplicate tier name "${tier.name}"`);
+    } else {
+      seen.add(tier.name);
+    }
+    validateRequirements(tier.requirements, `${itemPath}.requirements`, known, errors);
+  });
+}
+
+/**
+ * Validate a parsed raids.json document.
+ *
+ * The caller passes in the names the data is allowed to refer to so this
+ * file doesn't depend on the modules that define them. The gear, mode,
+ * style and category names are optional; without them gear rules,
+ * overrides, loadout rules, styles and categories are only checked for
+ * shape.
+ *
+ * @param {Object} data - The parsed JSON document.
+ * @param {Object} names - Known names to check references against.
+ * @param {string[]} names.skills - Valid stat names (e.g. 'attack').
+ * @param {string[]} names.quests - Valid quest names.
+ * @param {string[]} names.activities - Valid hiscores activity names.
+ * @param {string[]} [names.items] - Valid item ids for gear rules.
+ * @param {string[]} [names.tags] - Item tags used in the item database.
+ * @param {string[]} [names.slots] - Gear slot names.
+ * @param {string[]} [names.bonuses] - Equipment bonus names.
+ * @param {string[]} [names.modes] - Game mode names for overrides.
+ * @param {string[]} [names.styles] - Loadout style names, for loadout rules
+ *   and each raid's `styles`.
+ * @param {string[]} [names.categories] - Content category names.
+ * @returns {string[]} Error messages; empty when the data is valid.
+ */
+export function validateRaidData(data, names) {
+  const errors = [];
+  const known = {
+    skills: new Set(names.skills),
+    quests: new Set(names.quests),
+    activities: new Set(names.activities),
+    items: names.items ? new Set(names.items.map(String)) : null,
+    tags: names.tags ? new Set(names.tags) : null,
+    slots: names.slots ? new Set(names.slots) : null,
+    bonuses: names.bonuses ? new Set(names.bonuses) : null,
+    modes: names.modes ? new Set(names.modes) : null,
+    styles: names.styles ? new Set(names.styles) : null,
+    categories: names.categories ? new Set(names.categories) : null
+  };
+
+  if (!isPlainObject(data)) {
+    return ['Raid data must be a JSON object'];
+  }
+  if (data.version !== RAID_DATA_VERSION) {
+    errors.push(
+      `Unsupported raid data version ${JSON.stringify(data.version)} (expected ${RAID_DATA_VERSION})`
+    );
+  }
+  if (!Array.isArray(data.raids)) {
+    errors.push('raids: must be an array');
+    return errors;
+  }
+
+  const seenNames = new Set();
+  data.raids.forEach((raid, i) => {
+    let path = `raids[${i}]`;
+    if (!isPlainObject(raid)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (typeof raid.name !== 'string' || !raid.name.trim()) {
+      errors.push(`${path}.name: must be a non-empty string`);
+    } else {
+      path = `${path} (${raid.name})`;
+      if (seenNames.has(raid.name)) {
+        errors.push(`${path}: duplicate raid name`);
+      }
+      seenNames.add(raid.name);
+    }
+    Object.keys(raid).forEach((key) => {
+      if (!RAID_KEYS.includes(key)) {
+        errors.push(`${path}: unknown property "${key}"`);
+      }
+    });
+    if (typeof raid.guide !== 'string' || !raid.guide) {
+      errors.push(`${path}.guide: must be a URL`);
+    }
+    validateCatalogueKeys(raid, path, known, errors);
+    if (typeof raid.activity !== 'undefined' && !known.activities.has(raid.activity)) {
+      errors.push(`${path}.activity: unknown hiscores activity "${raid.activity}"`);
+    }
+    if (typeof raid.target !== 'undefined') {
+      validateTarget(raid.target, `${path}.target`, errors);
+    }
+    validateRequirements(raid.requirements, `${path}.requirements`, known, errors);
+    if (typeof raid.overrides !== 'undefined') {
+      validateOverrides(raid.overrides, `${path}.overrides`, known, errors);
+    }
+    if (typeof raid.tiers !== 'undefined') {
+      validateTiers(raid.tiers, `${path}.tiers`, known, errors);
+    }
+  });
+
+  return errors;
+}
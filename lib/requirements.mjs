@@ -0,0 +1,518 @@
+// lib/requirements.mjs
+// The requirement engine. A raid's `requirements` object is turned into a
+// tree of rule results that says, for every rule, whether it passed, what
+// was required, what the player has and how far short they are. Both the
+// eligibility filter and the locked-card tooltip read from this one result
+// so they can never disagree.
+//
+// A requirement set uses the shorthand keys from data/raids.json
+// (`combat`, `prayer`, `stats`, `quests`, `kc`, `gear`, `loadouts`) and
+// may also contain groups:
+//
+//   all: [set, set, ...]  every nested set must pass
+//   any: [set, set, ...]  at least one nested set must pass
+//   not: set              the nested set must fail
+//
+// For example "70 Ranged OR 70 Magic" is written as
+// `{ any: [{ stats: { ranged: 70 } }, { stats: { magic: 70 } }] }`.
+//
+// Gear rules are checked against the item database (data/items.json),
+// which is passed in through a context object:
+//
+//   { item: 12018 }                        that exact item is equipped
+//   { tag: 'salve' }                       any equipped item has the tag
+//   { tag: 'spec weapon', slot: 'other' }  ...in a particular slot
+//   { bonus: 'rangedAttack', min: 150 }    worn equipment adds up to 150+
+//
+// `loadouts` asks for a viable setup per combat style (see
+// lib/loadouts.mjs): gear rules that at least one of the player's
+// loadouts of that style must pass, with every item in it wearable. Item
+// and tag rules also match the loadout's inventory switches, which count
+// as the 'other' slot; bonus rules only add up what's worn.
+//
+//   loadouts: { magic: [{ bonus: 'magicAttack', min: 60 }] }
+
+import { BONUS_LABELS, getItem, getEquippedItems, sumEquipmentBonuses } from './items.mjs';
+import { LOADOUT_STYLES, getStyleLoadouts } from './loadouts.mjs';
+import { ENTRY_TIER } from './raid-data.mjs';
+
+/**
+ * Capitalise a stat name for display, e.g. "hitpoints" -> "Hitpoints".
+ *
+ * @param {string} stat - Lowercase stat name.
+ * @returns {string} The display name.
+ */
+function formatStatName(stat) {
+  return stat.charAt(0).toUpperCase() + stat.slice(1);
+}
+
+/**
+ * Build the result for a "level at least N" rule. Levels the player
+ * hasn't provided (e.g. non-combat skills when stats were typed in by
+ * hand) count as failing with an unknown current value.
+ *
+ * @param {string} id - Rule id.
+ * @param {string} type - Rule type ('combat' or 'skill').
+ * @param {string} stat - The player object key, e.g. 'combat' or 'ranged'.
+ * @param {string} label - Display name of the level.
+ * @param {number} required - Minimum level.
+ * @param {number|undefined} current - The player's level.
+ * @returns {Object} The rule result.
+ */
+function levelRule(id, type, stat, label, required, current) {
+  const known = typeof current === 'number';
+  const passed = known && current >= required;
+  return {
+    id,
+    type,
+    stat,
+    label: `${label} ${required}+`,
+    passed,
+    required,
+    current: known ? current : null,
+    shortfall: passed ? 0 : required - (known ? current : 0),
+    message: `${label} ${required}+ required (current ${known ? current : 'unknown'})`
+  };
+}
+
+/**
+ * Evaluate the gear rules of a requirement set against the player's
+ * selected item ids, and any inventory switches in `player.inventory`.
+ *
+ * @param {Array} rules - The `gear` array of a requirement set.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} context - Evaluation context holding the item database.
+ * @param {string} prefix - Id prefix for nested sets.
+ * @returns {Array} Rule results.
+ */
+function evaluateGearRules(rules, player, context, prefix) {
+  const itemDb = context.items || {};
+  // Inventory switches count as the 'other' slot
+  const carried = (player.inventory || [])
+    .map((id) => ({ slot: 'other', id: String(id), item: getItem(itemDb, id) }))
+    .filter((entry) => entry.item);
+  const equipped = [...getEquippedItems(player.gear, itemDb), ...carried];
+  let totals = null;
+
+  return rules.map((rule, i) => {
+    const id = `${prefix}gear.${i}`;
+    if (typeof rule.bonus === 'string') {
+      // Bonuses are only summed once per set, and only if a rule needs them.
+      totals = totals || sumEquipmentBonuses(player.gear, itemDb);
+      const current = totals[rule.bonus] || 0;
+      const passed = current >= rule.min;
+      const label = `${BONUS_LABELS[rule.bonus] || rule.bonus} bonus ${rule.min}+`;
+      return {
+        id,
+        type: 'gear',
+        label,
+        passed,
+        required: rule.min,
+        current,
+        shortfall: passed ? 0 : rule.min - current,
+        message: `${label} required (current ${current})`
+      };
+    }
+
+    let label;
+    let match;
+    if (typeof rule.tag === 'string') {
+      const where = rule.slot ? ` in the ${rule.slot} slot` : '';
+      label = `Any ${rule.tag} item${where}`;
+      match = equipped.find((entry) =>
+        (!rule.slot || entry.slot === rule.slot) && entry.item.tags.includes(rule.tag)
+      );
+    } else {
+      const item = getItem(itemDb, rule.item);
+      label = item ? item.name : `Item ${rule.item}`;
+      match = equipped.find((entry) => entry.id === String(rule.item));
+    }
+    return {
+      id,
+      type: 'gear',
+      label,
+      passed: Boolean(match),
+      required: rule.tag || String(rule.item),
+      current: match ? match.item.name : null,
+      shortfall: match ? 0 : 1,
+      message: `Missing gear: ${label}`
+    };
+  });
+}
+
+/**
+ * Evaluate the shorthand leaf rules of a requirement set (everything
+ * except the `all`/`any`/`not` groups).
+ *
+ * @param {Object} req - The requirement set.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} context - Evaluation context holding the item database.
+ * @param {string} prefix - Id prefix for nested sets.
+ * @returns {Array} Rule results, in a stable order.
+ */
+function evaluateLeafRules(req, player, context, prefix) {
+  const results = [];
+  if (req.combat) {
+    results.push(levelRule(`${prefix}combat`, 'combat', 'combat', 'Combat', req.combat, player.combat));
+  }
+  if (req.prayer) {
+    results.push(levelRule(`${prefix}prayer`, 'skill', 'prayer', 'Prayer', req.prayer, player.prayer));
+  }
+  Object.entries(req.stats || {}).forEach(([stat, minLevel]) => {
+    results.push(
+      levelRule(`${prefix}stats.${stat}`, 'skill', stat, formatStatName(stat), minLevel, player[stat])
+    );
+  });
+  (req.quests || []).forEach((quest) => {
+    const passed = (player.quests || []).includes(quest);
+    results.push({
+      id: `${prefix}quests.${quest}`,
+      type: 'quest',
+      label: quest,
+      passed,
+      required: quest,
+      current: passed ? quest : null,
+      shortfall: passed ? 0 : 1,
+      message: `${quest} quest required`
+    });
+  });
+  Object.entries(req.kc || {}).forEach(([activity, minKc]) => {
+    // Unranked activities are missing from killCounts and count as 0 KC.
+    const current = (player.killCounts || {})[activity] || 0;
+    const passed = current >= minKc;
+    results.push({
+      id: `${prefix}kc.${activity}`,
+      type: 'kc',
+      activity,
+      label: `${minKc}+ ${activity} KC`,
+      passed,
+      required: minKc,
+      current,
+      shortfall: passed ? 0 : minKc - current,
+      message: `${minKc}+ ${activity} kill count required (current ${current})`
+    });
+  });
+  if (req.gear && req.gear.length > 0) {
+    results.push(...evaluateGearRules(req.gear, player, context, prefix));
+  }
+  Object.entries(req.loadouts || {}).forEach(([style, rules]) => {
+    results.push(evaluateLoadoutRule(style, rules, player, context, prefix));
+  });
+  return results;
+}
+
+/**
+ * Evaluate a `loadouts` entry: the gear rules for one style against each
+ * of the player's loadouts of that style. The rule passes if one loadout
+ * passes; otherwise it reports the loadout that came closest.
+ *
+ * @param {string} style - A key of LOADOUT_STYLES.
+ * @param {Array} rules - Gear rules the loadout must pass.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} context - Evaluation context holding the item database.
+ * @param {string} prefix - Id prefix for nested sets.
+ * @returns {Object} The rule result, naming the `style` and the loadout
+ *   checked as `current`.
+ */
+function evaluateLoadoutRule(style, rules, player, context, prefix) {
+  const id = `${prefix}loadouts.${style}`;
+  const styleName = LOADOUT_STYLES[style] || style;
+  const label = `Viable ${styleName} loadout`;
+  const loadouts = getStyleLoadouts(player, style);
+  if (loadouts.length === 0) {
+    const wanted = evaluateGearRules(rules, { ...player, gear: {} }, context, `${id}.`);
+    return {
+      id,
+      type: 'loadout',
+      style,
+      label,
+      passed: false,
+      required: style,
+      current: null,
+      shortfall: wanted.length || 1,
+      message: `No ${styleName} loadout saved${wanted.length ? ` (needs ${wanted.map((rule) => rule.label).join(', ')})` : ''}`
+    };
+  }
+  const checks = loadouts.map((loadout) => {
+    const setup = { ...player, gear: loadout.gear, inventory: loadout.inventory };
+    const failures = [
+      ...evaluateGearRules(rules, setup, context, `${id}.`).filter((rule) => !rule.passed).map((rule) => rule.message),
+      ...(context.items ? getFailureMessages(evaluateEquipment(setup, context)) : [])
+    ];
+    return { loadout, failures };
+  });
+  const best = checks.reduce((a, b) => (b.failures.length < a.failures.length ? b : a));
+  const passed = best.failures.length === 0;
+  return {
+    id,
+    type: 'loadout',
+    style,
+    label,
+    passed,
+    required: style,
+    current: best.loadout.name,
+    shortfall: best.failures.length,
+    message: `${styleName} loadout "${best.loadout.name}" falls short: ${best.failures.join('; ')}`
+  };
+}
+
+/**
+ * Evaluate a requirement set against a player.
+ *
+ * The result is a group node `{ id, type: 'all', passed, children }`
+ * whose children are rule results (`{ id, type, label, passed, required,
+ * current, shortfall, message }`) and nested group nodes for any `all`,
+ * `any` or `not` keys. Level rules also name their `stat` and kill count
+ * rules their `activity`. A `rules` array with every leaf rule, flattened,
+ * is attached for convenience.
+ *
+ * @param {Object} req - The requirement set (e.g. `raid.requirements`).
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} [context={}] - Shared lookup data.
+ * @param {Object} [context.items] - The `items` map from data/items.json,
+ *   needed for gear rules.
+ * @param {string} [prefix=''] - Id prefix; used for nested sets.
+ * @returns {Object} The evaluated group.
+ */
+export function evaluateRequirements(req, player, context = {}, prefix = '') {
+  const children = evaluateLeafRules(req || {}, player, context, prefix);
+
+  if (Array.isArray(req && req.all)) {
+    const members = req.all.map((set, i) => evaluateRequirements(set, player, context, `${prefix}all[${i}].`));
+    children.push({
+      id: `${prefix}all`,
+      type: 'all',
+      passed: members.every((member) => member.passed),
+      children: members
+    });
+  }
+  if (Array.isArray(req && req.any)) {
+    const options = req.any.map((set, i) => evaluateRequirements(set, player, context, `${prefix}any[${i}].`));
+    children.push({
+      id: `${prefix}any`,
+      type: 'any',
+      passed: options.some((option) => option.passed),
+      children: options
+    });
+  }
+  if (req && req.not) {
+    const inner = evaluateRequirements(req.not, player, context, `${prefix}not.`);
+    children.push({
+      id: `${prefix}not`,
+      type: 'not',
+      passed: !inner.passed,
+      children: [inner]
+    });
+  }
+
+  const group = {
+    id: prefix ? prefix.replace(/\.$/, '') : 'requirements',
+    type: 'all',
+    passed: children.every((child) => child.passed),
+    children
+  };
+  group.rules = flattenRules(group);
+  return group;
+}
+
+/**
+ * Collect every leaf rule result beneath a group node.
+ *
+ * @param {Object} node - A group or rule result.
+ * @returns {Array} Leaf rule results.
+ */
+export function flattenRules(node) {
+  if (!node.children) return [node];
+  return node.children.flatMap(flattenRules);
+}
+
+/**
+ * Describe a node in one line. Used for options inside `any` and `not`
+ * groups, where the individual failures alone would be misleading.
+ *
+ * @param {Object} node - A group or rule result.
+ * @returns {string} A short description.
+ */
+export function describeRequirement(node) {
+  if (!node.children) return node.label;
+  const parts = node.children.map(describeRequirement);
+  if (node.type === 'any') return parts.join(' or ');
+  if (node.type === 'not') return `not (${parts[0]})`;
+  return parts.length === 1 ? parts[0] : parts.join(' and ');
+}
+
+/**
+ * Turn an evaluated requirement set into human-readable failure
+ * messages. Failing leaf rules keep their own message; a failing `any`
+ * group becomes a single "One of ..." line and a failing `not` group a
+ * single "Not allowed ..." line. An empty array means everything passed.
+ *
+ * @param {Object} node - Result of evaluateRequirements().
+ * @returns {string[]} Failure messages.
+ */
+export function getFailureMessages(node) {
+  if (node.passed) return [];
+  if (!node.children) return [node.message];
+  if (node.type === 'any') {
+    return [`One of: ${node.children.map(describeRequirement).join(' / ')}`];
+  }
+  if (node.type === 'not') {
+    return [`Not allowed: ${describeRequirement(node.children[0])}`];
+  }
+  return node.children.flatMap(getFailureMessages);
+}
+
+/**
+ * Evaluate the equip requirements of a single item: its skill levels and
+ * any quests that unlock it. Failure messages are prefixed with the item
+ * name so they make sense next to raid requirements.
+ *
+ * @param {Object} item - An item from data/items.json.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} [context={}] - Shared lookup data.
+ * @param {string} [prefix='equip.'] - Id prefix for the item's rules.
+ * @returns {Object} The evaluated group, labelled with the item name.
+ */
+export function evaluateItemRequirements(item, player, context = {}, prefix = 'equip.') {
+  const group = evaluateRequirements(
+    { stats: item.requirements || {}, quests: item.quests || [] },
+    player,
+    context,
+    prefix
+  );
+  group.label = item.name;
+  group.rules.forEach((rule) => {
+    rule.message = `${item.name}: ${rule.message}`;
+  });
+  return group;
+}
+
+/**
+ * Check every selected item, and any inventory switches in
+ * `player.inventory`, against the player's stats and quests.
+ *
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} [context={}] - Shared lookup data holding the item database.
+ * @returns {Object} A group node `{ id: 'equipment', type: 'all', passed,
+ *   children }` with one child group per equipped item.
+ */
+export function evaluateEquipment(player, context = {}) {
+  const itemDb = context.items || {};
+  const carried = (player.inventory || [])
+    .map((id, i) => ({ slot: `inventory.${i}`, id: String(id), item: getItem(itemDb, id) }))
+    .filter((entry) => entry.item);
+  const children = [...getEquippedItems(player.gear, itemDb), ...carried].map((entry) => {
+    const group = evaluateItemRequirements(entry.item, player, context, `equipment.${entry.slot}.`);
+    group.slot = entry.slot;
+    return group;
+  });
+  return {
+    id: 'equipment',
+    type: 'all',
+    passed: children.every((child) => child.passed),
+    children
+  };
+}
+
+/**
+ * The requirements that apply to a raid in a game mode. Each entry of the
+ * raid's optional `overrides` list names some modes and a requirement set
+ * whose top-level keys replace the raid's own for those modes, e.g. an
+ * `any` group without gear an ironman can't buy. Later overrides win.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {string} [mode] - A key of GAME_MODES in lib/hiscores.mjs.
+ * @returns {Object} The requirement set to evaluate.
+ */
+export function getRaidRequirements(raid, mode) {
+  return (raid.overrides || [])
+    .filter((override) => override.modes.includes(mode))
+    .reduce((req, override) => ({ ...req, ...override.requirements }), raid.requirements);
+}
+
+/**
+ * The requirements of one of a raid's readiness tiers in a game mode. The
+ * raid's overrides for the mode apply as in getRaidRequirements(), but only
+ * to keys the tier sets itself, so the entry rules aren't added to every
+ * tier.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {Object} tier - An entry of the raid's `tiers`.
+ * @param {string} [mode] - A key of GAME_MODES in lib/hiscores.mjs.
+ * @returns {Object} The requirement set to evaluate.
+ */
+export function getTierRequirements(raid, tier, mode) {
+  return (raid.overrides || [])
+    .filter((override) => override.modes.includes(mode))
+    .reduce((req, override) => {
+      const replaced = { ...req };
+      Object.entries(override.requirements).forEach(([key, value]) => {
+        if (key in tier.requirements) replaced[key] = value;
+      });
+      return replaced;
+    }, tier.requirements);
+}
+
+/**
+ * Evaluate one raid for a player.
+ *
+ * The player's game mode (`player.mode`) picks any requirement overrides,
+ * see getRaidRequirements(). When an item database is supplied the
+ * selected gear must also be wearable: an `equipment` group from
+ * evaluateEquipment() is added to the result, so items the player can't
+ * equip lock the raid and appear in the missing list.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {{raid: Object, passed: boolean, result: Object, missing: string[]}}
+ *   The raid, whether it is unlocked, the full rule tree and the failure
+ *   messages.
+ */
+export function evaluateRaid(raid, player, context = {}) {
+  const result = evaluateRequirements(getRaidRequirements(raid, player.mode), player, context);
+  if (context.items) {
+    const equipment = evaluateEquipment(player, context);
+    result.children.push(equipment);
+    result.passed = result.passed && equipment.passed;
+    result.rules = flattenRules(result);
+  }
+  return {
+    raid,
+    passed: result.passed,
+    result,
+    missing: getFailureMessages(result)
+  };
+}
+
+/**
+ * Evaluate a raid's readiness tiers. The entry tier is the raid itself, as
+ * evaluated by evaluateRaid(); each entry of the raid's optional `tiers`
+ * list adds its own rules, with the player's game mode overrides applied
+ * (see getTierRequirements()), and counts as reached only when every tier
+ * below it is reached too.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {{entry: Object, tiers: Array<{name: string, passed: boolean, missing: string[]}>,
+ *   reached: ?string, next: ?Object}} The evaluateRaid() result, every tier
+ *   lowest first, the name of the highest tier reached (null when the raid
+ *   is locked) and the tier after it, if any.
+ */
+export function evaluateTiers(raid, player, context = {}) {
+  const entry = evaluateRaid(raid, player, context);
+  const tiers = [{ name: ENTRY_TIER, passed: entry.passed, missing: entry.missing }];
+  (raid.tiers || []).forEach((tier) => {
+    const result = evaluateRequirements(getTierRequirements(raid, tier, player.mode), player, context);
+    tiers.push({ name: tier.name, passed: result.passed, missing: getFailureMessages(result) });
+  });
+  const firstFailed = tiers.findIndex((tier) => !tier.passed);
+  const reachedCount = firstFailed === -1 ? tiers.length : firstFailed;
+  return {
+    entry,
+    tiers,
+    reached: reachedCount > 0 ? tiers[reachedCount - 1].name : null,
+    next: tiers[reachedCount] || null
+  };
+}
@@ -0,0 +1,200 @@
+// lib/roster.mjs
+// Helpers for checking a whole clan roster at once: parsing a pasted or
+// uploaded list of usernames, running the hiscores lookups a few at a time,
+// building the members × raids readiness matrix and exporting it as CSV.
+//
+// Members come from the hiscores alone, so they have no gear, loadouts or
+// owned items. Gear and loadout rules are left out of the matrix rather
+// than failed, and every cell says whether its raid has any.
+
+import { evaluateEligibility } from './eligibility.mjs';
+
+// Requirement keys that need the player's gear.
+const GEAR_KEYS = ['gear', 'loadouts'];
+
+/**
+ * Check whether a requirement set has gear or loadout rules anywhere in it.
+ *
+ * @param {Object} [req] - A requirement set.
+ * @returns {boolean} True if any rule needs the player's gear.
+ */
+function hasGearRules(req) {
+  if (!req) return false;
+  if (GEAR_KEYS.some((key) => key in req && !(Array.isArray(req[key]) && req[key].length === 0))) return true;
+  return [...(req.all || []), ...(req.any || []), req.not].some(hasGearRules);
+}
+
+/**
+ * Remove gear and loadout rules from a requirement set. A group they
+ * decide can't be judged without them, so an `any` group with an option
+ * left empty and a `not` group with any gear rules are dropped, which
+ * lets them pass.
+ *
+ * @param {Object} req - A requirement set.
+ * @returns {Object} The set without gear rules.
+ */
+function withoutGearRules(req) {
+  const stripped = {};
+  Object.entries(req).forEach(([key, value]) => {
+    if (GEAR_KEYS.includes(key)) return;
+    if (key === 'all') {
+      stripped.all = value.map(withoutGearRules);
+    } else if (key === 'any') {
+      const options = value.map(withoutGearRules);
+      if (options.every((option) => Object.keys(option).length > 0)) stripped.any = options;
+    } else if (key === 'not') {
+      if (!hasGearRules(value)) stripped.not = value;
+    } else {
+      stripped[key] = value;
+    }
+  });
+  return stripped;
+}
+
+/**
+ * Copy a raid with gear and loadout rules removed from its requirements
+ * and overrides.
+ *
+ * @param {Object} raid - A raid definition from data/raids.json.
+ * @returns {Object} The raid as the roster checks it.
+ */
+function withoutRaidGearRules(raid) {
+  return {
+    ...raid,
+    requirements: withoutGearRules(raid.requirements),
+    overrides: (raid.overrides || []).map((override) => ({
+      ...override,
+      requirements: withoutGearRules(override.requirements)
+    }))
+  };
+}
+
+/**
+ * Split pasted text or an uploaded file into usernames. Names may be
+ * separated by new lines, commas, semicolons or tabs, and may be wrapped in
+ * quotes as in a CSV export. Duplicates are dropped, comparing names the
+ * way the game does (ignoring case, and treating spaces, underscores and
+ * hyphens alike).
+ *
+ * @param {string} text - The raw roster text.
+ * @returns {string[]} Usernames in the order they first appear.
+ */
+export function parseRoster(text) {
+  const seen = new Set();
+  const names = [];
+  String(text || '')
+    .split(/[\n\r,;\t]+/)
+    .map((name) => name.trim().replace(/^"(.*)"$/, '$1').trim())
+    .filter(Boolean)
+    .forEach((name) => {
+      const key = name.toLowerCase().replace(/[\s_-]+/g, ' ');
+      if (seen.has(key)) return;
+      seen.add(key);
+      names.push(name);
+    });
+  return names;
+}
+
+/**
+ * Run an async worker over a list with at most `limit` calls in flight.
+ * Results come back in input order and in the same shape as
+ * Promise.allSettled(), so one failure doesn't stop the rest.
+ *
+ * @param {Array} values - Inputs for the worker.
+ * @param {number} limit - Maximum number of concurrent calls.
+ * @param {Function} worker - `async (value, index) => result`.
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>}
+ */
+export async function mapWithConcurrency(values, limit, worker) {
+  const results = new Array(values.length);
+  let next = 0;
+  async function run() {
+    while (next < values.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(values[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  }
+  const runners = Array.from({ length: Math.min(Math.max(1, limit), values.length) }, run);
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * Evaluate every raid for every roster member. Gear rules aren't
+ * checked, see the top of this file.
+ *
+ * @param {Array} raids - Raid definitions from data/raids.json.
+ * @param {Array<{name: string, player?: Object, error?: string}>} members -
+ *   One entry per username: either a player object or the reason it
+ *   couldn't be looked up.
+ * @param {Object} [context={}] - Shared lookup data, see evaluateRequirements().
+ * @returns {{raids: string[], rows: Array}} The raid names, and one row per
+ *   member with its error or a cell per raid
+ *   (`{ raid, unlocked, missing, gearUnchecked }`), where `gearUnchecked`
+ *   says the raid has gear rules that were left out.
+ */
+export function buildRosterMatrix(raids, members, context = {}) {
+  const checked = raids.map(withoutRaidGearRules);
+  const gearUnchecked = raids.map((raid) =>
+    [raid.requirements, ...(raid.overrides || []).map((override) => override.requirements)].some(hasGearRules)
+  );
+  const rows = members.map(({ name, player, error }) => {
+    if (!player) {
+      return { name, error: error || 'Unknown error', cells: [] };
+    }
+    const { locked } = evaluateEligibility(checked, player, context);
+    const cells = checked.map((raid, i) => {
+      const entry = locked.find((lockedEntry) => lockedEntry.raid === raid);
+      return {
+        raid: raid.name,
+        unlocked: !entry,
+        missing: entry ? entry.missing : [],
+        gearUnchecked: gearUnchecked[i]
+      };
+    });
+    return { name, error: null, cells };
+  });
+  return { raids: raids.map((raid) => raid.name), rows };
+}
+
+/**
+ * Quote a CSV field if it contains a separator, quote or line break. A
+ * field starting with =, +, - or @ gets a leading apostrophe so
+ * spreadsheets show it as text instead of running it as a formula, since
+ * usernames and error messages come from outside the app.
+ *
+ * @param {*} value - The field value.
+ * @returns {string} The escaped field.
+ */
+function csvField(value) {
+  const raw = String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export a roster matrix as CSV: one row per member and one column per
+ * raid, holding "unlocked" or the number of missing requirements, marked
+ * "(gear not checked)" where gear rules were left out. Members whose
+ * lookup failed have the reason in the Error column.
+ *
+ * @param {Object} matrix - Result of buildRosterMatrix().
+ * @returns {string} The CSV text.
+ */
+export function rosterToCsv(matrix) {
+  const lines = [['Player', 'Error', ...matrix.raids]];
+  matrix.rows.forEach((row) => {
+    const cells = row.error
+      ? matrix.raids.map(() => '')
+      : row.cells.map((cell) => {
+          const status = cell.unlocked ? 'unlocked' : `${cell.missing.length} missing`;
+          return cell.gearUnchecked ? `${status} (gear not checked)` : status;
+        });
+    lines.push([row.name, row.error || '', ...cells]);
+  });
+  return lines.map((line) => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
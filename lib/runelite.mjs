@@ -0,0 +1,216 @@
+// lib/runelite.mjs
+// Reading gear copied out of RuneLite, so a setup doesn't have to be picked
+// slot by slot. Everything is worked out from the pasted text and the item
+// database; nothing is looked up online. Three kinds of text are read:
+//
+//   equipment      a JSON list of worn items, as in RuneLite's equipment
+//                  container (null or -1 for empty positions), each an item
+//                  id or `{ id, quantity }`, or a JSON object keyed by slot
+//                  name (`HEAD`, `WEAPON`... or the page's `head`, `weapon`...)
+//   setup          an Inventory Setups export, either the current
+//                  `{ setup: { name, eq, inv } }` or the older
+//                  `{ name, equipment, inventory }`
+//   bank tag       a Bank Tags export: `banktags,1,<tag>,<icon>,<ids...>`,
+//                  optionally followed by `,layout,...`, or the older
+//                  `<tag>,<icon>,<ids...>`
+//
+// Worn items go into the slot the item database gives them, so the order of
+// an export doesn't matter. A bank tag lists what the player owns rather
+// than what they wear, so its first item for each slot is worn and the rest
+// become inventory switches. Items that can't be placed are reported, never
+// dropped silently.
+
+import { ITEM_SLOTS, getItem, isTwoHanded } from './items.mjs';
+import { MAX_INVENTORY_SIZE } from './loadouts.mjs';
+
+// RuneLite's slot names, for equipment keyed by slot.
+const RUNELITE_SLOT_NAMES = {
+  HEAD: 'head',
+  CAPE: 'cape',
+  AMULET: 'neck',
+  WEAPON: 'weapon',
+  BODY: 'body',
+  SHIELD: 'shield',
+  LEGS: 'legs',
+  GLOVES: 'hands',
+  BOOTS: 'boots',
+  RING: 'ring',
+  AMMO: 'ammo'
+};
+
+// Why an item in an export couldn't be placed, as shown to the player.
+export const UNMAPPED_REASONS = {
+  unknown: 'not in the item database',
+  full: 'no room left in the inventory'
+};
+
+/**
+ * Read an item id from an export entry.
+ *
+ * @param {*} entry - An id, `{ id }` or null.
+ * @returns {?string} The id, or null for an empty position.
+ */
+function readItemId(entry) {
+  const id = entry !== null && typeof entry === 'object' ? entry.id : entry;
+  const number = Number(id);
+  return Number.isInteger(number) && number > 0 ? String(number) : null;
+}
+
+/**
+ * Turn a RuneLite export into the page's terms.
+ *
+ * @param {string} text - The pasted or uploaded text.
+ * @returns {{kind: string, name: string, worn: string[], carried: string[]}}
+ *   `kind` is 'equipment', 'setup' or 'bank tag', `name` the setup or tag
+ *   name ('' if there is none), `worn` the ids of worn items and `carried`
+ *   the ids of everything else, both in export order.
+ * @throws {Error} If the text isn't one of the formats above.
+ */
+export function parseRuneLiteExport(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) {
+    throw new Error('Paste a RuneLite export first');
+  }
+  if (!/^[[{]/.test(trimmed)) {
+    return parseBankTag(trimmed);
+  }
+  let data;
+  try {
+    data = JSON.parse(trimmed);
+  } catch (err) {
+    throw new Error('The export is not valid JSON');
+  }
+  const ids = (list) => (Array.isArray(list) ? list.map(readItemId).filter(Boolean) : []);
+  if (Array.isArray(data)) {
+    return { kind: 'equipment', name: '', worn: ids(data), carried: [] };
+  }
+  if (data.setup && typeof data.setup === 'object') {
+    return { kind: 'setup', name: String(data.setup.name || ''), worn: ids(data.setup.eq), carried: ids(data.setup.inv) };
+  }
+  if (Array.isArray(data.equipment) || Array.isArray(data.inventory)) {
+    return { kind: 'setup', name: String(data.name || ''), worn: ids(data.equipment), carried: ids(data.inventory) };
+  }
+  const worn = Object.entries(data)
+    .filter(([slot]) => RUNELITE_SLOT_NAMES[slot] || ITEM_SLOTS.includes(slot))
+    .map(([, entry]) => readItemId(entry))
+    .filter(Boolean);
+  if (worn.length === 0) {
+    throw new Error('The export has no equipment, inventory setup or bank tag in it');
+  }
+  return { kind: 'equipment', name: '', worn, carried: [] };
+}
+
+/**
+ * Read a Bank Tags export.
+ *
+ * @param {string} text - The export, e.g. `banktags,1,cox,20997,20997,...`.
+ * @returns {Object} See parseRuneLiteExport().
+ * @throws {Error} If the text isn't a bank tag.
+ */
+function parseBankTag(text) {
+  let fields = text.split(',').map((field) => field.trim());
+  if (fields[0] === 'banktags') {
+    // Newer exports carry a format version and may end with the tab layout
+    fields = fields.slice(2);
+    const layout = fields.indexOf('layout');
+    if (layout !== -1) fields = fields.slice(0, layout);
+  }
+  const [name, , ...items] = fields;
+  if (!name || items.length === 0 || items.some((id) => !/^-?\d+$/.test(id))) {
+    throw new Error('The export is not a RuneLite equipment, inventory setup or bank tag export');
+  }
+  return { kind: 'bank tag', name, worn: [], carried: items.map(readItemId).filter(Boolean) };
+}
+
+/**
+ * Count an id that couldn't be placed.
+ *
+ * @param {Array} unmapped - The list to add to, see mapRuneLiteItems().
+ * @param {string} id - The item id.
+ * @param {string} reason - A key of UNMAPPED_REASONS.
+ */
+function reportUnmapped(unmapped, id, reason) {
+  const known = unmapped.find((entry) => entry.id === id && entry.reason === reason);
+  if (known) known.count += 1;
+  else unmapped.push({ id, count: 1, reason });
+}
+
+/**
+ * Place the items of a parsed export into gear slots and inventory
+ * switches. Worn items go in their own slot; a second item for a taken
+ * slot, and a shield worn with a two-handed weapon, are carried instead.
+ * For a bank tag, carried items are worn first if their slot is free.
+ *
+ * @param {Object} parsed - Result of parseRuneLiteExport().
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {{gear: Object, inventory: string[], unmapped: Array}} Item ids
+ *   keyed by slot, the inventory switches, and `{ id, count, reason }` for
+ *   every id that couldn't be placed, where `reason` is a key of
+ *   UNMAPPED_REASONS.
+ */
+export function mapRuneLiteItems(parsed, itemDb) {
+  const gear = {};
+  const inventory = [];
+  const unmapped = [];
+
+  const report = (id, reason) => reportUnmapped(unmapped, id, reason);
+  const carry = (id) => {
+    if (inventory.length < MAX_INVENTORY_SIZE) inventory.push(id);
+    else report(id, 'full');
+  };
+  const wear = (id) => {
+    const item = getItem(itemDb, id);
+    if (!item) {
+      report(id, 'unknown');
+      return;
+    }
+    const blocked =
+      gear[item.slot] ||
+      (item.slot === 'shield' && isTwoHanded(getItem(itemDb, gear.weapon))) ||
+      (isTwoHanded(item) && gear.shield);
+    if (blocked) carry(id);
+    else gear[item.slot] = id;
+  };
+
+  parsed.worn.forEach(wear);
+  parsed.carried.forEach((id) => {
+    if (!getItem(itemDb, id)) report(id, 'unknown');
+    else if (parsed.kind === 'bank tag') wear(id);
+    else carry(id);
+  });
+  return { gear, inventory, unmapped };
+}
+
+/**
+ * Collect every item of a parsed export that the item database knows,
+ * worn or carried, such as a bank tag of the items a player owns.
+ *
+ * @param {Object} parsed - Result of parseRuneLiteExport().
+ * @param {Object} itemDb - The `items` map from data/items.json.
+ * @returns {{items: string[], unmapped: Array}} The item ids, each once,
+ *   and the unknown ids as in mapRuneLiteItems().
+ */
+export function collectRuneLiteItems(parsed, itemDb) {
+  const items = [];
+  const unmapped = [];
+  [...parsed.worn, ...parsed.carried].forEach((id) => {
+    if (!getItem(itemDb, id)) reportUnmapped(unmapped, id, 'unknown');
+    else if (!items.includes(id)) items.push(id);
+  });
+  return { items, unmapped };
+}
+
+/**
+ * Describe the items that couldn't be placed, for showing to the player.
+ *
+ * @param {Array} unmapped - The `unmapped` list from mapRuneLiteItems().
+ * @param {Object} [itemDb] - The `items` map, to name the items it knows.
+ * @returns {string[]} One line per entry, e.g. "Item 385 ×4: not in the
+ *   item database".
+ */
+export function describeUnmapped(unmapped, itemDb) {
+  return unmapped.map(({ id, count, reason }) => {
+    const item = getItem(itemDb, id);
+    return `${item ? item.name : `Item ${id}`}${count > 1 ? ` ×${count}` : ''}: ${UNMAPPED_REASONS[reason]}`;
+  });
+}
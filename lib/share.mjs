@@ -0,0 +1,523 @@
+// lib/share.mjs
+// Share links: a player object (see lib/eligibility.mjs) packed into a URL
+// fragment such as `#share=2.AQJkY2...`, so a clanmate opening the link
+// sees the same stats, quests, gear and loadouts.
+//
+// The number before the dot is SHARE_VERSION; the rest is base64url of a
+// byte string, where counts, levels, item ids and scores are unsigned
+// varints (7 bits per byte, low bits first):
+//
+//   game mode    index into GAME_MODES
+//   combat       combat level
+//   skills       count, then one level per HISCORE_SKILLS entry after
+//                `overall` (0 for skills the player object doesn't have)
+//   quests       byte count, then a bitset over SHARE_QUEST_IDS
+//   gear         bitmask over SHARE_SLOTS, then one item id per set bit
+//   kill counts  2-byte fingerprint of HISCORE_ACTIVITIES, count, then
+//                (index, score) pairs
+//   inventory    count, then one item id per switch
+//   loadouts     count, then per loadout: index into LOADOUT_STYLES, the
+//                name's UTF-8 byte count and bytes, gear and inventory as
+//                above
+//
+// Version 1 links end after the kill counts and still open, with no
+// inventory or loadouts. Owned items are never shared: the list can run
+// to hundreds of items and only feeds the owner's best-in-slot suggestions.
+//
+// Skills, modes, slots, styles and quest ids only ever gain entries at the
+// end, so positions stay valid and an older link restores in full.
+// Activities are inserted mid-list as the game grows, so that list is
+// fingerprinted. A link made against a different activity list, or naming
+// quests or styles this version doesn't know yet, still restores
+// everything else and reports the part it had to drop. Any other change to
+// the layout needs a new SHARE_VERSION.
+
+import { HISCORE_SKILLS, HISCORE_ACTIVITIES, GAME_MODES, DEFAULT_GAME_MODE } from './hiscores.mjs';
+import { resolveQuestName } from './quests.mjs';
+import { ITEM_SLOTS } from './items.mjs';
+import { LOADOUT_STYLES } from './loadouts.mjs';
+
+export const SHARE_VERSION = 2;
+
+// Older versions decodeSharedPlayer() still reads.
+const SUPPORTED_VERSIONS = [1, SHARE_VERSION];
+
+// Fragment key the encoded player is stored under.
+export const SHARE_FRAGMENT_KEY = 'share';
+
+// Gear slots in bitmask order: the item slots plus the page's extra slot.
+const SHARE_SLOTS = [...ITEM_SLOTS, 'other'];
+
+const SHARE_SKILLS = HISCORE_SKILLS.filter((skill) => skill !== 'overall');
+
+const SHARE_STYLES = Object.keys(LOADOUT_STYLES);
+
+// Quest ids: a quest's id is its index here. Append new quests at the end
+// and never remove or reorder entries, or old links would restore the
+// wrong quests. A renamed quest keeps its slot under the new name.
+export const SHARE_QUEST_IDS = [
+  'Below Ice Mountain',
+  "Black Knights' Fortress",
+  "Cook's Assistant",
+  'The Corsair Curse',
+  'Demon Slayer',
+  "Doric's Quest",
+  'Dragon Slayer I',
+  'Ernest the Chicken',
+  'Goblin Diplomacy',
+  'Imp Catcher',
+  "The Knight's Sword",
+  'Misthalin Mystery',
+  "Pirate's Treasure",
+  'Prince Ali Rescue',
+  'The Restless Ghost',
+  'Romeo & Juliet',
+  'Rune Mysteries',
+  'Sheep Shearer',
+  'Shield of Arrav',
+  'Vampyre Slayer',
+  "Witch's Potion",
+  'X Marks the Spot',
+  'Animal Magnetism',
+  'Another Slice of H.A.M.',
+  'The Ascent of Arceuus',
+  'At First Light',
+  'Beneath Cursed Sands',
+  'Between a Rock...',
+  'Big Chompy Bird Hunting',
+  'Biohazard',
+  'Bone Voyage',
+  'Cabin Fever',
+  'Children of the Sun',
+  'Client of Kourend',
+  'Clock Tower',
+  'Cold War',
+  'Contact!',
+  'Creature of Fenkenstrain',
+  'The Curse of Arrav',
+  'Darkness of Hallowvale',
+  'Death Plateau',
+  'Death on the Isle',
+  'Death to the Dorgeshuun',
+  'Defender of Varrock',
+  'The Depths of Despair',
+  'Desert Treasure I',
+  'Desert Treasure II - The Fallen Empire',
+  'Devious Minds',
+  'The Dig Site',
+  'Dragon Slayer II',
+  'Dream Mentor',
+  'Druidic Ritual',
+  'Dwarf Cannon',
+  "Eadgar's Ruse",
+  "Eagles' Peak",
+  'Elemental Workshop I',
+  'Elemental Workshop II',
+  "Enakhra's Lament",
+  'Enlightened Journey',
+  'Ethically Acquired Antiquities',
+  'The Eyes of Glouphrie',
+  'Fairytale I - Growing Pains',
+  'Fairytale II - Cure a Queen',
+  'Family Crest',
+  'The Feud',
+  'Fight Arena',
+  'The Final Dawn',
+  'Fishing Contest',
+  'Forgettable Tale...',
+  'The Forsaken Tower',
+  'The Fremennik Exiles',
+  'The Fremennik Isles',
+  'The Fremennik Trials',
+  'Garden of Tranquillity',
+  'The Garden of Death',
+  "Gertrude's Cat",
+  'Getting Ahead',
+  'Ghosts Ahoy',
+  'The Giant Dwarf',
+  'The Golem',
+  'The Grand Tree',
+  'The Great Brain Robbery',
+  'Grim Tales',
+  'The Hand in the Sand',
+  'Haunted Mine',
+  'Hazeel Cult',
+  'The Heart of Darkness',
+  "Heroes' Quest",
+  'Holy Grail',
+  'Horror from the Deep',
+  "Icthlarin's Little Helper",
+  'In Aid of the Myreque',
+  'In Search of the Myreque',
+  'Jungle Potion',
+  'A Kingdom Divided',
+  "King's Ransom",
+  'Land of the Goblins',
+  "Legends' Quest",
+  'Lost City',
+  'The Lost Tribe',
+  'Lunar Diplomacy',
+  'Making Friends with My Arm',
+  'Making History',
+  'Meat and Greet',
+  "Merlin's Crystal",
+  'Monkey Madness I',
+  'Monkey Madness II',
+  "Monk's Friend",
+  'Mountain Daughter',
+  "Mourning's End Part I",
+  "Mourning's End Part II",
+  'Murder Mystery',
+  "My Arm's Big Adventure",
+  'Nature Spirit',
+  'A Night at the Theatre',
+  'Observatory Quest',
+  "Olaf's Quest",
+  'One Small Favour',
+  'The Path of Glouphrie',
+  'Perilous Moons',
+  'Plague City',
+  'Priest in Peril',
+  'The Queen of Thieves',
+  'Rag and Bone Man I',
+  'Rag and Bone Man II',
+  'Ratcatchers',
+  'Recipe for Disaster',
+  'Recruitment Drive',
+  'Regicide',
+  'The Ribbiting Tale of a Lily Pad Labour Dispute',
+  'Roving Elves',
+  'Royal Trouble',
+  'Rum Deal',
+  'Scorpion Catcher',
+  'Sea Slug',
+  'Secrets of the North',
+  "Shades of Mort'ton",
+  'Shadow of the Storm',
+  'Sheep Herder',
+  'Shilo Village',
+  'Sins of the Father',
+  'Sleeping Giants',
+  'The Slug Menace',
+  'Song of the Elves',
+  "A Soul's Bane",
+  'Spirits of the Elid',
+  'Swan Song',
+  'Tai Bwo Wannai Trio',
+  'A Tail of Two Cats',
+  'Tale of the Righteous',
+  'A Taste of Hope',
+  'Tears of Guthix',
+  'Temple of Ikov',
+  'Temple of the Eye',
+  'Throne of Miscellania',
+  'The Tourist Trap',
+  'Tower of Life',
+  'Tree Gnome Village',
+  'Tribal Totem',
+  'Troll Romance',
+  'Troll Stronghold',
+  "Twilight's Promise",
+  'Underground Pass',
+  'Wanted!',
+  'Watchtower',
+  'Waterfall Quest',
+  'What Lies Below',
+  'While Guthix Sleeps',
+  "Witch's House",
+  'Zogre Flesh Eaters',
+  "Alfred Grimhand's Barcrawl",
+  'Enter the Abyss',
+  "The General's Shadow",
+  'His Faithful Servants',
+  'Skippy and the Mogres',
+  'The Frozen Door'
+];
+
+/**
+ * 16-bit FNV-1a hash of a list of names, used to tell whether a link was
+ * made against the same list.
+ *
+ * @param {string[]} names - The list.
+ * @returns {number} The fingerprint.
+ */
+function fingerprint(names) {
+  let hash = 0x811c9dc5;
+  const text = names.join('\n');
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return (hash ^ (hash >>> 16)) & 0xffff;
+}
+
+const ACTIVITY_FINGERPRINT = fingerprint(HISCORE_ACTIVITIES);
+
+/**
+ * Append an unsigned varint.
+ *
+ * @param {number[]} bytes - Output bytes.
+ * @param {number} value - A non-negative integer.
+ */
+function writeVarint(bytes, value) {
+  let rest = Math.max(0, Math.floor(Number(value) || 0));
+  while (rest >= 0x80) {
+    bytes.push((rest % 0x80) | 0x80);
+    rest = Math.floor(rest / 0x80);
+  }
+  bytes.push(rest);
+}
+
+/**
+ * Sequential reader over decoded bytes.
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.offset = 0;
+  }
+
+  byte() {
+    if (this.offset >= this.bytes.length) {
+      throw new Error('Share link is incomplete');
+    }
+    return this.bytes[this.offset++];
+  }
+
+  varint() {
+    let value = 0;
+    let scale = 1;
+    for (;;) {
+      const byte = this.byte();
+      value += (byte & 0x7f) * scale;
+      if (byte < 0x80) return value;
+      scale *= 0x80;
+    }
+  }
+
+  uint16() {
+    return this.byte() | (this.byte() << 8);
+  }
+
+  text() {
+    const length = this.varint();
+    return new TextDecoder().decode(Uint8Array.from({ length }, () => this.byte()));
+  }
+}
+
+/**
+ * Append gear as a bitmask over SHARE_SLOTS and one item id per set bit.
+ *
+ * @param {number[]} bytes - Output bytes.
+ * @param {Object} [gear] - Item ids keyed by slot.
+ */
+function writeGear(bytes, gear = {}) {
+  const slots = SHARE_SLOTS.filter((slot) => /^\d+$/.test(String(gear[slot] || '')));
+  writeVarint(bytes, slots.reduce((mask, slot) => mask | (1 << SHARE_SLOTS.indexOf(slot)), 0));
+  slots.forEach((slot) => writeVarint(bytes, Number(gear[slot])));
+}
+
+/**
+ * Read gear written by writeGear().
+ *
+ * @param {ByteReader} reader - The reader.
+ * @returns {Object} Item ids keyed by slot.
+ */
+function readGear(reader) {
+  const gear = {};
+  const slotMask = reader.varint();
+  SHARE_SLOTS.forEach((slot, index) => {
+    if (slotMask & (1 << index)) gear[slot] = String(reader.varint());
+  });
+  return gear;
+}
+
+/**
+ * Append a list of item ids as a count and the ids.
+ *
+ * @param {number[]} bytes - Output bytes.
+ * @param {string[]} [ids] - Item ids.
+ */
+function writeItems(bytes, ids = []) {
+  const numeric = ids.filter((id) => /^\d+$/.test(String(id)));
+  writeVarint(bytes, numeric.length);
+  numeric.forEach((id) => writeVarint(bytes, Number(id)));
+}
+
+/**
+ * Read a list written by writeItems().
+ *
+ * @param {ByteReader} reader - The reader.
+ * @returns {string[]} The item ids.
+ */
+function readItems(reader) {
+  return Array.from({ length: reader.varint() }, () => String(reader.varint()));
+}
+
+/**
+ * Encode bytes as base64url without padding.
+ *
+ * @param {number[]} bytes - The bytes.
+ * @returns {string} The encoded text.
+ */
+function toBase64Url(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text.
+ *
+ * @param {string} text - The encoded text.
+ * @returns {number[]} The bytes.
+ * @throws {Error} If the text isn't base64url.
+ */
+function fromBase64Url(text) {
+  let binary;
+  try {
+    if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('not base64url');
+    binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  } catch (err) {
+    throw new Error('Share link is malformed');
+  }
+  return Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Pack a player object into the fragment value (without the `share=`
+ * key), e.g. `2.AQJk...`.
+ *
+ * @param {Object} player - A player object, such as getPlayerData() returns.
+ * @returns {string} The encoded player.
+ */
+export function encodeSharedPlayer(player) {
+  const bytes = [];
+  writeVarint(bytes, Math.max(0, Object.keys(GAME_MODES).indexOf(player.mode)));
+  writeVarint(bytes, player.combat);
+
+  writeVarint(bytes, SHARE_SKILLS.length);
+  SHARE_SKILLS.forEach((skill) => writeVarint(bytes, player[skill]));
+
+  const quests = new Set((player.quests || []).map(resolveQuestName));
+  const questBits = new Array(Math.ceil(SHARE_QUEST_IDS.length / 8)).fill(0);
+  SHARE_QUEST_IDS.forEach((name, id) => {
+    if (quests.has(name)) questBits[id >> 3] |= 1 << (id & 7);
+  });
+  writeVarint(bytes, questBits.length);
+  bytes.push(...questBits);
+
+  writeGear(bytes, player.gear);
+
+  const killCounts = Object.entries(player.killCounts || {}).filter(
+    ([activity, score]) => HISCORE_ACTIVITIES.includes(activity) && score > 0
+  );
+  bytes.push(ACTIVITY_FINGERPRINT & 0xff, ACTIVITY_FINGERPRINT >> 8);
+  writeVarint(bytes, killCounts.length);
+  killCounts.forEach(([activity, score]) => {
+    writeVarint(bytes, HISCORE_ACTIVITIES.indexOf(activity));
+    writeVarint(bytes, score);
+  });
+
+  writeItems(bytes, player.inventory);
+  const loadouts = (player.loadouts || []).filter((loadout) => SHARE_STYLES.includes(loadout.style));
+  writeVarint(bytes, loadouts.length);
+  loadouts.forEach((loadout) => {
+    writeVarint(bytes, SHARE_STYLES.indexOf(loadout.style));
+    const name = new TextEncoder().encode(loadout.name);
+    writeVarint(bytes, name.length);
+    bytes.push(...name);
+    writeGear(bytes, loadout.gear);
+    writeItems(bytes, loadout.inventory);
+  });
+
+  return `${SHARE_VERSION}.${toBase64Url(bytes)}`;
+}
+
+/**
+ * Unpack a value made by encodeSharedPlayer(). Skills missing from the link
+ * (it was made before they existed) are left out of the player object.
+ *
+ * @param {string} value - The fragment value, e.g. `2.AQJk...`.
+ * @returns {{player: Object, dropped: string[]}} The player object, and
+ *   what couldn't be fully restored because the link was made by a newer
+ *   quest or style list or a different activity list ('quests',
+ *   'kill counts', 'loadouts').
+ * @throws {Error} If the value is malformed or from an unknown version.
+ */
+export function decodeSharedPlayer(value) {
+  const match = /^(\d+)\.(.*)$/.exec(String(value));
+  if (!match) {
+    throw new Error('Share link is malformed');
+  }
+  const version = Number(match[1]);
+  if (!SUPPORTED_VERSIONS.includes(version)) {
+    throw new Error(`Share link version ${version} isn't supported by this version of the app`);
+  }
+  const reader = new ByteReader(fromBase64Url(match[2]));
+  const dropped = [];
+  const player = { quests: [], gear: {}, inventory: [], loadouts: [], killCounts: {} };
+
+  player.mode = Object.keys(GAME_MODES)[reader.varint()] || DEFAULT_GAME_MODE;
+  player.combat = reader.varint();
+
+  const skillCount = reader.varint();
+  for (let index = 0; index < skillCount; index += 1) {
+    const level = reader.varint();
+    if (index < SHARE_SKILLS.length && level > 0) player[SHARE_SKILLS[index]] = level;
+  }
+
+  const questBits = Array.from({ length: reader.varint() }, () => reader.byte());
+  questBits.forEach((bits, index) => {
+    for (let bit = 0; bit < 8; bit += 1) {
+      if (!(bits & (1 << bit))) continue;
+      const name = SHARE_QUEST_IDS[index * 8 + bit];
+      if (name) {
+        player.quests.push(name);
+      } else if (!dropped.includes('quests')) {
+        dropped.push('quests');
+      }
+    }
+  });
+
+  player.gear = readGear(reader);
+
+  const activityFingerprint = reader.uint16();
+  const killCountTotal = reader.varint();
+  for (let i = 0; i < killCountTotal; i += 1) {
+    const index = reader.varint();
+    const score = reader.varint();
+    if (activityFingerprint === ACTIVITY_FINGERPRINT && HISCORE_ACTIVITIES[index]) {
+      player.killCounts[HISCORE_ACTIVITIES[index]] = score;
+    }
+  }
+  if (activityFingerprint !== ACTIVITY_FINGERPRINT && killCountTotal > 0) {
+    dropped.push('kill counts');
+  }
+  if (version === 1) {
+    return { player, dropped };
+  }
+
+  player.inventory = readItems(reader);
+  const loadoutCount = reader.varint();
+  for (let i = 0; i < loadoutCount; i += 1) {
+    const style = SHARE_STYLES[reader.varint()];
+    const loadout = { name: reader.text(), style, gear: readGear(reader), inventory: readItems(reader) };
+    if (style) {
+      player.loadouts.push(loadout);
+    } else if (!dropped.includes('loadouts')) {
+      dropped.push('loadouts');
+    }
+  }
+
+  return { player, dropped };
+}
+
+/**
+ * Find the encoded player in a URL fragment.
+ *
+ * @param {string} hash - `location.hash`, with or without the leading '#'.
+ * @returns {?string} The value to pass to decodeSharedPlayer(), or null.
+ */
+export function readShareFragment(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  return params.get(SHARE_FRAGMENT_KEY);
+}
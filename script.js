@@ -1,8 +1,91 @@
 // script.js
-// This file contains the JavaScript needed to fetch player stats
-// from the Old School RuneScape Hiscores API and automatically
-// populate the combat and prayer levels. Additional functionality
-// will be added in later steps.
+// The page's UI layer: reading the form, fetching hiscores, loading the
+// data files and rendering results. Everything that doesn't touch the DOM
+// (parsing, requirement checks, DPS maths) lives in the ES modules under
+// lib/, which server.js and other Node scripts import as well. This file
+// is loaded with <script type="module">.
+
+import {
+  HISCORE_SKILLS,
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  HISCORE_ERRORS,
+  HiscoresError,
+  isValidUsername,
+  getHiscoresUrl,
+  parseHiscores,
+  getSkillLevels,
+  getActivityScores
+} from './lib/hiscores.mjs';
+import { QUESTS, resolveQuestName, getQuestPrerequisites, findMissingQuestPrerequisites } from './lib/quests.mjs';
+import {
+  BONUS_LABELS,
+  getItem,
+  findItemIdByName,
+  isTwoHanded,
+  getAmmoProblem,
+  sumEquipmentBonuses
+} from './lib/items.mjs';
+import {
+  evaluateItemRequirements,
+  evaluateTiers,
+  getFailureMessages
+} from './lib/requirements.mjs';
+import { PRAYERS, POTIONS, STANCES, SPELLS, calculateDps } from './lib/combat.mjs';
+import { computeCombatLevel, playerFromHiscores } from './lib/eligibility.mjs';
+import { rankLockedRaids } from './lib/planner.mjs';
+import {
+  historyKey,
+  createSnapshot,
+  snapshotsInRange,
+  getSkillSeries,
+  computeGains,
+  findUnlockDates,
+  openSnapshotStore
+} from './lib/history.mjs';
+import { parseRoster, mapWithConcurrency, buildRosterMatrix, rosterToCsv } from './lib/roster.mjs';
+import { checkItemData, checkRaidData } from './lib/app-data.mjs';
+import {
+  ITEM_ICON_PLACEHOLDER,
+  buildItemIndex,
+  findItemFamily,
+  searchItems,
+  addRecentItem,
+  getItemIconUrl
+} from './lib/item-search.mjs';
+import {
+  LOADOUT_STYLES,
+  MAX_LOADOUT_NAME_LENGTH,
+  checkLoadoutName,
+  putLoadout,
+  removeLoadout,
+  addInventoryItem
+} from './lib/loadouts.mjs';
+import { parseRuneLiteExport, mapRuneLiteItems, collectRuneLiteItems, describeUnmapped } from './lib/runelite.mjs';
+import { addOwnedItem, suggestBestInSlot } from './lib/owned.mjs';
+import {
+  RAID_CATEGORIES,
+  GROUP_FILTERS,
+  RAID_SORTS,
+  formatGroupSize,
+  formatStyles,
+  filterRaids,
+  sortRaids,
+  groupByCategory
+} from './lib/catalogue.mjs';
+import {
+  MAX_PROFILE_NAME_LENGTH,
+  LEGACY_PROFILE_NAME,
+  checkProfileName,
+  createProfileStore,
+  parseProfileStore,
+  findProfile,
+  putProfile,
+  removeProfile,
+  exportProfile,
+  importProfile
+} from './lib/profiles.mjs';
+import { SHARE_FRAGMENT_KEY, encodeSharedPlayer, decodeSharedPlayer, readShareFragment } from './lib/share.mjs';
 
 /**
  * Fetch statistics for a given RuneScape username from the official
@@ -12,14 +95,75 @@
  * skill, containing rank, level and experience separated by commas.
  *
  * Example line: `1500,60,273741` represents rank 1500, level 60,
- * experience 273,741 XP. The skill order is defined by Jagex; for
- * our purposes we only need the first few skills (Attack, Defence,
- * Strength, Hitpoints, Ranged, Prayer, Magic).
+ * experience 273,741 XP. After the skills come activity rows such as
+ * clue scrolls and boss kill counts. The row order is defined by Jagex
+ * and handled by parseHiscores() in lib/hiscores.mjs.
  */
 // Store the most recently fetched stats so eligibility checks can prefer
 // data from the API instead of manual inputs.
 let playerStats = null;
 
+// Kill counts and activity scores from the most recent fetch, keyed by the
+// hiscores activity name (e.g. "Chambers of Xeric"). Empty until a fetch.
+let playerKillCounts = {};
+
+/**
+ * Fetch the raw hiscores text for a player. Try our optional Express
+ * backend first and, if there isn't one (e.g. when running on GitHub Pages
+ * where no backend exists), fall back to a public CORS proxy. The backend
+ * endpoint lives at /api/hiscore?player=NAME.
+ *
+ * Failures are thrown as a HiscoresError whose code says what went wrong:
+ * the backend names it in an X-Hiscore-Error header, and through the proxy
+ * a 404 from Jagex means the player isn't ranked.
+ *
+ * @param {string} username - The player's display name.
+ * @param {string} [mode=DEFAULT_GAME_MODE] - A key of GAME_MODES; picks
+ *   the hiscores table.
+ * @returns {Promise<string>} The index_lite.ws response body.
+ * @throws {HiscoresError} If the name or mode is invalid or the lookup fails.
+ */
+async function fetchHiscoresText(username, mode = DEFAULT_GAME_MODE) {
+  if (!isValidUsername(username)) {
+    throw new HiscoresError('invalid-name');
+  }
+  let response;
+  try {
+    response = await fetch(`/api/hiscore?player=${encodeURIComponent(username)}&mode=${encodeURIComponent(mode)}`);
+  } catch (err) {
+    response = null;
+  }
+  if (response) {
+    if (response.ok) {
+      return response.text();
+    }
+    // Our backend explains its errors; anything else means there is no
+    // backend here and the proxy should be used instead.
+    const code = response.headers.get('X-Hiscore-Error');
+    if (code && HISCORE_ERRORS[code]) {
+      const error = new HiscoresError(code);
+      // Seconds until a rate-limited caller may try again
+      error.retryAfter = Number(response.headers.get('Retry-After')) || 0;
+      throw error;
+    }
+  }
+
+  // Fall back to the public CORS proxy. This makes the app work on static
+  // hosts like GitHub Pages where no Node server is running.
+  try {
+    response = await fetch(`https://corsproxy.io/?${getHiscoresUrl(username, mode)}`);
+  } catch (err) {
+    throw new HiscoresError('upstream-error');
+  }
+  if (response.status === 404) {
+    throw new HiscoresError('not-found');
+  }
+  if (!response.ok) {
+    throw new HiscoresError(response.status === 504 ? 'upstream-timeout' : 'upstream-error');
+  }
+  return response.text();
+}
+
 async function fetchStats() {
   const usernameInput = document.getElementById('username');
   const username = usernameInput.value.trim();
@@ -32,64 +176,18 @@ async function fetchStats() {
   }
 
   try {
-    // Attempt to fetch data via our optional Express backend first. If it fails
-    // (e.g. when running on GitHub Pages where no backend exists), fall back
-    // to using a public CORS proxy. The backend endpoint lives at /api/hiscore?player=NAME.
-    let url = `/api/hiscore?player=${encodeURIComponent(username)}`;
-    let response;
-    try {
-      response = await fetch(url);
-      // If the backend returns an error status, treat as failure and fall back.
-      if (!response.ok) {
-        throw new Error('Backend request failed');
-      }
-    } catch (err) {
-      // Fall back to the public CORS proxy. This makes the app work on static
-      // hosts like GitHub Pages where no Node server is running.
-      url =
-        'https://corsproxy.io/?https://secure.runescape.com/m=hiscore_oldschool/index_lite.ws?player=' +
-        encodeURIComponent(username);
-      response = await fetch(url);
-      if (!response.ok) {
-        throw new Error('Network response was not ok');
-      }
-    }
-    const text = await response.text();
-
-    // Split the response by newline and then by comma to get an array of
-    // [rank, level, experience] for each skill. The skill order is
-    // defined by Jagex; see https://oldschool.runescape.wiki/w/Application_programming_interface#Skill_data
-    const lines = text.trim().split('\n').map((line) => line.split(','));
-
-    // Map of skill names to their index in the hiscores response.
-    const skillNames = [
-      'overall',
-      'attack',
-      'defence',
-      'strength',
-      'hitpoints',
-      'ranged',
-      'prayer',
-      'magic'
-      // We can extend this list later if we need more stats.
-    ];
-
-    const stats = {};
-    skillNames.forEach((name, i) => {
-      const [, level] = lines[i];
-      stats[name] = parseInt(level, 10);
-    });
+    const text = await fetchHiscoresText(username, document.getElementById('game-mode').value);
 
-    // Save stats globally so the eligibility logic can use them later.
-    playerStats = {
-      attack: stats.attack,
-      strength: stats.strength,
-      defence: stats.defence,
-      hitpoints: stats.hitpoints,
-      ranged: stats.ranged,
-      prayer: stats.prayer,
-      magic: stats.magic
-    };
+    // Parse every row of the response (all skills, clue scrolls, minigames
+    // and boss kill counts). See lib/hiscores.mjs for the row layout.
+    const hiscores = parseHiscores(text);
+    const stats = getSkillLevels(hiscores);
+
+    // Save stats and kill counts globally so the eligibility logic can use
+    // them later. playerStats holds every skill, not just the combat ones,
+    // so quest and raid requirements can refer to any skill.
+    playerStats = stats;
+    playerKillCounts = getActivityScores(hiscores);
 
     // Populate individual stat fields so the user can see them and edit if needed.
     document.getElementById('attack').value = stats.attack;
@@ -116,31 +214,42 @@ async function fetchStats() {
     showMessage('Stats fetched successfully!', 'success');
     // Update the stats summary to reflect the newly fetched levels
     updateStatsSummary();
+    // Fetched levels include non-combat skills, so quest skill checks can run
+    updateQuestWarnings();
+    updateGearAvailability();
+    // Keep the fetch as a history snapshot. History is a nice-to-have, so
+    // a failure here is only logged.
+    recordSnapshot(hiscores, username, document.getElementById('game-mode').value).catch((err) => {
+      console.error('Could not save history snapshot:', err);
+    });
   } catch (error) {
-    // Handle errors gracefully. This includes network failures and invalid usernames.
+    // Handle errors gracefully. Lookup failures carry a message for their
+    // specific cause (invalid name, unknown player, rate limit, Jagex down).
     console.error(error);
     showMessage(
-      'Failed to fetch hiscores data. Please check the username and try again later.',
+      error instanceof HiscoresError
+        ? error.message
+        : 'Failed to fetch hiscores data. Please check the username and try again later.',
       'error'
     );
   }
 }
 
 /**
- * Compute the combat level from individual skill levels using the OSRS formula.
- * The formula calculates a base component from Defence, Hitpoints and half
- * Prayer, then adds the highest of the melee, ranged or magic components.
- * See: https://oldschool.runescape.wiki/w/Combat_level#The_formula
- *
- * @param {Object} stats - An object containing individual skill levels.
- * @returns {number} The calculated combat level, rounded down to the nearest integer.
+ * Fill the game mode selects (the player's own and the roster's) from
+ * GAME_MODES.
  */
-function computeCombatLevel(stats) {
-  const base = 0.25 * (stats.defence + stats.hitpoints + Math.floor(stats.prayer / 2));
-  const melee = 0.325 * (stats.attack + stats.strength);
-  const range = 0.325 * Math.floor(1.5 * stats.ranged);
-  const mage = 0.325 * Math.floor(1.5 * stats.magic);
-  return Math.floor(base + Math.max(melee, range, mage));
+function populateGameModes() {
+  document.querySelectorAll('.game-mode-select').forEach((select) => {
+    select.innerHTML = '';
+    Object.entries(GAME_MODES).forEach(([key, mode]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = mode.label;
+      select.appendChild(opt);
+    });
+    select.value = DEFAULT_GAME_MODE;
+  });
 }
 
 // -----------------------------------------------------------------------------
@@ -211,891 +320,2389 @@ function updateStatsSummary() {
 }
 
 // -----------------------------------------------------------------------------
-// Gear item data and populating logic
+// Equipment stats panel
 //
-// To provide a more authentic equipment selection experience, each gear slot
-// now lists common RuneScape items appropriate for that slot instead of
-// generic tags like "melee" or "magic". Because loading a complete list of
-// every item in the game would significantly increase the bundle size and
-// require cross‑origin requests, we include curated lists of popular and
-// representative items for each slot. Players can still choose "None" if
-// they do not wish to equip anything in a slot.
-
-// A mapping from slot names (matching the data-slot attribute on each select)
-// to arrays of item names. Feel free to extend these lists with additional
-// favourites. The first entry in each array should be omitted here because
-// the HTML already includes a "None" option by default.
-const gearItems = {
-  head: [
-    'Helm of neitiznot',
-    'Neitiznot faceguard',
-    'Serpentine helm',
-    'Void knight helm',
-    'Void ranger helm',
-    'Void melee helm',
-    'Void mage helm',
-    'Torva full helm',
-    'Guthan\'s helm',
-    'Dharok\'s helm',
-    'Verac\'s helm',
-    'Karil\'s coif',
-    'Ahrim\'s hood',
-    'Crystal helm',
-    'Mystic hat',
-    'Bandos helmet',
-    'Berserker helm',
-    'Rune full helm',
-    'Dragon full helm',
-    'Black mask',
-    'Slayer helmet',
-    'Circlet of water',
-    'Spiny helm',
-    'Armadyl helmet',
-    'Ancestral hat',
-    'Masori mask',
-    'Inquisitor\'s great helm',
-    'Fighter hat',
-    'Third age full helmet',
-    'Dwarven helmet'
-  ],
-  neck: [
-    'Amulet of glory',
-    'Amulet of eternal glory',
-    'Amulet of fury',
-    'Amulet of torture',
-    'Amulet of accuracy',
-    'Amulet of power',
-    'Amulet of strength',
-    'Amulet of magic',
-    'Amulet of defence',
-    'Blood fury',
-    'Phoenix necklace',
-    'Bonecrusher necklace',
-    'Dragonbone necklace',
-    'Necklace of anguish',
-    'Occult necklace',
-    'Salve amulet',
-    'Salve amulet (e)',
-    'Salve amulet (i)',
-    'Salve amulet (ei)',
-    'Amulet of avarice',
-    'Amulet of ranging',
-    '3rd age amulet',
-    'Gnome amulet',
-    'Dodgy necklace',
-    'Sorrow necklace',
-    'Torc of the elements'
-  ],
-  body: [
-    'Torva platebody',
-    'Bandos chestplate',
-    'Guthan\'s platebody',
-    'Dharok\'s platebody',
-    'Verac\'s brassard',
-    'Karil\'s leathertop',
-    'Ahrim\'s robe top',
-    'Armadyl chestplate',
-    'Ancestral robe top',
-    'Masori body',
-    'Justiciar chestguard',
-    'Dragon chainbody',
-    'Dragon platebody',
-    'Rune platebody',
-    'Granite body',
-    'Mystic robe top',
-    'Proselyte hauberk',
-    'Fighter torso',
-    'Obsidian platebody',
-    'Elite void top',
-    'Void knight top',
-    'Initiate hauberk',
-    'Skeletal top',
-    'Spined body'
-  ],
-  legs: [
-    'Torva platelegs',
-    'Bandos tassets',
-    'Guthan\'s chainskirt',
-    'Dharok\'s platelegs',
-    'Verac\'s plateskirt',
-    'Karil\'s leatherskirt',
-    'Ahrim\'s robe skirt',
-    'Armadyl chainskirt',
-    'Ancestral robe bottom',
-    'Masori chaps',
-    'Justiciar legguards',
-    'Dragon platelegs',
-    'Dragon plateskirt',
-    'Rune platelegs',
-    'Granite legs',
-    'Proselyte cuisse',
-    'Mystic robe bottom',
-    'Elite void robe',
-    'Void knight robe',
-    'Initiate cuisse',
-    'Skeletal legs',
-    'Spined chaps',
-    'Black d\'hide chaps'
-  ],
-  weapon: [
-    'Abyssal whip',
-    'Abyssal tentacle',
-    'Abyssal bludgeon',
-    'Dragon scimitar',
-    'Dragon longsword',
-    'Dragon dagger',
-    'Dragon claws',
-    'Dragon mace',
-    'Dragon sword',
-    'Dragon warhammer',
-    'Dragon 2h sword',
-    'Dragon spear',
-    'Dragon hasta',
-    'Dragon halberd',
-    'Dragon crossbow',
-    'Dragon hunter crossbow',
-    'Dragon hunter lance',
-    'Dragon pickaxe',
-    'Dragon harpoon',
-    'Toxic blowpipe',
-    'Magic shortbow',
-    'Seercull',
-    'Twisted bow',
-    'Bow of faerdhinen',
-    'Crystal bow',
-    'Rune crossbow',
-    'Armadyl crossbow',
-    'Karil\'s crossbow',
-    'Zaryte crossbow',
-    'Arclight',
-    'Saradomin sword',
-    'Zamorakian hasta',
-    'Zamorakian spear',
-    'Bandos godsword',
-    'Armadyl godsword',
-    'Zamorak godsword',
-    'Saradomin godsword',
-    'Inquisitor\'s mace',
-    'Ghrazi rapier',
-    'Osmumten\'s fang',
-    'Staff of the dead',
-    'Toxic staff of the dead',
-    'Staff of light',
-    'Trident of the seas',
-    'Trident of the swamp',
-    'Sanguinesti staff',
-    'Kodai wand',
-    'Ancient scepter',
-    'Elder maul',
-    'Scythe of vitur',
-    'Viggora\'s chainmace',
-    'Ursine chainmace',
-    'Vine whip',
-    'Staff of balance',
-    'Thammaron\'s sceptre',
-    'Heavy ballista',
-    'Light ballista',
-    'Granite maul',
-    'Barrelchest anchor',
-    'Leaf-bladed battleaxe',
-    'Leaf-bladed sword',
-    'Leaf-bladed spear',
-    'Bone dagger',
-    'Chaos spear (imbued)',
-    'Crystal staff',
-    'Third age longsword',
-    'Saradomin staff',
-    'Zamorak staff',
-    'Guthix staff',
-    'Ancient staff',
-    'Slayer staff'
-  ],
-  shield: [
-    'Dragon defender',
-    'Avernic defender',
-    'Rune defender',
-    'Steel defender',
-    'Bronze defender',
-    'Dragonfire shield',
-    'Dragonfire ward',
-    'Ancient wyvern shield',
-    'Crystal shield',
-    'Twisted buckler',
-    'Odium ward',
-    'Malediction ward',
-    'Elysian spirit shield',
-    'Arcane spirit shield',
-    'Spectral spirit shield',
-    'Blessed spirit shield',
-    'Holy book',
-    'Unholy book',
-    'Book of balance',
-    'Book of war',
-    'Book of law',
-    'Book of darkness',
-    'Book of truth',
-    'Dragon square shield',
-    'Dragon kiteshield',
-    'Rune kiteshield',
-    'Iron kiteshield',
-    'Bronze kiteshield',
-    'Iron square shield'
-  ],
-  hands: [
-    'Barrows gloves',
-    'Ferocious gloves',
-    'Regen bracelet',
-    'Combat bracelet',
-    'Bracelet of ethereum (uncharged)',
-    'Diamond bracelet',
-    'Dragon gloves',
-    'Torva gloves',
-    'Bandos gloves',
-    'Mystic gloves',
-    'Infinity gloves',
-    'Black d\'hide vambraces',
-    'Blessed vambraces',
-    'Void knight gloves',
-    'Elite void gloves',
-    'Karamja gloves 3',
-    'Ice gloves',
-    'Granite gloves',
-    'Goldsmith gauntlets',
-    'Gauntlets of solace',
-    'Culinaromancer\'s gloves 10',
-    'Dark gloves',
-    'Skeletal gloves',
-    'Spined gloves'
-  ],
-  boots: [
-    'Primordial boots',
-    'Pegasian boots',
-    'Eternal boots',
-    'Dragon boots',
-    'Ranger boots',
-    'Snakeskin boots',
-    'Bandos boots',
-    'Torva boots',
-    'Guardian boots',
-    'Granite boots',
-    'Mystic boots',
-    'Infinity boots',
-    'Rune boots',
-    'Mithril boots',
-    'Climbing boots',
-    'Spiked manacles',
-    'Boots of lightness',
-    'Fremennik boots',
-    'Graceful boots',
-    'Blessed boots',
-    'Boots of stone',
-    'Skele boots',
-    'Spined boots',
-    'Trailblazer boots'
-  ],
-  ring: [
-    'Berserker ring',
-    'Warrior ring',
-    'Seers ring',
-    'Archer ring',
-    'Tyrannical ring',
-    'Treasonous ring',
-    'Ring of suffering',
-    'Ring of recoil',
-    'Ring of wealth',
-    'Ring of life',
-    'Ring of the gods',
-    'Lightbearer',
-    'Granite ring',
-    'Guardian\'s ring',
-    'Ring of dueling',
-    'Explorer\'s ring 3',
-    'Explorer\'s ring 4',
-    'Diamond ring',
-    'Ruby ring',
-    'Emerald ring',
-    'Sapphire ring',
-    'Dragonstone ring',
-    'Onyx ring',
-    'Zenyte ring',
-    'Bullseye ring',
-    'Ring of zealots',
-    'Gold ring'
-  ],
-  cape: [
-    'Fire cape',
-    'Infernal cape',
-    'Mythical cape',
-    'Ava\'s accumulator',
-    'Ava\'s attractor',
-    'Ava\'s assembler',
-    'Max cape',
-    'Ranging cape',
-    'Magic cape',
-    'Defence cape',
-    'Attack cape',
-    'Strength cape',
-    'Hitpoints cape',
-    'Prayer cape',
-    'Slayer cape',
-    'Fishing cape',
-    'Cooking cape',
-    'Quest point cape',
-    'Saradomin cape',
-    'Zamorak cape',
-    'Guthix cape',
-    'Ancient cape',
-    'Infernal max cape',
-    'Fire max cape',
-    'Ardougne cloak 4',
-    'Ardougne cloak 3',
-    'Ardougne cloak 2',
-    'Ardougne cloak 1',
-    'Obsidian cape',
-    'Soul cape',
-    'Imbued saradomin cape',
-    'Imbued zamorak cape',
-    'Imbued guthix cape'
-  ],
-  ammo: [
-    'Bronze arrows',
-    'Iron arrows',
-    'Steel arrows',
-    'Mithril arrows',
-    'Adamant arrows',
-    'Rune arrows',
-    'Amethyst arrows',
-    'Dragon arrows',
-    'Bronze bolts',
-    'Iron bolts',
-    'Steel bolts',
-    'Mithril bolts',
-    'Adamant bolts',
-    'Rune bolts',
-    'Dragon bolts',
-    'Dragon bolts (e)',
-    'Onyx bolts (e)',
-    'Emerald bolts (e)',
-    'Ruby bolts (e)',
-    'Diamond bolts (e)',
-    'Opal bolts (e)',
-    'Pearl bolts (e)',
-    'Topaz bolts (e)',
-    'Sapphire bolts (e)',
-    'Amethyst darts',
-    'Rune darts',
-    'Dragon darts',
-    'Mithril darts',
-    'Adamant darts',
-    'Bronze javelins',
-    'Iron javelins',
-    'Steel javelins',
-    'Mithril javelins',
-    'Adamant javelins',
-    'Rune javelins',
-    'Dragon javelins',
-    'Chinchompa',
-    'Red chinchompa',
-    'Black chinchompa'
-  ],
-  other: [
-    'Saradomin godsword',
-    'Bandos godsword',
-    'Armadyl godsword',
-    'Zamorak godsword',
-    'Elder maul',
-    'Armadyl crossbow',
-    'Heavy ballista',
-    'Dragon 2h sword',
-    'Granite maul',
-    'Dragon warhammer',
-    'Barrelchest anchor',
-    'Staff of light',
-    'Bow of faerdhinen',
-    'Karil\'s crossbow',
-    'Ahrim\'s staff',
-    'Osmumten\'s fang',
-    'Inquisitor\'s mace',
-    'Ancient godsword',
-    'Thammaron\'s sceptre',
-    'Viggora\'s chainmace',
-    'Ursine chainmace'
-  ]
-};
-
-/**
- * Populate each gear slot dropdown with item names.
- * This function iterates over every select element in the gear grid and
- * appends option elements for each predefined item. The first option
- * ("None") remains untouched so players can leave a slot empty.
- */
-function populateGearDropdowns() {
-  const selects = document.querySelectorAll('#gear-grid select');
-  selects.forEach((select) => {
-    const slot = select.getAttribute('data-slot');
-    if (!slot || !gearItems[slot]) return;
-    // Remove any existing options except the first (None)
-    const firstOption = select.querySelector('option');
-    select.innerHTML = '';
-    if (firstOption) {
-      select.appendChild(firstOption);
-    }
-    // Append items for this slot
-    gearItems[slot].forEach((itemName) => {
-      const opt = document.createElement('option');
-      opt.value = itemName;
-      opt.textContent = itemName;
-      select.appendChild(opt);
-    });
-  });
-}
+// Mirrors the in-game Equipment Stats screen: the attack, defence and other
+// bonuses of everything selected in the gear grid, added up. It is rebuilt
+// on every gear change. sumEquipmentBonuses() in lib/items.mjs does the
+// maths, including ignoring the shield under a two-handed weapon and ammo
+// the weapon can't fire.
 
-/*
- * Define the raids and their minimum requirements. Each raid object
- * contains a name and a `requirements` object. Requirements can
- * include minimum combat and prayer levels, specific skill thresholds,
- * quest prerequisites and gear tags. For this example we include
- * three popular raids with approximate requirements. Feel free to
- * adjust these values as needed.
- */
-const raids = [
-  {
-    name: 'Chambers of Xeric (Raids 1)',
-    image: 'https://via.placeholder.com/80x50?text=COX',
-    guide: 'https://oldschool.runescape.wiki/w/Chambers_of_Xeric',
-    requirements: {
-      combat: 70,
-      prayer: 43,
-      stats: {
-        attack: 70,
-        strength: 70,
-        defence: 70,
-        hitpoints: 70
-      },
-      quests: ['Priest in Peril'],
-      // Chambers of Xeric rewards versatility. Previously this raid
-      // required players to equip both melee and ranged items via
-      // broad gear tags. Now that each gear slot lists individual
-      // items instead of tag categories, we no longer enforce
-      // specific gear requirements. Any gear loadout counts.
-      gear: []
-    }
-  },
-  {
-    name: 'Theatre of Blood (Raids 2)',
-    image: 'https://via.placeholder.com/80x50?text=TOB',
-    guide: 'https://oldschool.runescape.wiki/w/Theatre_of_Blood',
-    requirements: {
-      combat: 85,
-      prayer: 55,
-      stats: {
-        attack: 85,
-        strength: 85
-      },
-      quests: ['Desert Treasure'],
-      // Theatre of Blood is extremely punishing; originally it required a
-      // combination of melee and tank gear tags. Since our gear
-      // selector now lists concrete items, we remove those tag
-      // requirements. Players must still meet the stat and quest
-      // thresholds.
-      gear: []
-    }
-  },
-  {
-    name: 'Tombs of Amascut',
-    image: 'https://via.placeholder.com/80x50?text=TOA',
-    guide: 'https://oldschool.runescape.wiki/w/Tombs_of_Amascut',
-    requirements: {
-      combat: 80,
-      prayer: 50,
-      stats: {
-        defence: 80,
-        hitpoints: 80
-      },
-      quests: ['Recipe for Disaster'],
-      // Tombs of Amascut demands both magic prowess and adequate
-      // prayer bonuses for survival. We remove concrete gear tag
-      // requirements and instead rely on the player’s overall stats.
-      gear: []
-    }
-  },
-  {
-    name: 'Zulrah',
-    image: 'https://via.placeholder.com/80x50?text=Zulrah',
-    guide: 'https://oldschool.runescape.wiki/w/Zulrah',
-    requirements: {
-      combat: 70,
-      prayer: 45,
-      stats: {
-        ranged: 60,
-        hitpoints: 75
-      },
-      quests: ['Regicide'],
-      // Zulrah requires high ranged and hitpoints, along with completion of Regicide.
-      gear: []
-    }
-  },
-  {
-    name: 'Vorkath',
-    image: 'https://via.placeholder.com/80x50?text=Vorkath',
-    guide: 'https://oldschool.runescape.wiki/w/Vorkath',
-    requirements: {
-      combat: 90,
-      prayer: 50,
-      stats: {
-        strength: 80,
-        ranged: 75,
-        hitpoints: 90
-      },
-      quests: ['Dragon Slayer II'],
-      // Vorkath is gated behind Dragon Slayer II and demands high combat stats.
-      gear: []
-    }
-  },
-  {
-    name: 'The Nightmare',
-    image: 'https://via.placeholder.com/80x50?text=Nightmare',
-    guide: 'https://oldschool.runescape.wiki/w/The_Nightmare',
-    requirements: {
-      combat: 80,
-      prayer: 50,
-      stats: {
-        defence: 70,
-        hitpoints: 80
-      },
-      quests: ['Priest in Peril'],
-      // The Nightmare is a high-level boss requiring strong defence and HP, plus Priest in Peril.
-      gear: []
-    }
-  }
+const EQUIPMENT_STAT_GROUPS = [
+  { title: 'Attack bonuses', keys: ['stabAttack', 'slashAttack', 'crushAttack', 'magicAttack', 'rangedAttack'] },
+  { title: 'Defence bonuses', keys: ['stabDefence', 'slashDefence', 'crushDefence', 'magicDefence', 'rangedDefence'] },
+  { title: 'Other bonuses', keys: ['meleeStrength', 'rangedStrength', 'magicDamage', 'prayer'] }
 ];
 
 /**
- * Gather the player’s data either from the fetched stats (if available)
- * or from the manual input fields. Also collect selected quests and
- * gear tags. For now the gear list is empty because the gear selector
- * hasn’t been implemented yet.
+ * Format a bonus with its sign, the way the game shows it ("+82", "-6",
+ * "+15%").
  *
- * @returns {Object} Player data including levels, quests and gear
+ * @param {string} key - Bonus name from BONUS_KEYS.
+ * @param {number} value - The bonus.
+ * @returns {string} The formatted bonus.
  */
-function getPlayerData() {
-  // If stats were fetched, clone them to avoid mutation; otherwise read from inputs.
-  const levels = playerStats
-    ? { ...playerStats }
-    : {
-        attack: parseInt(document.getElementById('attack').value, 10) || 0,
-        strength: parseInt(document.getElementById('strength').value, 10) || 0,
-        defence: parseInt(document.getElementById('defence').value, 10) || 0,
-        hitpoints: parseInt(document.getElementById('hitpoints').value, 10) || 0,
-        ranged: parseInt(document.getElementById('ranged').value, 10) || 0,
-        prayer: parseInt(document.getElementById('prayer').value, 10) || 0,
-        magic: parseInt(document.getElementById('magic').value, 10) || 0
-      };
+function formatBonus(key, value) {
+  const sign = value >= 0 ? '+' : '';
+  return `${sign}${value}${key === 'magicDamage' ? '%' : ''}`;
+}
 
-  // Combat level may be auto‑filled or entered manually. We recompute if necessary.
-  const combat = parseInt(document.getElementById('combat').value, 10) ||
-    computeCombatLevel({
-      ...levels,
-      prayer: levels.prayer
+function updateEquipmentStats() {
+  const container = document.getElementById('equipment-stats');
+  if (!container) return;
+  const gear = getPlayerData().gear;
+  const totals = sumEquipmentBonuses(gear, itemDatabase);
+  container.innerHTML = '';
+
+  EQUIPMENT_STAT_GROUPS.forEach((group) => {
+    const section = document.createElement('div');
+    section.className = 'equipment-stats-group';
+    const heading = document.createElement('h4');
+    heading.textContent = group.title;
+    section.appendChild(heading);
+    const list = document.createElement('dl');
+    group.keys.forEach((key) => {
+      const term = document.createElement('dt');
+      term.textContent = BONUS_LABELS[key];
+      const value = document.createElement('dd');
+      value.textContent = formatBonus(key, totals[key]);
+      list.appendChild(term);
+      list.appendChild(value);
     });
+    section.appendChild(list);
+    container.appendChild(section);
+  });
 
-  // Collect completed quests from checkboxes.
-  const questCheckboxes = document.querySelectorAll('.quest-checkboxes input[type="checkbox"]');
-  const quests = Array.from(questCheckboxes)
-    .filter((box) => box.checked)
-    .map((box) => box.value);
+  const ammoProblem = getAmmoProblem(gear, itemDatabase);
+  if (ammoProblem) {
+    const warning = document.createElement('p');
+    warning.className = 'equipment-warning';
+    warning.textContent = ammoProblem;
+    container.appendChild(warning);
+  }
+}
 
-  // Collect gear selections keyed by slot. Each select has a data-slot
-  // attribute (e.g. head, neck, body, etc.) and a value containing
-  // the item name. Store non-empty selections in an object for easy
-  // persistence and lookup when loading a saved profile.
-  const gear = {};
-  document.querySelectorAll('.gear-slot select').forEach((select) => {
-    const slot = select.getAttribute('data-slot');
-    const value = select.value.trim();
-    if (value) {
-      gear[slot] = value;
-    }
-  });
+/**
+ * Keep the weapon and shield slots consistent, as the game does: equipping
+ * a two-handed weapon takes off the shield, and equipping a shield takes
+ * off a two-handed weapon. Then refresh everything that depends on gear.
+ *
+ * @param {string} slot - The gear slot that was just picked.
+ */
+function onGearChange(slot) {
+  const weapon = getItem(itemDatabase, getGearValue('weapon'));
+  if (slot === 'weapon' && isTwoHanded(weapon) && getGearValue('shield')) {
+    setGearValue('shield', '');
+    showMessage(`${weapon.name} is two-handed, so the shield slot was cleared.`, 'success');
+  } else if (slot === 'shield' && getGearValue('shield') && isTwoHanded(weapon)) {
+    setGearValue('weapon', '');
+    showMessage(`Removed ${weapon.name} because it is two-handed.`, 'success');
+  }
+  syncActiveLoadout();
+  updateGearAvailability();
+  updateEquipmentStats();
+}
 
-  return {
-    ...levels,
-    combat,
-    quests,
-    gear
-  };
+// -----------------------------------------------------------------------------
+// Combat settings
+//
+// The DPS estimate on each raid card depends on more than stats and gear:
+// the attack style, prayer, potion and (for magic) spell. Their options come
+// from the tables in lib/combat.mjs.
+
+/**
+ * Fill the combat setting selects from the STANCES, PRAYERS, POTIONS and
+ * SPELLS tables.
+ */
+function populateCombatSettings() {
+  const tables = { stance: STANCES, prayer: PRAYERS, potion: POTIONS, spell: SPELLS };
+  document.querySelectorAll('#combat-settings select').forEach((select) => {
+    const table = tables[select.getAttribute('data-option')];
+    if (!table) return;
+    select.innerHTML = '';
+    Object.entries(table).forEach(([key, entry]) => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = entry.label;
+      select.appendChild(opt);
+    });
+  });
 }
 
 /**
- * Determine which raids the player qualifies for based on their levels,
- * quests and gear. The function filters the global `raids` array and
- * returns only those raids where all requirements are met.
+ * Read the current combat settings.
  *
- * @param {Object} player - The player data returned from getPlayerData().
- * @returns {Array} List of raid objects the player can access.
- */
-function checkEligibility(player) {
-  return raids.filter((raid) => {
-    const req = raid.requirements;
-    // Check minimum combat level
-    if (req.combat && player.combat < req.combat) return false;
-    // Check minimum prayer level
-    if (req.prayer && player.prayer < req.prayer) return false;
-    // Check specific skill requirements
-    if (req.stats) {
-      for (const [stat, minLevel] of Object.entries(req.stats)) {
-        if (player[stat] < minLevel) return false;
-      }
-    }
-    // Check quest prerequisites
-    if (req.quests) {
-      for (const quest of req.quests) {
-        if (!player.quests.includes(quest)) return false;
-      }
-    }
-    // Check gear requirements (currently unused). Convert the player's gear
-    // selections from an object into an array of item names for comparison.
-    if (req.gear) {
-      const playerGearItems = Object.values(player.gear || {});
-      for (const tag of req.gear) {
-        if (!playerGearItems.includes(tag)) return false;
-      }
-    }
-    return true;
+ * @returns {Object} Options for calculateDps(), e.g. `{ stance: 'accurate',
+ *   prayer: 'piety', potion: 'superCombat', spell: 'fireSurge' }`.
+ */
+function getCombatOptions() {
+  const options = {};
+  document.querySelectorAll('#combat-settings select').forEach((select) => {
+    options[select.getAttribute('data-option')] = select.value;
   });
+  return options;
 }
 
+// -----------------------------------------------------------------------------
+// Gear item data and pickers
+//
+// Equipment comes from the item database in data/items.json, keyed by
+// in-game item id. Each slot has a type-ahead picker: typing searches the
+// items worn in that slot (see lib/item-search.mjs), variants of an item
+// such as (i) or degraded Barrows pieces are listed once and chosen from
+// a second dropdown, and an empty search shows the slot's recently used
+// items. The picked item id is kept in the search input's data-item-id,
+// so gear rules in the raid data can look up bonuses and tags for it.
+// Picking "None" or clearing the search leaves the slot empty.
+
+// The `items` map from data/items.json. Empty until loadItemData() resolves.
+let itemDatabase = {};
+
+// Item families for the pickers, built by loadItemData()
+let itemIndex = [];
+
+// Recently picked item ids per slot, most recent first
+const RECENT_ITEMS_KEY = 'osrs-recent-items';
+let recentItems = {};
+
 /**
- * Determine which requirements the player fails for a given raid.
- * Returns an array of human‑readable strings explaining what’s missing.
- * If the array is empty, the raid is unlocked.
+ * Fetch and validate data/items.json, then store the items globally.
  *
- * @param {Object} raid - A raid definition from the `raids` array.
- * @param {Object} player - Player data returned from getPlayerData().
- */
-function getMissingRequirements(raid, player) {
-  const reasons = [];
-  const req = raid.requirements;
-  // Combat
-  if (req.combat && player.combat < req.combat) {
-    reasons.push(`Combat ${req.combat}+ required (current ${player.combat})`);
-  }
-  // Prayer
-  if (req.prayer && player.prayer < req.prayer) {
-    reasons.push(`Prayer ${req.prayer}+ required (current ${player.prayer})`);
-  }
-  // Specific stats
-  if (req.stats) {
-    for (const [stat, minLevel] of Object.entries(req.stats)) {
-      if (player[stat] < minLevel) {
-        // Capitalize the stat name for display
-        const name = stat.charAt(0).toUpperCase() + stat.slice(1);
-        reasons.push(`${name} ${minLevel}+ required (current ${player[stat]})`);
-      }
-    }
-  }
-  // Quests
-  if (req.quests) {
-    for (const quest of req.quests) {
-      if (!player.quests.includes(quest)) {
-        reasons.push(`${quest} quest required`);
-      }
-    }
-  }
-  // Gear (future feature)
-  if (req.gear) {
-    // Convert player's gear selections (stored as an object) into an array of item names.
-    const playerGearItems = Object.values(player.gear || {});
-    for (const tag of req.gear) {
-      if (!playerGearItems.includes(tag)) {
-        reasons.push(`Missing gear: ${tag}`);
-      }
-    }
+ * @returns {Promise<Object>} The item map keyed by item id.
+ */
+async function loadItemData() {
+  const response = await fetch('data/items.json');
+  if (!response.ok) {
+    throw new Error(`Could not load item data (HTTP ${response.status})`);
   }
-  return reasons;
+  itemDatabase = checkItemData(await response.json());
+  itemIndex = buildItemIndex(itemDatabase);
+  return itemDatabase;
 }
 
 /**
- * Render all raids as cards. This function reads the player’s data,
- * determines the missing requirements for each raid and then builds
- * a card grid showing both unlocked and locked raids. Locked raids
- * are semi‑transparent and include a tooltip listing the requirements
- * you still need to meet.
+ * Show an item's icon from the wiki in an image, falling back to the
+ * bundled placeholder when the wiki has none or can't be reached.
+ *
+ * @param {HTMLImageElement} icon - The image element.
+ * @param {Object} item - An item from the database.
  */
-function displayResults() {
-  const resultsDiv = document.getElementById('results');
-  resultsDiv.innerHTML = '';
+function setItemIcon(icon, item) {
+  icon.onerror = () => {
+    icon.onerror = null;
+    icon.src = ITEM_ICON_PLACEHOLDER;
+  };
+  icon.src = getItemIconUrl(item);
+}
 
-  // Build a container for raid cards
-  const cardsContainer = document.createElement('div');
-  cardsContainer.classList.add('raid-cards');
+/**
+ * The picker's search input for a gear slot.
+ *
+ * @param {string} slot - The gear slot, e.g. 'weapon'.
+ * @returns {HTMLInputElement} The input.
+ */
+function getGearInput(slot) {
+  return document.getElementById(`slot-${slot}`);
+}
 
-  // Get player data once for all raids
-  const player = getPlayerData();
+/**
+ * The item id picked for a gear slot.
+ *
+ * @param {string} slot - The gear slot.
+ * @returns {string} The item id, or '' for an empty slot.
+ */
+function getGearValue(slot) {
+  return getGearInput(slot).dataset.itemId || '';
+}
 
-  raids.forEach((raid) => {
-    // Determine missing requirements for this raid
-    const missing = getMissingRequirements(raid, player);
+/**
+ * Put an item in a gear slot, or empty it, and show it in the picker: the
+ * family name in the search box, the variant dropdown and the icon.
+ * Unknown ids empty the slot.
+ *
+ * @param {string} slot - The gear slot.
+ * @param {string} id - The item id, or '' to empty the slot.
+ */
+function setGearValue(slot, id) {
+  const input = getGearInput(slot);
+  const picker = input.closest('.gear-slot');
+  const item = getItem(itemDatabase, id);
+  const family = item ? findItemFamily(itemIndex, id) : null;
+  input.dataset.itemId = item ? String(id) : '';
+  input.value = family ? family.name : '';
 
-    const card = document.createElement('div');
-    card.classList.add('raid-card');
-    if (missing.length > 0) {
-      card.classList.add('locked');
-      // Use the browser’s default tooltip by setting the title attribute
-      card.setAttribute('title', missing.join('\n'));
-    }
+  const icon = picker.querySelector('.item-icon');
+  icon.hidden = !item;
+  if (item) {
+    setItemIcon(icon, item);
+    icon.alt = item.name;
+  }
 
-    // Raid image
-    const img = new Image();
-    img.src = raid.image;
-    img.alt = raid.name;
-    img.classList.add('raid-image');
-    card.appendChild(img);
-
-    // Raid name
-    const nameEl = document.createElement('h3');
-    nameEl.textContent = raid.name;
-    card.appendChild(nameEl);
-
-    // Guide link
-    const link = document.createElement('a');
-    link.href = raid.guide;
-    link.target = '_blank';
-    link.rel = 'noopener noreferrer';
-    link.textContent = 'View guide';
-    card.appendChild(link);
-
-    cardsContainer.appendChild(card);
-  });
-  resultsDiv.appendChild(cardsContainer);
+  const variants = picker.querySelector('.item-variant');
+  variants.innerHTML = '';
+  variants.hidden = !family || family.variants.length < 2;
+  if (family) {
+    family.variants.forEach((entry) => {
+      const opt = document.createElement('option');
+      opt.value = entry.id;
+      opt.textContent = entry.variant || 'Standard';
+      variants.appendChild(opt);
+    });
+    variants.value = String(id);
+  }
 }
 
 /**
- * Save the current profile (stats, quests and gear) to localStorage.
- * The profile is stored under the key 'osrs-profile' as a JSON string.
+ * Read the recently used items from localStorage.
  */
-function saveProfile() {
-  const player = getPlayerData();
+function readRecentItems() {
   try {
-    localStorage.setItem('osrs-profile', JSON.stringify(player));
-    showMessage('Profile saved.', 'success');
+    recentItems = JSON.parse(localStorage.getItem(RECENT_ITEMS_KEY)) || {};
   } catch (err) {
-    console.error('Could not save profile:', err);
-    showMessage('Failed to save profile.', 'error');
+    console.error('Could not read recent items:', err);
+    recentItems = {};
   }
 }
 
 /**
- * Load a saved profile from localStorage and populate the form fields.
- * If no profile exists, nothing happens. This runs on page load.
+ * Remember an item as recently used in a slot.
+ *
+ * @param {string} slot - The gear slot.
+ * @param {string} id - The item id.
  */
-function loadProfile() {
-  const data = localStorage.getItem('osrs-profile');
-  if (!data) return;
+function rememberRecentItem(slot, id) {
+  recentItems = addRecentItem(recentItems, slot, id);
   try {
-    const player = JSON.parse(data);
-    // Populate numeric fields
-    ['combat', 'prayer', 'attack', 'strength', 'defence', 'hitpoints', 'ranged', 'magic'].forEach((id) => {
-      const el = document.getElementById(id);
-      if (el && typeof player[id] !== 'undefined') {
-        el.value = player[id];
-      }
-    });
-    // Populate quest checkboxes
-    const questBoxes = document.querySelectorAll('.quest-checkboxes input[type="checkbox"]');
-    questBoxes.forEach((box) => {
-      box.checked = Array.isArray(player.quests) && player.quests.includes(box.value);
-    });
-    // Populate gear selects
-    const gear = player.gear || {};
-    document.querySelectorAll('.gear-slot select').forEach((select) => {
-      const slot = select.getAttribute('data-slot');
-      select.value = gear[slot] || '';
-    });
-    // Refresh the stats summary when profile is loaded
-    updateStatsSummary();
+    localStorage.setItem(RECENT_ITEMS_KEY, JSON.stringify(recentItems));
   } catch (err) {
-    console.error('Could not load profile:', err);
+    console.error('Could not save recent items:', err);
   }
 }
 
 /**
- * Clear the saved profile from localStorage and reset all form fields to default.
+ * Build the option list and variant dropdown around each slot's search
+ * input.
  */
-function clearProfile() {
-  localStorage.removeItem('osrs-profile');
-  // Reset form inputs
-  document.getElementById('stats-form').reset();
-  // Manually reset gear selects
-  document.querySelectorAll('.gear-slot select').forEach((select) => {
-    select.value = '';
-  });
-  // Clear quest checkboxes
-  document.querySelectorAll('.quest-checkboxes input[type="checkbox"]').forEach((box) => {
-    box.checked = false;
+function createItemPickers() {
+  document.querySelectorAll('.gear-slot .item-search').forEach((input) => {
+    const slot = input.getAttribute('data-slot');
+    const picker = input.closest('.gear-slot');
+    const field = document.createElement('div');
+    field.className = 'item-field';
+    input.replaceWith(field);
+
+    const icon = document.createElement('img');
+    icon.className = 'item-icon';
+    icon.width = 24;
+    icon.height = 24;
+    icon.hidden = true;
+
+    const list = document.createElement('ul');
+    list.id = `slot-${slot}-options`;
+    list.className = 'item-options';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', list.id);
+    field.append(icon, input, list);
+
+    const variants = document.createElement('select');
+    variants.className = 'item-variant';
+    variants.setAttribute('aria-label', `${picker.querySelector('label').textContent} variant`);
+    variants.hidden = true;
+    picker.appendChild(variants);
+
+    input.addEventListener('focus', () => {
+      input.select();
+      renderItemOptions(slot);
+    });
+    input.addEventListener('input', () => renderItemOptions(slot));
+    input.addEventListener('keydown', (event) => onItemSearchKey(event, slot));
+    input.addEventListener('blur', () => closeItemOptions(slot));
+    // Keep focus in the input while an option is clicked
+    list.addEventListener('mousedown', (event) => event.preventDefault());
+    list.addEventListener('click', (event) => {
+      const option = event.target.closest('[role="option"]');
+      if (option) pickItem(slot, option.dataset.itemId);
+    });
+    variants.addEventListener('change', () => pickItem(slot, variants.value));
   });
-  showMessage('Profile cleared.', 'success');
 }
 
-// Register our event listener once the DOM is loaded. This ensures the button
-// exists when we attach the click handler.
-document.addEventListener('DOMContentLoaded', () => {
-  // Populate the gear selectors with item names on page load
-  populateGearDropdowns();
-  // Load the player's saved profile if it exists to prefill stats, quests and gear
-  loadProfile();
+/**
+ * Show the options for what's typed in a slot's search box: the search
+ * results, or the recently used items when the box is empty. Each option
+ * is marked with ✗ and a tooltip when the player can't equip it; with
+ * "Hide items I can't wear yet" ticked those options are left out.
+ *
+ * @param {string} slot - The gear slot.
+ */
+function renderItemOptions(slot) {
+  const input = getGearInput(slot);
+  const list = document.getElementById(`slot-${slot}-options`);
+  const player = getPlayerData();
+  const context = { items: itemDatabase };
+  const filterBox = document.getElementById('hide-unwearable');
+  const hideUnwearable = Boolean(filterBox && filterBox.checked);
+  const selected = getItem(itemDatabase, getGearValue(slot));
+  const query = selected && input.value === findItemFamily(itemIndex, getGearValue(slot)).name ? '' : input.value;
 
-  // Generate the initial stats summary (either from loaded profile or default values)
-  updateStatsSummary();
+  // Show the variant the player already has when the family is listed
+  const pickable = (family) => {
+    const current = family.variants.find((entry) => entry.id === getGearValue(slot));
+    return current ? current.id : family.defaultId;
+  };
+  let entries;
+  if (query.trim()) {
+    entries = searchItems(itemIndex, query, { slot }).map((family) => ({ family, id: pickable(family) }));
+  } else {
+    entries = (recentItems[slot] || [])
+      .filter((id) => getItem(itemDatabase, id))
+      .map((id) => ({ family: findItemFamily(itemIndex, id), id }));
+  }
 
-  // Whenever the user manually edits any numeric stat field, refresh the summary
-  document.querySelectorAll('#stats-form input[type="number"]').forEach((input) => {
-    input.addEventListener('input', updateStatsSummary);
+  list.innerHTML = '';
+  const addOption = (id, label, note) => {
+    const option = document.createElement('li');
+    option.id = `slot-${slot}-option-${list.children.length}`;
+    option.setAttribute('role', 'option');
+    option.dataset.itemId = id;
+    const item = getItem(itemDatabase, id);
+    if (item) {
+      const icon = document.createElement('img');
+      icon.className = 'item-icon';
+      icon.alt = '';
+      icon.width = 24;
+      icon.height = 24;
+      icon.loading = 'lazy';
+      setItemIcon(icon, item);
+      option.appendChild(icon);
+    }
+    option.appendChild(document.createTextNode(label));
+    if (note) {
+      const small = document.createElement('small');
+      small.textContent = note;
+      option.appendChild(small);
+    }
+    list.appendChild(option);
+    return option;
+  };
+
+  addOption('', 'None');
+  if (!query.trim() && entries.length) {
+    const heading = document.createElement('li');
+    heading.className = 'item-options-heading';
+    heading.setAttribute('role', 'presentation');
+    heading.textContent = 'Recently used';
+    list.appendChild(heading);
+  }
+  entries.forEach(({ family, id }) => {
+    const item = getItem(itemDatabase, id);
+    const check = evaluateItemRequirements(item, player, context);
+    if (hideUnwearable && !check.passed && id !== getGearValue(slot)) return;
+    const notes = [];
+    if (['other', 'inventory', 'owned'].includes(slot)) notes.push(family.slot);
+    if (family.variants.length > 1) notes.push(`${family.variants.length} variants`);
+    const option = addOption(id, check.passed ? item.name : `${item.name} ✗`, notes.join(', '));
+    option.title = getFailureMessages(check).join('\n');
+    option.classList.toggle('unwearable', !check.passed);
   });
+  if (query.trim() && !entries.length) {
+    const empty = document.createElement('li');
+    empty.className = 'item-options-heading';
+    empty.setAttribute('role', 'presentation');
+    empty.textContent = 'No matching items';
+    list.appendChild(empty);
+  }
 
-  const fetchButton = document.getElementById('fetch-btn');
-  if (fetchButton) {
-    fetchButton.addEventListener('click', fetchStats);
+  list.hidden = false;
+  input.setAttribute('aria-expanded', 'true');
+  // Highlight the best match so Enter picks it
+  setActiveItemOption(slot, query.trim() && entries.length ? 1 : 0);
+}
+
+/**
+ * Highlight an option in a slot's list.
+ *
+ * @param {string} slot - The gear slot.
+ * @param {number} index - Position among the list's options.
+ */
+function setActiveItemOption(slot, index) {
+  const input = getGearInput(slot);
+  const options = Array.from(document.querySelectorAll(`#slot-${slot}-options [role="option"]`));
+  if (!options.length) return;
+  const active = options[Math.max(0, Math.min(options.length - 1, index))];
+  options.forEach((option) => option.setAttribute('aria-selected', String(option === active)));
+  input.setAttribute('aria-activedescendant', active.id);
+  active.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Keyboard handling for a slot's search box: arrows move through the
+ * options, Enter picks one and Escape closes the list.
+ *
+ * @param {KeyboardEvent} event - The keydown event.
+ * @param {string} slot - The gear slot.
+ */
+function onItemSearchKey(event, slot) {
+  const list = document.getElementById(`slot-${slot}-options`);
+  const options = Array.from(list.querySelectorAll('[role="option"]'));
+  const current = options.findIndex((option) => option.getAttribute('aria-selected') === 'true');
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (list.hidden) {
+      renderItemOptions(slot);
+      return;
+    }
+    setActiveItemOption(slot, current + (event.key === 'ArrowDown' ? 1 : -1));
+  } else if (event.key === 'Enter' && !list.hidden) {
+    event.preventDefault();
+    if (current !== -1) pickItem(slot, options[current].dataset.itemId);
+  } else if (event.key === 'Escape') {
+    closeItemOptions(slot);
   }
+}
 
-  // Attach the eligibility check to the Check Raids button
-  const checkButton = document.getElementById('check-raids-btn');
-  if (checkButton) {
-    checkButton.addEventListener('click', () => {
-      // Gather player data before checking raids
-      const player = getPlayerData();
-      // If the user hasn’t fetched stats and all manual fields are zero,
-      // prompt them to enter values first. This avoids confusion when
-      // everything is locked simply because no data was provided.
-      const manualFieldsEmpty =
-        playerStats === null &&
-        player.attack === 0 &&
-        player.strength === 0 &&
-        player.defence === 0 &&
-        player.hitpoints === 0 &&
-        player.ranged === 0 &&
-        player.prayer === 0 &&
-        player.magic === 0;
-      if (manualFieldsEmpty) {
-        showMessage(
-          'Please enter your stats or fetch them before checking raids.',
-          'error'
-        );
-        return;
-      }
-      // Re-render the raid cards based on the current form values.
-      displayResults();
-    });
+/**
+ * Close a slot's option list and put the picked item's name back in the
+ * search box, dropping any unfinished search. A box cleared by the player
+ * empties the slot.
+ *
+ * @param {string} slot - The gear slot.
+ */
+function closeItemOptions(slot) {
+  const input = getGearInput(slot);
+  const list = document.getElementById(`slot-${slot}-options`);
+  if (list.hidden) return;
+  list.hidden = true;
+  input.setAttribute('aria-expanded', 'false');
+  input.removeAttribute('aria-activedescendant');
+  if (!input.value.trim() && getGearValue(slot)) {
+    pickItem(slot, '');
+  } else {
+    setGearValue(slot, getGearValue(slot));
   }
+}
 
-  // Set up Save and Clear profile buttons
-  const saveBtn = document.getElementById('save-profile-btn');
-  if (saveBtn) {
-    saveBtn.addEventListener('click', saveProfile);
+/**
+ * Put an item in a slot as the player picked it, remember it as recently
+ * used and refresh everything that depends on gear. The inventory and
+ * owned-items pickers add the item to their list and are cleared for the
+ * next one.
+ *
+ * @param {string} slot - The gear slot, 'inventory' or 'owned'.
+ * @param {string} id - The item id, or '' for None.
+ */
+function pickItem(slot, id) {
+  const list = document.getElementById(`slot-${slot}-options`);
+  list.hidden = true;
+  getGearInput(slot).setAttribute('aria-expanded', 'false');
+  if (id) rememberRecentItem(slot, id);
+  if (slot === 'inventory' || slot === 'owned') {
+    setGearValue(slot, '');
+    if (id && slot === 'inventory') addInventorySwitch(id);
+    else if (id) addOwned(id);
+    return;
   }
-  const clearBtn = document.getElementById('clear-profile-btn');
-  if (clearBtn) {
-    clearBtn.addEventListener('click', clearProfile);
+  setGearValue(slot, id);
+  onGearChange(slot);
+}
+
+/**
+ * Flag gear the player can't equip yet. The slot of an unwearable
+ * selection is highlighted with a tooltip listing what's missing, and
+ * variants the player can't wear are marked with ✗. Any open option list
+ * is redrawn so its marks are up to date too.
+ */
+function updateGearAvailability() {
+  const player = getPlayerData();
+  const context = { items: itemDatabase };
+
+  document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+    const slot = input.getAttribute('data-slot');
+    const picker = input.closest('.gear-slot');
+    picker.querySelectorAll('.item-variant option').forEach((opt) => {
+      const check = evaluateItemRequirements(getItem(itemDatabase, opt.value), player, context);
+      const label = opt.textContent.replace(/ ✗$/, '');
+      opt.textContent = check.passed ? label : `${label} ✗`;
+      opt.title = getFailureMessages(check).join('\n');
+    });
+
+    const selected = getItem(itemDatabase, getGearValue(slot));
+    const check = selected ? evaluateItemRequirements(selected, player, context) : null;
+    const wearable = !check || check.passed;
+    picker.classList.toggle('unwearable', !wearable);
+    input.title = wearable ? '' : getFailureMessages(check).join('\n');
+    if (!document.getElementById(`slot-${slot}-options`).hidden) {
+      renderItemOptions(slot);
+    }
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Gear loadouts and inventory switches
+//
+// A raid is done in several setups, so the gear grid can be saved as named
+// loadouts filed under a combat style (see lib/loadouts.mjs). Picking a
+// loadout shows it in the grid; while one is picked, changes to the grid
+// and the inventory switches are kept in it. Loadouts are saved with the
+// profile.
+
+// The player's loadouts, and the name of the one showing in the grid ('' if none)
+let playerLoadouts = [];
+let activeLoadout = '';
+
+// Item ids carried as inventory switches with the gear in the grid
+let inventoryItems = [];
+
+/**
+ * Fill the loadout style dropdown from LOADOUT_STYLES.
+ */
+function populateLoadoutStyles() {
+  const select = document.getElementById('loadout-style');
+  select.innerHTML = '';
+  Object.entries(LOADOUT_STYLES).forEach(([style, label]) => {
+    const opt = document.createElement('option');
+    opt.value = style;
+    opt.textContent = label;
+    select.appendChild(opt);
+  });
+}
+
+/**
+ * Fill the loadout switcher and select the active loadout. The name and
+ * style boxes show the active loadout, ready for saving.
+ */
+function renderLoadoutSelect() {
+  const select = document.getElementById('loadout-select');
+  select.innerHTML = '';
+  const unsaved = document.createElement('option');
+  unsaved.value = '';
+  unsaved.textContent = playerLoadouts.length ? 'Unsaved gear' : 'No saved loadouts';
+  select.appendChild(unsaved);
+  playerLoadouts.forEach(({ name, style }) => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name === LOADOUT_STYLES[style] ? name : `${name} (${LOADOUT_STYLES[style]})`;
+    select.appendChild(opt);
+  });
+  select.value = activeLoadout;
+  const active = playerLoadouts.find((loadout) => loadout.name === activeLoadout);
+  document.getElementById('loadout-name').value = active ? active.name : '';
+  if (active) document.getElementById('loadout-style').value = active.style;
+  document.getElementById('delete-loadout-btn').disabled = !active;
+  renderImportTargets();
+}
+
+/**
+ * Show a list of items as chips with icons, each with a button to take it
+ * out of the list.
+ *
+ * @param {HTMLElement} list - The <ul> to fill.
+ * @param {string[]} ids - The item ids.
+ * @param {Function} onRemove - Called with the position of a removed item.
+ */
+function renderItemChips(list, ids, onRemove) {
+  list.innerHTML = '';
+  ids.forEach((id, index) => {
+    const item = getItem(itemDatabase, id);
+    const entry = document.createElement('li');
+    if (item) {
+      const icon = document.createElement('img');
+      icon.className = 'item-icon';
+      icon.alt = '';
+      icon.width = 24;
+      icon.height = 24;
+      setItemIcon(icon, item);
+      entry.appendChild(icon);
+    }
+    entry.appendChild(document.createTextNode(item ? item.name : `Item ${id}`));
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'inventory-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', `Remove ${item ? item.name : `item ${id}`}`);
+    remove.addEventListener('click', () => onRemove(index));
+    entry.appendChild(remove);
+    list.appendChild(entry);
+  });
+}
+
+/**
+ * Show the inventory switches with a button to take each one out.
+ */
+function renderInventory() {
+  renderItemChips(document.getElementById('inventory-list'), inventoryItems, (index) => {
+    inventoryItems = inventoryItems.filter((_, i) => i !== index);
+    onInventoryChange();
+  });
+}
+
+/**
+ * Add an item picked in the inventory search to the switches.
+ *
+ * @param {string} id - The item id.
+ */
+function addInventorySwitch(id) {
+  try {
+    inventoryItems = addInventoryItem(inventoryItems, id);
+  } catch (err) {
+    showMessage(err.message, 'error');
+    return;
+  }
+  onInventoryChange();
+}
+
+/**
+ * Keep the active loadout and everything that depends on gear in step
+ * with the inventory switches.
+ */
+function onInventoryChange() {
+  renderInventory();
+  syncActiveLoadout();
+  updateEquipmentStats();
+}
+
+/**
+ * Put a whole setup in the gear grid and inventory switches, as if each
+ * item had been picked by hand.
+ *
+ * @param {Object} gear - Item ids keyed by slot; missing slots are emptied.
+ * @param {string[]} inventory - Item ids carried as switches.
+ */
+function showGearSetup(gear, inventory) {
+  document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+    const slot = input.getAttribute('data-slot');
+    setGearValue(slot, gear[slot] || '');
+  });
+  inventoryItems = [...inventory];
+  renderInventory();
+  syncActiveLoadout();
+  updateGearAvailability();
+  updateEquipmentStats();
+  if (document.querySelector('#results .raid-cards')) {
+    displayResults();
+  }
+}
+
+/**
+ * Copy the gear grid and inventory switches into the active loadout, if
+ * one is picked.
+ */
+function syncActiveLoadout() {
+  const active = playerLoadouts.find((loadout) => loadout.name === activeLoadout);
+  if (!active) return;
+  playerLoadouts = putLoadout(playerLoadouts, { ...active, gear: getPlayerData().gear, inventory: [...inventoryItems] });
+}
+
+/**
+ * Find the loadout whose gear and inventory switches are the ones in the
+ * grid, such as the loadout that was active when a profile was saved.
+ *
+ * @returns {string} The loadout name, or '' if none matches.
+ */
+function findShownLoadout() {
+  const { gear } = getPlayerData();
+  const sameGear = (a, b) =>
+    Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((slot) => a[slot] === b[slot]);
+  const match = playerLoadouts.find(
+    (loadout) => sameGear(loadout.gear, gear) && loadout.inventory.join() === inventoryItems.join()
+  );
+  return match ? match.name : '';
+}
+
+/**
+ * Save the gear grid and inventory switches as a loadout under the name
+ * and style entered, replacing a loadout of the same name, and make it the
+ * active loadout. An empty name uses the style's name, e.g. "Mage".
+ */
+function saveLoadout() {
+  const style = document.getElementById('loadout-style').value;
+  let name;
+  try {
+    name = checkLoadoutName(document.getElementById('loadout-name').value || LOADOUT_STYLES[style]);
+  } catch (err) {
+    showMessage(err.message, 'error');
+    return;
+  }
+  playerLoadouts = putLoadout(playerLoadouts, { name, style, gear: getPlayerData().gear, inventory: [...inventoryItems] });
+  activeLoadout = name;
+  renderLoadoutSelect();
+  showMessage(`Loadout "${name}" saved. Save the profile to keep it.`, 'success');
+  if (document.querySelector('#results .raid-cards')) {
+    displayResults();
+  }
+}
+
+/**
+ * Show the loadout picked in the loadout switcher in the gear grid.
+ * Picking "Unsaved gear" leaves the grid as it is but stops changes from
+ * going into the previous loadout.
+ */
+function switchLoadout() {
+  activeLoadout = document.getElementById('loadout-select').value;
+  const active = playerLoadouts.find((loadout) => loadout.name === activeLoadout);
+  if (active) {
+    document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+      const slot = input.getAttribute('data-slot');
+      setGearValue(slot, active.gear[slot] || '');
+    });
+    inventoryItems = [...active.inventory];
+    renderInventory();
+    updateGearAvailability();
+    updateEquipmentStats();
+  }
+  renderLoadoutSelect();
+  if (document.querySelector('#results .raid-cards')) {
+    displayResults();
+  }
+}
+
+/**
+ * Delete the active loadout. Its gear stays in the grid as unsaved gear.
+ */
+function deleteLoadout() {
+  if (!activeLoadout) return;
+  const name = activeLoadout;
+  playerLoadouts = removeLoadout(playerLoadouts, name);
+  activeLoadout = '';
+  renderLoadoutSelect();
+  showMessage(`Loadout "${name}" deleted. Save the profile to keep the change.`, 'success');
+  if (document.querySelector('#results .raid-cards')) {
+    displayResults();
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Importing gear from RuneLite
+//
+// A RuneLite equipment, Inventory Setups or Bank Tags export can be pasted
+// or uploaded instead of picking every slot (see lib/runelite.mjs). It is
+// read in the page, so this works offline. Items that couldn't be placed
+// are listed under the import box.
+
+/**
+ * Fill the "Import into" dropdown: the gear grid, the owned items or one
+ * of the saved loadouts (as `loadout:<name>`). The current choice is kept
+ * if it still exists.
+ */
+function renderImportTargets() {
+  const select = document.getElementById('runelite-target');
+  const current = select.value;
+  select.innerHTML = '';
+  const addTarget = (value, label) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  };
+  addTarget('', 'Gear grid');
+  addTarget('owned', 'Items I own');
+  playerLoadouts.forEach(({ name }) => addTarget(`loadout:${name}`, `Loadout: ${name}`));
+  select.value = Array.from(select.options).some((opt) => opt.value === current) ? current : '';
+}
+
+/**
+ * Put an uploaded export file in the import box.
+ *
+ * @param {Event} event - The file input's change event.
+ */
+async function loadRuneLiteFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  document.getElementById('runelite-input').value = await file.text();
+}
+
+/**
+ * Import the pasted export into the gear grid or the chosen loadout, which
+ * is then shown in the grid. Importing into the grid replaces the gear and
+ * inventory switches there, as if they'd been picked by hand. Importing
+ * into the owned items adds every item in the export to them.
+ */
+function importRuneLite() {
+  const list = document.getElementById('runelite-unmapped');
+  list.innerHTML = '';
+  let parsed;
+  try {
+    parsed = parseRuneLiteExport(document.getElementById('runelite-input').value);
+  } catch (err) {
+    showMessage(`Could not import gear: ${err.message}`, 'error');
+    return;
+  }
+  const targetValue = document.getElementById('runelite-target').value;
+  const target = playerLoadouts.find((loadout) => `loadout:${loadout.name}` === targetValue);
+  let placed;
+  let unmapped;
+  let into;
+
+  if (targetValue === 'owned') {
+    const collected = collectRuneLiteItems(parsed, itemDatabase);
+    collected.items.forEach(addOwned);
+    placed = collected.items.length;
+    unmapped = collected.unmapped;
+    into = 'the items you own';
+  } else {
+    const mapped = mapRuneLiteItems(parsed, itemDatabase);
+    placed = Object.keys(mapped.gear).length + mapped.inventory.length;
+    unmapped = mapped.unmapped;
+    if (target) {
+      playerLoadouts = putLoadout(playerLoadouts, { ...target, gear: mapped.gear, inventory: mapped.inventory });
+      document.getElementById('loadout-select').value = target.name;
+      switchLoadout();
+      into = `loadout "${target.name}"`;
+    } else {
+      showGearSetup(mapped.gear, mapped.inventory);
+      // Offer the setup or tag name for saving it as a loadout
+      const nameInput = document.getElementById('loadout-name');
+      if (parsed.name && !activeLoadout) nameInput.value = parsed.name.slice(0, MAX_LOADOUT_NAME_LENGTH);
+      into = 'the gear grid';
+    }
+  }
+
+  describeUnmapped(unmapped, itemDatabase).forEach((line) => {
+    const entry = document.createElement('li');
+    entry.textContent = line;
+    list.appendChild(entry);
+  });
+  const source = parsed.name ? `${parsed.kind} "${parsed.name}"` : `the ${parsed.kind} export`;
+  const count = `${placed} item${placed === 1 ? '' : 's'}`;
+  if (unmapped.length) {
+    const skipped = unmapped.reduce((sum, entry) => sum + entry.count, 0);
+    showMessage(`Imported ${count} from ${source} into ${into}; ${skipped} could not be placed (listed below the import box).`, 'error');
+  } else {
+    showMessage(`Imported ${count} from ${source} into ${into}.`, 'success');
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Owned items and best in slot
+//
+// Players can list the items they own, whether worn or not. For a raid and
+// style the page then suggests the best setup they can make from them,
+// which of the raid's gear rules it meets and the next upgrade for each
+// slot (see lib/owned.mjs). Owned items are saved with the profile.
+
+// Item ids the player owns
+let ownedItems = [];
+
+// The last suggestion shown, for "Wear This Setup"
+let bestInSlotSuggestion = null;
+
+/**
+ * Show the owned items with a button to take each one out.
+ */
+function renderOwnedItems() {
+  renderItemChips(document.getElementById('owned-list'), ownedItems, (index) => {
+    ownedItems = ownedItems.filter((_, i) => i !== index);
+    renderOwnedItems();
+  });
+}
+
+/**
+ * Add an item to the owned items.
+ *
+ * @param {string} id - The item id.
+ */
+function addOwned(id) {
+  ownedItems = addOwnedItem(ownedItems, id);
+  renderOwnedItems();
+}
+
+/**
+ * Fill the best-in-slot raid and style dropdowns. Called again once the
+ * raid data has loaded.
+ */
+function populateBestInSlotOptions() {
+  const raidSelect = document.getElementById('bis-raid');
+  const current = raidSelect.value;
+  raidSelect.innerHTML = '';
+  groupByCategory(sortRaids(raids.map((raid) => ({ raid })))).forEach(({ label, entries }) => {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    entries.forEach(({ raid }) => {
+      const opt = document.createElement('option');
+      opt.value = raid.name;
+      opt.textContent = raid.name;
+      group.appendChild(opt);
+    });
+    raidSelect.appendChild(group);
+  });
+  if (raids.some((raid) => raid.name === current)) raidSelect.value = current;
+
+  const styleSelect = document.getElementById('bis-style');
+  if (styleSelect.options.length) return;
+  Object.entries(LOADOUT_STYLES).forEach(([style, label]) => {
+    const opt = document.createElement('option');
+    opt.value = style;
+    opt.textContent = label;
+    styleSelect.appendChild(opt);
+  });
+}
+
+/**
+ * Suggest the best setup from the owned items for the chosen raid and
+ * style, and show it as a table of slots with the next upgrade for each,
+ * followed by the raid's gear rules for that style.
+ */
+function showBestInSlot() {
+  const container = document.getElementById('bis-results');
+  const raid = raids.find((entry) => entry.name === document.getElementById('bis-raid').value);
+  const style = document.getElementById('bis-style').value;
+  if (!raid) return;
+  if (ownedItems.length === 0) {
+    showMessage('Add the items you own first.', 'error');
+    return;
+  }
+  bestInSlotSuggestion = suggestBestInSlot(raid, style, getPlayerData(), { items: itemDatabase });
+  container.innerHTML = '';
+
+  const table = document.createElement('table');
+  table.className = 'bis-table';
+  table.innerHTML = '<thead><tr><th>Slot</th><th>Best I own</th><th>Next upgrade</th></tr></thead>';
+  const body = document.createElement('tbody');
+  bestInSlotSuggestion.slots.forEach(({ slot, item, next }) => {
+    const row = document.createElement('tr');
+    const label = document.querySelector(`label[for="slot-${slot}"]`);
+    [label ? label.textContent : slot, item ? item.name : '—', next ? next.item.name : '—'].forEach((text, i) => {
+      const cell = document.createElement(i === 0 ? 'th' : 'td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  container.appendChild(table);
+
+  if (bestInSlotSuggestion.inventory.length) {
+    const switches = document.createElement('p');
+    switches.textContent = `Switches: ${bestInSlotSuggestion.inventory.map((id) => getItem(itemDatabase, id).name).join(', ')}`;
+    container.appendChild(switches);
+  }
+
+  const rules = document.createElement('ul');
+  rules.className = 'bis-rules';
+  bestInSlotSuggestion.rules.forEach(({ tier, label, passedNow, passedWithSetup }) => {
+    const entry = document.createElement('li');
+    let status = 'still not met';
+    if (passedNow) status = 'already met';
+    else if (passedWithSetup) status = 'met by this setup';
+    entry.textContent = `${tier}: ${label} (${status})`;
+    entry.classList.add(passedWithSetup || passedNow ? 'bis-met' : 'bis-unmet');
+    rules.appendChild(entry);
+  });
+  if (rules.children.length) {
+    container.appendChild(rules);
+  } else {
+    const none = document.createElement('p');
+    none.textContent = `${raid.name} has no gear rules for this style.`;
+    container.appendChild(none);
+  }
+
+  const wear = document.createElement('button');
+  wear.type = 'button';
+  wear.className = 'secondary-btn';
+  wear.textContent = 'Wear This Setup';
+  wear.addEventListener('click', () => showGearSetup(bestInSlotSuggestion.gear, bestInSlotSuggestion.inventory));
+  container.appendChild(wear);
+}
+
+// -----------------------------------------------------------------------------
+// Quest checklist
+//
+// The quest checkboxes are generated from QUESTS in lib/quests.mjs so the
+// list stays in sync with the data the raids use. Ticking a quest also
+// ticks everything it depends on, and any ticked quest whose own
+// prerequisites aren't met is listed under the checklist as a warning.
+
+/**
+ * Build the quest checklist from the QUESTS data, grouped into
+ * free-to-play quests, members quests and miniquests.
+ */
+function populateQuestCheckboxes() {
+  const container = document.querySelector('.quest-checkboxes');
+  if (!container) return;
+  container.innerHTML = '';
+  const groups = [
+    { title: 'Free-to-play', filter: (quest) => !quest.members },
+    { title: 'Members', filter: (quest) => quest.members && !quest.miniquest },
+    { title: 'Miniquests', filter: (quest) => quest.miniquest }
+  ];
+  groups.forEach((group) => {
+    const heading = document.createElement('span');
+    heading.className = 'quest-group-title';
+    heading.textContent = group.title;
+    container.appendChild(heading);
+    QUESTS.filter(group.filter).forEach((quest) => {
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.id = `quest-${quest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+      box.value = quest.name;
+      box.addEventListener('change', onQuestToggle);
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(` ${quest.name}`));
+      container.appendChild(label);
+    });
+  });
+}
+
+/**
+ * Change handler for quest checkboxes. When a quest is ticked, all of its
+ * prerequisite quests are ticked too, since the game wouldn't let you
+ * finish it otherwise. Unticking never cascades; instead the warnings
+ * list shows which ticked quests are now missing a prerequisite.
+ *
+ * @param {Event} event - The checkbox change event.
+ */
+function onQuestToggle(event) {
+  const box = event.target;
+  if (box.checked) {
+    const prereqs = getQuestPrerequisites(box.value);
+    document.querySelectorAll('.quest-checkboxes input[type="checkbox"]').forEach((other) => {
+      if (prereqs.includes(other.value)) {
+        other.checked = true;
+      }
+    });
+  }
+  updateQuestWarnings();
+  updateGearAvailability();
+}
+
+/**
+ * Hide quests that don't match the text typed into the quest filter.
+ */
+function filterQuestCheckboxes() {
+  const filter = document.getElementById('quest-filter').value.trim().toLowerCase();
+  document.querySelectorAll('.quest-checkboxes label').forEach((label) => {
+    const matches = label.textContent.toLowerCase().includes(filter);
+    label.style.display = matches ? '' : 'none';
+  });
+}
+
+/**
+ * Rebuild the list of warnings for ticked quests with unmet quest or
+ * skill prerequisites. Skill levels of 0 mean the field is empty, so
+ * they are left out rather than reported as failing.
+ */
+function updateQuestWarnings() {
+  const list = document.getElementById('quest-warnings');
+  if (!list) return;
+  const player = getPlayerData();
+  const knownLevels = {};
+  Object.entries(player).forEach(([key, value]) => {
+    if (typeof value === 'number' && value > 0 && key !== 'combat') {
+      knownLevels[key] = value;
+    }
+  });
+  list.innerHTML = '';
+  findMissingQuestPrerequisites(player.quests, knownLevels).forEach((problem) => {
+    problem.quests.forEach((prereq) => {
+      const item = document.createElement('li');
+      item.textContent = `${problem.quest} requires ${prereq}`;
+      list.appendChild(item);
+    });
+    problem.skills.forEach(({ skill, required, current }) => {
+      const item = document.createElement('li');
+      const name = skill.charAt(0).toUpperCase() + skill.slice(1);
+      item.textContent = `${problem.quest} requires ${required} ${name} (current ${current})`;
+      list.appendChild(item);
+    });
+  });
+}
+
+/*
+ * Raid definitions are loaded from data/raids.json rather than hard-coded
+ * here, so encounters can be added or tuned without touching this file.
+ * Each raid object contains a name and a `requirements` object with
+ * optional minimum `combat` and `prayer` levels, specific skill
+ * thresholds (`stats`), quest prerequisites (`quests`), kill counts
+ * (`kc`) and gear. The full format is described by
+ * data/raids.schema.json and checked by validateRaidData() in
+ * lib/raid-data.mjs.
+ *
+ * `activity` names the hiscores row that tracks the raid or boss kill
+ * count (see HISCORE_ACTIVITIES in lib/hiscores.mjs). Kill count
+ * requirements use the same names, e.g. `kc: { 'Chambers of Xeric': 1 }`.
+ * `category`, `styles` and `groupSize` say what kind of content an entry
+ * is, for the filters above the results (see lib/catalogue.mjs).
+ */
+let raids = [];
+
+/**
+ * Fetch and validate data/raids.json, then store the raids globally.
+ * Validation errors are collected into a single Error by checkRaidData()
+ * so the console shows every problem at once.
+ *
+ * @returns {Promise<Array>} The loaded raid definitions.
+ */
+async function loadRaidData() {
+  const response = await fetch('data/raids.json');
+  if (!response.ok) {
+    throw new Error(`Could not load raid data (HTTP ${response.status})`);
+  }
+  raids = checkRaidData(await response.json(), itemDatabase);
+  populateBestInSlotOptions();
+  return raids;
+}
+
+/**
+ * Gather the player’s data either from the fetched stats (if available)
+ * or from the manual input fields. Also collect the game mode, selected
+ * quests and the item id chosen in each gear slot. Kill counts are only
+ * known after a hiscores fetch.
+ *
+ * @returns {Object} Player data including levels, mode, quests, gear and kill counts
+ */
+function getPlayerData() {
+  // If stats were fetched, clone them to avoid mutation; otherwise read from inputs.
+  const levels = playerStats
+    ? { ...playerStats }
+    : {
+        attack: parseInt(document.getElementById('attack').value, 10) || 0,
+        strength: parseInt(document.getElementById('strength').value, 10) || 0,
+        defence: parseInt(document.getElementById('defence').value, 10) || 0,
+        hitpoints: parseInt(document.getElementById('hitpoints').value, 10) || 0,
+        ranged: parseInt(document.getElementById('ranged').value, 10) || 0,
+        prayer: parseInt(document.getElementById('prayer').value, 10) || 0,
+        magic: parseInt(document.getElementById('magic').value, 10) || 0
+      };
+
+  // Combat level may be auto‑filled or entered manually. We recompute if necessary.
+  const combat = parseInt(document.getElementById('combat').value, 10) ||
+    computeCombatLevel({
+      ...levels,
+      prayer: levels.prayer
+    });
+
+  // Collect completed quests from checkboxes.
+  const questCheckboxes = document.querySelectorAll('.quest-checkboxes input[type="checkbox"]');
+  const quests = Array.from(questCheckboxes)
+    .filter((box) => box.checked)
+    .map((box) => box.value);
+
+  // Collect gear selections keyed by slot. Each picker has a data-slot
+  // attribute (e.g. head, neck, body, etc.) and holds the picked item id.
+  // Store non-empty selections in an object for easy persistence and
+  // lookup when loading a saved profile.
+  const gear = {};
+  document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+    const slot = input.getAttribute('data-slot');
+    const value = getGearValue(slot);
+    if (value) {
+      gear[slot] = value;
+    }
+  });
+
+  return {
+    ...levels,
+    combat,
+    // Account type or game mode; picks the hiscores table and any
+    // mode-specific raid requirements
+    mode: document.getElementById('game-mode').value || DEFAULT_GAME_MODE,
+    quests,
+    gear,
+    inventory: [...inventoryItems],
+    // Saved setups per combat style, see lib/loadouts.mjs
+    loadouts: playerLoadouts.map((loadout) => ({ ...loadout, gear: { ...loadout.gear }, inventory: [...loadout.inventory] })),
+    // Items owned, worn or not, for best-in-slot suggestions
+    owned: [...ownedItems],
+    // Boss and raid kill counts from the last hiscores fetch. Copied so
+    // callers can't accidentally modify the fetched data.
+    killCounts: { ...playerKillCounts }
+  };
+}
+
+/**
+ * Fill the filter and sort dropdowns above the results from
+ * lib/catalogue.mjs.
+ */
+function populateResultsControls() {
+  const fill = (id, anyLabel, options) => {
+    const select = document.getElementById(id);
+    select.innerHTML = '';
+    const entries = anyLabel === null ? [] : [['', anyLabel]];
+    [...entries, ...Object.entries(options)].forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+  };
+  fill('results-category', 'All content', RAID_CATEGORIES);
+  fill('results-style', 'Any style', LOADOUT_STYLES);
+  fill('results-group', 'Any group size', GROUP_FILTERS);
+  fill('results-sort', null, RAID_SORTS);
+}
+
+/**
+ * Read the filter and sort dropdowns above the results.
+ *
+ * @returns {{category: string, style: string, group: string, sort: string}}
+ *   Empty filters match everything.
+ */
+function getResultsFilters() {
+  return {
+    category: document.getElementById('results-category').value,
+    style: document.getElementById('results-style').value,
+    group: document.getElementById('results-group').value,
+    sort: document.getElementById('results-sort').value || 'category'
+  };
+}
+
+/**
+ * Render the raids that match the filters as cards. This function reads
+ * the player’s data, evaluates each raid once and then builds a card grid
+ * showing both unlocked and locked raids, in the chosen order. Sorted by
+ * category, each category gets its own heading and grid.
+ */
+function displayResults() {
+  const resultsDiv = document.getElementById('results');
+  resultsDiv.innerHTML = '';
+
+  // Get player data and combat settings once for all raids
+  const player = getPlayerData();
+  const combatOptions = getCombatOptions();
+
+  // Evaluate each raid once; the locked state, the tooltip, the readiness
+  // tiers and the readiness sort all come from the same result.
+  const { sort, ...filters } = getResultsFilters();
+  const shown = sortRaids(
+    filterRaids(raids, filters).map((raid) => ({ raid, evaluation: evaluateTiers(raid, player, { items: itemDatabase }) })),
+    sort
+  );
+
+  const countEl = document.createElement('p');
+  countEl.classList.add('results-count');
+  countEl.textContent = `Showing ${shown.length} of ${raids.length}`;
+  resultsDiv.appendChild(countEl);
+
+  if (shown.length === 0) {
+    const cardsContainer = document.createElement('div');
+    cardsContainer.classList.add('raid-cards');
+    const empty = document.createElement('p');
+    empty.classList.add('results-empty');
+    empty.textContent = 'Nothing matches these filters.';
+    cardsContainer.appendChild(empty);
+    resultsDiv.appendChild(cardsContainer);
+  } else {
+    const groups = sort === 'category' ? groupByCategory(shown) : [{ label: null, entries: shown }];
+    groups.forEach(({ label, entries }) => {
+      if (label) {
+        const heading = document.createElement('h2');
+        heading.classList.add('raid-category');
+        heading.textContent = `${label} (${entries.length})`;
+        resultsDiv.appendChild(heading);
+      }
+      // Build a container for raid cards
+      const cardsContainer = document.createElement('div');
+      cardsContainer.classList.add('raid-cards');
+      entries.forEach(({ raid, evaluation }) => {
+        cardsContainer.appendChild(createRaidCard(raid, evaluation, player, combatOptions));
+      });
+      resultsDiv.appendChild(cardsContainer);
+    });
+  }
+  renderPlanner(player);
+}
+
+/**
+ * Build one raid card. Locked raids are semi‑transparent and include a
+ * tooltip listing the requirements you still need to meet. Every card
+ * shows the raid's combat styles and group size, and the expected DPS of
+ * the current setup against the raid's representative target.
+ *
+ * @param {Object} raid - A raid definition from the `raids` array.
+ * @param {Object} tierResult - evaluateTiers() for the raid and player.
+ * @param {Object} player - Player data from getPlayerData().
+ * @param {Object} combatOptions - Result of getCombatOptions().
+ * @returns {HTMLElement} The card.
+ */
+function createRaidCard(raid, tierResult, player, combatOptions) {
+  const { entry: evaluation, tiers, reached, next } = tierResult;
+
+  const card = document.createElement('div');
+  card.classList.add('raid-card');
+  if (!evaluation.passed) {
+    card.classList.add('locked');
+    // Use the browser’s default tooltip by setting the title attribute
+    card.setAttribute('title', evaluation.missing.join('\n'));
+  }
+
+  // Raid image
+  const img = new Image();
+  img.src = raid.image;
+  img.alt = raid.name;
+  img.classList.add('raid-image');
+  card.appendChild(img);
+
+  // Raid name
+  const nameEl = document.createElement('h3');
+  nameEl.textContent = raid.name;
+  card.appendChild(nameEl);
+
+  // Combat styles and how many players it takes
+  const metaEl = document.createElement('p');
+  metaEl.classList.add('raid-meta');
+  metaEl.textContent = `${formatStyles(raid)} · ${formatGroupSize(raid.groupSize)}`;
+  card.appendChild(metaEl);
+
+  // Readiness: the highest tier reached and what the next one needs.
+  // Raids without extra tiers only have Entry, which the locked state
+  // already shows.
+  if (tiers.length > 1 && reached) {
+    const tierEl = document.createElement('p');
+    tierEl.classList.add('raid-tier');
+    tierEl.textContent = `Tier: ${reached}`;
+    card.appendChild(tierEl);
+    if (next) {
+      const nextEl = document.createElement('details');
+      nextEl.classList.add('raid-next-tier');
+      const summary = document.createElement('summary');
+      summary.textContent = `Missing for ${next.name} (${next.missing.length})`;
+      nextEl.appendChild(summary);
+      const list = document.createElement('ul');
+      next.missing.forEach((message) => {
+        const item = document.createElement('li');
+        item.textContent = message;
+        list.appendChild(item);
+      });
+      nextEl.appendChild(list);
+      card.appendChild(nextEl);
+    }
+  }
+
+  // Prior kill count from the hiscores, if the player has fetched stats
+  // and is ranked for this raid or boss.
+  if (raid.activity && typeof player.killCounts[raid.activity] !== 'undefined') {
+    const kcEl = document.createElement('p');
+    kcEl.classList.add('raid-kc');
+    kcEl.textContent = `KC: ${player.killCounts[raid.activity].toLocaleString()}`;
+    card.appendChild(kcEl);
+  }
+
+  // Expected DPS with the current gear and combat settings against the
+  // raid's representative target
+  if (raid.target) {
+    const calc = calculateDps(player, itemDatabase, raid.target, combatOptions);
+    const dpsEl = document.createElement('p');
+    dpsEl.classList.add('raid-dps');
+    dpsEl.textContent = `DPS vs ${raid.target.name}: ${calc.dps.toFixed(2)}`;
+    dpsEl.title = `Max hit ${calc.maxHit}, ${Math.round(calc.accuracy * 100)}% accuracy, ` +
+      `${calc.combatType} every ${calc.speed} ticks`;
+    card.appendChild(dpsEl);
+  }
+
+  // Guide link
+  const link = document.createElement('a');
+  link.href = raid.guide;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = 'View guide';
+  card.appendChild(link);
+
+  return card;
+}
+
+// -----------------------------------------------------------------------------
+// Upgrade planner
+//
+// Ranks the locked raids by how close the player is to unlocking them and
+// shows a checklist for one of them, worked out by lib/planner.mjs.
+
+// Name of the raid whose checklist is showing; the closest one by default.
+let plannerRaid = null;
+
+/**
+ * Render the ranked locked raids and the checklist for the chosen raid.
+ *
+ * @param {Object} player - Player data from getPlayerData().
+ */
+function renderPlanner(player) {
+  const section = document.getElementById('planner');
+  if (!section) return;
+  const plans = rankLockedRaids(raids, player, { items: itemDatabase });
+  const ranking = document.getElementById('planner-ranking');
+  const select = document.getElementById('planner-raid');
+  const checklist = document.getElementById('planner-checklist');
+  section.hidden = plans.length === 0;
+  ranking.innerHTML = '';
+  select.innerHTML = '';
+  checklist.innerHTML = '';
+  if (plans.length === 0) return;
+
+  plans.forEach((plan) => {
+    const item = document.createElement('li');
+    const steps = `${plan.steps.length} step${plan.steps.length === 1 ? '' : 's'}`;
+    item.textContent = plan.xp > 0
+      ? `${plan.raid.name}: ${steps}, ${plan.xp.toLocaleString()} XP`
+      : `${plan.raid.name}: ${steps}`;
+    ranking.appendChild(item);
+
+    const opt = document.createElement('option');
+    opt.value = plan.raid.name;
+    opt.textContent = plan.raid.name;
+    select.appendChild(opt);
+  });
+
+  const chosen = plans.find((plan) => plan.raid.name === plannerRaid) || plans[0];
+  select.value = chosen.raid.name;
+  chosen.steps.forEach((step) => {
+    const item = document.createElement('li');
+    item.classList.add(`planner-step-${step.type}`);
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(` ${step.message}`));
+    item.appendChild(label);
+    checklist.appendChild(item);
+  });
+}
+
+// -----------------------------------------------------------------------------
+// Progress history
+//
+// Every successful fetch is stored as a snapshot in IndexedDB (see
+// lib/history.mjs). The history view charts level and XP for the combat
+// skills, lists gains over a chosen date range and shows when each raid
+// became unlocked.
+
+// Skills charted in the history view
+const HISTORY_SKILLS = ['attack', 'strength', 'defence', 'hitpoints', 'ranged', 'prayer', 'magic'];
+
+// The opened snapshot store, shared by every caller
+let historyStorePromise = null;
+
+/**
+ * Open the snapshot store on first use.
+ *
+ * @returns {Promise<Object>} The store, see openSnapshotStore().
+ */
+function getHistoryStore() {
+  if (!historyStorePromise) {
+    historyStorePromise = openSnapshotStore();
+    // Let a later call try again if opening failed
+    historyStorePromise.catch(() => {
+      historyStorePromise = null;
+    });
+  }
+  return historyStorePromise;
+}
+
+/**
+ * Save a fetch as a snapshot and refresh the history view.
+ *
+ * @param {Object} hiscores - Result of parseHiscores().
+ * @param {string} username - The player looked up.
+ * @param {string} mode - The game mode looked up.
+ */
+async function recordSnapshot(hiscores, username, mode) {
+  const store = await getHistoryStore();
+  await store.add(createSnapshot(hiscores, { username, mode }));
+  await showHistory();
+}
+
+/**
+ * Read a date input as milliseconds since the epoch, in local time.
+ *
+ * @param {string} id - The input's id.
+ * @param {boolean} endOfDay - Whether to take the end of the day.
+ * @returns {number|undefined} The time, or undefined if the input is empty.
+ */
+function readHistoryDate(id, endOfDay) {
+  const value = document.getElementById(id).value;
+  if (!value) return undefined;
+  return new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+}
+
+/**
+ * Draw one skill's XP over time as a small SVG line chart, with the level
+ * at each snapshot in the points' tooltips.
+ *
+ * @param {string} skill - Lowercase skill name.
+ * @param {Array} series - Result of getSkillSeries().
+ * @returns {HTMLElement} The chart with its caption.
+ */
+function renderSkillChart(skill, series) {
+  const width = 240;
+  const height = 90;
+  const pad = 6;
+  const svgNs = 'http://www.w3.org/2000/svg';
+  const figure = document.createElement('figure');
+  figure.classList.add('history-chart');
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const caption = document.createElement('figcaption');
+  const name = skill.charAt(0).toUpperCase() + skill.slice(1);
+  caption.textContent = `${name} ${first.level} → ${last.level} (+${(last.xp - first.xp).toLocaleString()} XP)`;
+
+  const svg = document.createElementNS(svgNs, 'svg');
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', caption.textContent);
+  const minTime = first.timestamp;
+  const timeSpan = last.timestamp - minTime || 1;
+  const minXp = Math.min(...series.map((point) => point.xp));
+  const xpSpan = Math.max(...series.map((point) => point.xp)) - minXp || 1;
+  const coords = series.map((point) => [
+    pad + ((point.timestamp - minTime) / timeSpan) * (width - 2 * pad),
+    height - pad - ((point.xp - minXp) / xpSpan) * (height - 2 * pad)
+  ]);
+  const line = document.createElementNS(svgNs, 'polyline');
+  line.setAttribute('points', coords.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '));
+  line.classList.add('history-line');
+  svg.appendChild(line);
+  coords.forEach(([x, y], i) => {
+    const dot = document.createElementNS(svgNs, 'circle');
+    dot.setAttribute('cx', x.toFixed(1));
+    dot.setAttribute('cy', y.toFixed(1));
+    dot.setAttribute('r', '2.5');
+    dot.classList.add('history-point');
+    const title = document.createElementNS(svgNs, 'title');
+    title.textContent = `${new Date(series[i].timestamp).toLocaleString()}: level ${series[i].level}, ` +
+      `${series[i].xp.toLocaleString()} XP`;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  figure.appendChild(svg);
+  figure.appendChild(caption);
+  return figure;
+}
+
+/**
+ * Show the history of the player in the username box: gains over the
+ * chosen date range, a chart per combat skill and the raid unlock dates.
+ */
+async function showHistory() {
+  const container = document.getElementById('history-results');
+  if (!container) return;
+  const username = document.getElementById('username').value.trim();
+  if (!username) {
+    container.textContent = 'Enter a username to see their history.';
+    return;
+  }
+  let snapshots;
+  try {
+    const store = await getHistoryStore();
+    snapshots = await store.list(historyKey(username, document.getElementById('game-mode').value));
+  } catch (err) {
+    console.error(err);
+    container.textContent = err.message;
+    return;
+  }
+  container.innerHTML = '';
+  if (snapshots.length === 0) {
+    container.textContent = `No history for ${username} yet. Every fetch adds a snapshot.`;
+    return;
+  }
+
+  const range = snapshotsInRange(snapshots, readHistoryDate('history-from', false), readHistoryDate('history-to', true));
+  const summary = document.createElement('p');
+  summary.textContent = `${range.length} of ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} in range.`;
+  container.appendChild(summary);
+
+  // Gains between the first and last snapshot in the range
+  const gains = computeGains(range);
+  if (gains) {
+    const table = document.createElement('table');
+    table.classList.add('history-gains');
+    table.innerHTML = '<thead><tr><th>Skill</th><th>Levels</th><th>XP</th></tr></thead>';
+    const tbody = document.createElement('tbody');
+    Object.entries(gains.skills)
+      .filter(([, gain]) => gain.xp > 0)
+      .sort(([, a], [, b]) => b.xp - a.xp)
+      .forEach(([skill, gain]) => {
+        const row = document.createElement('tr');
+        [skill.charAt(0).toUpperCase() + skill.slice(1), `+${gain.levels}`, `+${gain.xp.toLocaleString()}`].forEach((text) => {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        });
+        tbody.appendChild(row);
+      });
+    if (!tbody.children.length) {
+      tbody.innerHTML = '<tr><td colspan="3">No XP gained in this range.</td></tr>';
+    }
+    table.appendChild(tbody);
+    container.appendChild(table);
+
+    const charts = document.createElement('div');
+    charts.classList.add('history-charts');
+    HISTORY_SKILLS.forEach((skill) => {
+      const series = getSkillSeries(range, skill);
+      if (series.length > 1) charts.appendChild(renderSkillChart(skill, series));
+    });
+    container.appendChild(charts);
+  } else {
+    const note = document.createElement('p');
+    note.textContent = 'Gains and charts need at least two snapshots in the range.';
+    container.appendChild(note);
+  }
+
+  // When each raid became unlocked, judged with the quests and gear on the
+  // form since those aren't on the hiscores
+  const timeline = document.createElement('ul');
+  timeline.classList.add('history-unlocks');
+  findUnlockDates(snapshots, raids, getPlayerData(), { items: itemDatabase }).forEach(({ raid, unlockedAt }) => {
+    const item = document.createElement('li');
+    if (unlockedAt === null) {
+      item.textContent = `${raid.name}: still locked`;
+    } else if (unlockedAt === snapshots[0].timestamp) {
+      item.textContent = `${raid.name}: unlocked by ${new Date(unlockedAt).toLocaleDateString()} (first snapshot)`;
+    } else {
+      item.textContent = `${raid.name}: unlocked ${new Date(unlockedAt).toLocaleDateString()}`;
+    }
+    timeline.appendChild(item);
+  });
+  const heading = document.createElement('h3');
+  heading.textContent = 'Raid unlocks (with your current quests and gear)';
+  container.appendChild(heading);
+  container.appendChild(timeline);
+}
+
+/**
+ * Delete the history of the player in the username box.
+ */
+async function clearHistory() {
+  const username = document.getElementById('username').value.trim();
+  if (!username || !window.confirm(`Delete all saved history for ${username}?`)) return;
+  try {
+    const store = await getHistoryStore();
+    await store.clear(historyKey(username, document.getElementById('game-mode').value));
+    showMessage(`History for ${username} deleted.`, 'success');
+  } catch (err) {
+    console.error(err);
+    showMessage('Could not delete the history.', 'error');
+  }
+  showHistory();
+}
+
+// -----------------------------------------------------------------------------
+// Clan roster
+//
+// Checks a list of usernames in one go and shows a members × raids grid.
+// Lookups go through fetchHiscoresText() a few at a time so a large clan
+// doesn't flood the backend or the proxy, and a failed lookup only marks
+// that member's row. Quests and gear aren't on the hiscores, so the
+// "assume quests are done" box lets officers compare stats alone, and gear
+// rules aren't checked at all (see lib/roster.mjs).
+
+// Hiscores lookups allowed in flight at once during a roster check.
+const ROSTER_CONCURRENCY = 3;
+
+// Times a lookup is retried after hitting the backend's rate limit, and
+// the first wait in seconds when the response doesn't say how long; each
+// retry without a Retry-After waits twice as long as the one before.
+const ROSTER_RETRIES = 5;
+const ROSTER_RETRY_DELAY = 5;
+
+// The matrix from the last roster check, kept for the CSV export.
+let rosterMatrix = null;
+
+/**
+ * Look up one roster member's hiscores. A big roster can run into the
+ * backend's rate limit, so a rate-limited lookup waits and tries again
+ * rather than failing every remaining member.
+ *
+ * @param {string} name - The username.
+ * @param {string} mode - A key of GAME_MODES.
+ * @param {Function} onWait - Called with the seconds about to be waited.
+ * @returns {Promise<string>} The raw hiscores text.
+ */
+async function fetchRosterHiscores(name, mode, onWait) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchHiscoresText(name, mode);
+    } catch (err) {
+      if (!(err instanceof HiscoresError) || err.code !== 'rate-limited' || attempt >= ROSTER_RETRIES) throw err;
+      const wait = err.retryAfter || ROSTER_RETRY_DELAY * 2 ** attempt;
+      onWait(wait);
+      await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+    }
+  }
+}
+
+/**
+ * Read the usernames in the roster box, look each one up and render the
+ * readiness matrix.
+ */
+async function checkRoster() {
+  const names = parseRoster(document.getElementById('roster-input').value);
+  if (names.length === 0) {
+    showMessage('Please paste or upload at least one username.', 'error');
+    return;
+  }
+  const mode = document.getElementById('roster-mode').value;
+  const assumeQuests = document.getElementById('roster-assume-quests').checked;
+  const checkBtn = document.getElementById('roster-check-btn');
+  const exportBtn = document.getElementById('roster-export-btn');
+  const container = document.getElementById('roster-results');
+  checkBtn.disabled = true;
+  exportBtn.disabled = true;
+  let done = 0;
+  container.textContent = `Checking 0 of ${names.length}…`;
+
+  const results = await mapWithConcurrency(names, ROSTER_CONCURRENCY, async (name) => {
+    try {
+      const text = await fetchRosterHiscores(name, mode, (wait) => {
+        container.textContent = `Rate limited, waiting ${wait}s…`;
+      });
+      const player = playerFromHiscores(parseHiscores(text), mode);
+      if (assumeQuests) {
+        player.quests = QUESTS.map((quest) => quest.name);
+      }
+      return player;
+    } finally {
+      done += 1;
+      container.textContent = `Checking ${done} of ${names.length}…`;
+    }
+  });
+  const members = results.map((result, i) => {
+    if (result.status === 'fulfilled') {
+      return { name: names[i], player: result.value };
+    }
+    console.error(result.reason);
+    const error = result.reason instanceof HiscoresError ? result.reason.message : 'Could not fetch hiscores';
+    return { name: names[i], error };
+  });
+
+  rosterMatrix = buildRosterMatrix(raids, members, { items: itemDatabase });
+  renderRoster(rosterMatrix);
+  checkBtn.disabled = false;
+  exportBtn.disabled = false;
+}
+
+/**
+ * Render a roster matrix as a table: a row per member, a column per raid.
+ * Locked cells show how many requirements are missing and list them in a
+ * tooltip. Cells of raids with gear rules, which aren't checked, are
+ * marked with an asterisk explained above the table.
+ *
+ * @param {Object} matrix - Result of buildRosterMatrix().
+ */
+function renderRoster(matrix) {
+  const container = document.getElementById('roster-results');
+  container.innerHTML = '';
+  if (matrix.rows.some((row) => row.cells.some((cell) => cell.gearUnchecked))) {
+    const note = document.createElement('p');
+    note.className = 'roster-note';
+    note.textContent = `* Gear isn't on the hiscores, so these raids' gear and loadout rules weren't checked.`;
+    container.appendChild(note);
+  }
+  const table = document.createElement('table');
+  table.className = 'roster-table';
+
+  const headRow = table.createTHead().insertRow();
+  ['Player', ...matrix.raids].forEach((text) => {
+    const th = document.createElement('th');
+    th.textContent = text;
+    headRow.appendChild(th);
+  });
+
+  const body = table.createTBody();
+  matrix.rows.forEach((row) => {
+    const tr = body.insertRow();
+    const nameCell = document.createElement('th');
+    nameCell.scope = 'row';
+    nameCell.textContent = row.name;
+    tr.appendChild(nameCell);
+    if (row.error) {
+      const td = tr.insertCell();
+      td.colSpan = matrix.raids.length;
+      td.className = 'roster-error';
+      td.textContent = row.error;
+      return;
+    }
+    row.cells.forEach((cell) => {
+      const td = tr.insertCell();
+      td.className = cell.unlocked ? 'roster-unlocked' : 'roster-locked';
+      td.textContent = cell.unlocked ? '✓' : `${cell.missing.length} missing`;
+      td.title = cell.unlocked ? `${cell.raid}: unlocked` : cell.missing.join('\n');
+      if (cell.gearUnchecked) {
+        td.textContent += ' *';
+        td.title += '\nGear and loadout rules not checked';
+      }
+    });
+  });
+  container.appendChild(table);
+}
+
+/**
+ * Download the last roster matrix as a CSV file.
+ */
+function exportRosterCsv() {
+  if (!rosterMatrix) return;
+  const blob = new Blob([rosterToCsv(rosterMatrix)], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'raid-roster.csv';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Copy an uploaded roster file into the roster box so it can be checked
+ * or edited like pasted names.
+ *
+ * @param {Event} event - The file input's change event.
+ */
+async function loadRosterFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  document.getElementById('roster-input').value = await file.text();
+}
+
+// -----------------------------------------------------------------------------
+// Saved profiles
+//
+// Profiles are kept in localStorage under 'osrs-profiles' as one versioned
+// document (see lib/profiles.mjs). Saves from before named profiles, under
+// 'osrs-profile', are moved into it as the "Main" profile on first load.
+// A document this version can't read (damaged, or saved by a newer version)
+// is copied to 'osrs-profiles-backup' before anything replaces it; if that
+// isn't possible, saving profiles stays off so it is never overwritten.
+
+const PROFILES_KEY = 'osrs-profiles';
+const LEGACY_PROFILE_KEY = 'osrs-profile';
+const PROFILES_BACKUP_KEY = 'osrs-profiles-backup';
+
+// All saved profiles and which one is showing
+let profileStore = createProfileStore();
+
+// Whether profileStore may be written over what's under PROFILES_KEY
+let profilesWritable = true;
+
+// Level inputs on the form, filled in when a profile is shown
+const PROFILE_LEVEL_FIELDS = ['combat', 'prayer', 'attack', 'strength', 'defence', 'hitpoints', 'ranged', 'magic'];
+
+/**
+ * Read the saved profiles from localStorage, moving an old single-profile
+ * save over if that's all there is.
+ */
+function readSavedProfiles() {
+  const legacy = localStorage.getItem(LEGACY_PROFILE_KEY);
+  const saved = localStorage.getItem(PROFILES_KEY);
+  try {
+    profileStore = parseProfileStore(saved, legacy);
+  } catch (err) {
+    console.error('Could not read saved profiles:', err);
+    profileStore = createProfileStore();
+    profilesWritable = !saved || backUpSavedProfiles(saved);
+    showMessage(
+      profilesWritable
+        ? `Your saved profiles couldn't be read (${err.message}). They were kept under "${PROFILES_BACKUP_KEY}" in this browser's storage.`
+        : `Your saved profiles couldn't be read (${err.message}). They were left as they are, so saving profiles is off for now.`,
+      'error'
+    );
+    return;
+  }
+  if (legacy && writeSavedProfiles()) {
+    localStorage.removeItem(LEGACY_PROFILE_KEY);
+  }
+}
+
+/**
+ * Copy a saved profiles document that couldn't be read to the backup key.
+ * An earlier backup is never replaced.
+ *
+ * @param {string} saved - The document as it was found under PROFILES_KEY.
+ * @returns {boolean} Whether the document is now backed up.
+ */
+function backUpSavedProfiles(saved) {
+  try {
+    const backup = localStorage.getItem(PROFILES_BACKUP_KEY);
+    if (backup === null) {
+      localStorage.setItem(PROFILES_BACKUP_KEY, saved);
+      return true;
+    }
+    return backup === saved;
+  } catch (err) {
+    console.error('Could not back up saved profiles:', err);
+    return false;
+  }
+}
+
+/**
+ * Write all profiles to localStorage. Nothing is written while saved
+ * profiles that couldn't be read or backed up are there.
+ *
+ * @returns {boolean} Whether the profiles were saved.
+ */
+function writeSavedProfiles() {
+  if (!profilesWritable) return false;
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profileStore));
+    return true;
+  } catch (err) {
+    console.error('Could not save profiles:', err);
+    return false;
+  }
+}
+
+/**
+ * Fill the profile switcher with the saved profiles and select the active
+ * one. The name box shows the active profile's name, ready for saving.
+ */
+function renderProfileSelect() {
+  const select = document.getElementById('profile-select');
+  if (!select) return;
+  select.innerHTML = '';
+  if (!profileStore.profiles.length) {
+    const opt = document.createElement('option');
+    opt.value = '';
+    opt.textContent = 'No saved profiles';
+    select.appendChild(opt);
+  }
+  profileStore.profiles.forEach(({ name }) => {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name;
+    select.appendChild(opt);
+  });
+  select.value = profileStore.active || '';
+  select.disabled = !profileStore.profiles.length;
+  document.getElementById('delete-profile-btn').disabled = !profileStore.active;
+  document.getElementById('export-profile-btn').disabled = !profileStore.active;
+  document.getElementById('profile-name').value = profileStore.active || '';
+}
+
+/**
+ * Save the current stats, quests and gear under the name in the profile
+ * name box, replacing a profile of the same name, and make it the active
+ * profile.
+ */
+function saveProfile() {
+  let name;
+  try {
+    name = checkProfileName(document.getElementById('profile-name').value || LEGACY_PROFILE_NAME);
+  } catch (err) {
+    showMessage(err.message, 'error');
+    return;
+  }
+  profileStore = putProfile(profileStore, name, getPlayerData());
+  renderProfileSelect();
+  if (writeSavedProfiles()) {
+    showMessage(`Profile "${name}" saved.`, 'success');
+  } else if (!profilesWritable) {
+    showMessage('Saving profiles is off: the saved profiles in this browser could not be read.', 'error');
+  } else {
+    showMessage('Failed to save profile.', 'error');
+  }
+}
+
+/**
+ * Populate the form fields from a profile.
+ *
+ * @param {Object} player - A saved profile, in the current profile shape.
+ */
+function applyProfile(player) {
+  resetProfileForm();
+  // Populate numeric fields
+  PROFILE_LEVEL_FIELDS.forEach((id) => {
+    const el = document.getElementById(id);
+    if (el && typeof player[id] !== 'undefined') {
+      el.value = player[id];
+    }
+  });
+  document.getElementById('game-mode').value = GAME_MODES[player.mode] ? player.mode : DEFAULT_GAME_MODE;
+  // Populate quest checkboxes
+  const questBoxes = document.querySelectorAll('.quest-checkboxes input[type="checkbox"]');
+  // Older saves may use quest names that have since been renamed
+  const savedQuests = Array.isArray(player.quests) ? player.quests.map(resolveQuestName) : [];
+  questBoxes.forEach((box) => {
+    box.checked = savedQuests.includes(box.value);
+  });
+  // Populate gear pickers. Older saves stored item names instead of ids.
+  const gear = player.gear || {};
+  document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+    const slot = input.getAttribute('data-slot');
+    const saved = gear[slot] || '';
+    setGearValue(slot, getItem(itemDatabase, saved) ? saved : findItemIdByName(itemDatabase, saved) || '');
+  });
+  // Restore the loadouts, showing the one the saved gear came from
+  inventoryItems = [...(player.inventory || [])];
+  playerLoadouts = player.loadouts || [];
+  activeLoadout = findShownLoadout();
+  renderInventory();
+  renderLoadoutSelect();
+  ownedItems = [...(player.owned || [])];
+  renderOwnedItems();
+  // Profiles saved after a hiscores fetch hold every skill, not just the
+  // ones on the form; keep them as fetched stats so quest and raid checks
+  // on other skills still work
+  const levels = {};
+  HISCORE_SKILLS.forEach((skill) => {
+    if (skill !== 'overall' && typeof player[skill] === 'number') levels[skill] = player[skill];
+  });
+  if (Object.keys(levels).some((skill) => !PROFILE_LEVEL_FIELDS.includes(skill))) {
+    playerStats = levels;
+  }
+  // Restore kill counts from the last fetch before the profile was saved
+  playerKillCounts = player.killCounts || {};
+  // Refresh the stats summary and quest warnings when profile is loaded
+  updateStatsSummary();
+  updateQuestWarnings();
+  updateGearAvailability();
+  updateEquipmentStats();
+}
+
+/**
+ * Load the saved profiles and show the active one. This runs on page load,
+ * after any shared profile in the URL has been restored.
+ *
+ * @param {boolean} [showActive=true] - Whether to fill the form from the
+ *   active profile; false when a shared profile is already showing.
+ */
+function loadProfile(showActive = true) {
+  readSavedProfiles();
+  renderProfileSelect();
+  if (!showActive) {
+    // Suggest a new name so saving doesn't overwrite the active profile
+    document.getElementById('profile-name').value = 'Shared';
+    return;
+  }
+  const active = findProfile(profileStore, profileStore.active);
+  if (!active) return;
+  try {
+    applyProfile(active);
+  } catch (err) {
+    console.error('Could not load profile:', err);
+  }
+}
+
+/**
+ * Switch to the profile picked in the profile switcher.
+ */
+function switchProfile() {
+  const name = document.getElementById('profile-select').value;
+  const profile = findProfile(profileStore, name);
+  if (!profile) return;
+  profileStore = { ...profileStore, active: name };
+  writeSavedProfiles();
+  renderProfileSelect();
+  clearShareFragment();
+  applyProfile(profile);
+  if (document.querySelector('#results .raid-cards')) {
+    displayResults();
+  }
+}
+
+/**
+ * Reset all form fields to their defaults and forget fetched stats, so
+ * nothing from the previous profile carries over.
+ */
+function resetProfileForm() {
+  document.getElementById('stats-form').reset();
+  // Manually reset gear pickers
+  document.querySelectorAll('#gear-grid .item-search').forEach((input) => {
+    setGearValue(input.getAttribute('data-slot'), '');
+  });
+  // Clear quest checkboxes
+  document.querySelectorAll('.quest-checkboxes input[type="checkbox"]').forEach((box) => {
+    box.checked = false;
+  });
+  document.getElementById('game-mode').value = DEFAULT_GAME_MODE;
+  playerStats = null;
+  playerKillCounts = {};
+  inventoryItems = [];
+  playerLoadouts = [];
+  activeLoadout = '';
+  renderInventory();
+  renderLoadoutSelect();
+  ownedItems = [];
+  renderOwnedItems();
+}
+
+/**
+ * Delete the active profile. The next saved profile, if any, is shown;
+ * otherwise the form is reset to defaults.
+ */
+function deleteProfile() {
+  const name = profileStore.active;
+  if (!name || !window.confirm(`Delete the profile "${name}"?`)) return;
+  profileStore = removeProfile(profileStore, name);
+  writeSavedProfiles();
+  renderProfileSelect();
+  const next = findProfile(profileStore, profileStore.active);
+  if (next) {
+    applyProfile(next);
+  } else {
+    resetProfileForm();
+    updateStatsSummary();
+    updateQuestWarnings();
+    updateGearAvailability();
+    updateEquipmentStats();
+  }
+  showMessage(`Profile "${name}" deleted.`, 'success');
+}
+
+/**
+ * Copy a link to the current stats, quests, gear and loadouts. The player
+ * is packed into the URL fragment by encodeSharedPlayer(), so nothing is
+ * sent to a server. Owned items stay out of the link.
+ */
+async function shareProfile() {
+  const url = new URL(window.location.href);
+  url.hash = `${SHARE_FRAGMENT_KEY}=${encodeSharedPlayer(getPlayerData())}`;
+  try {
+    await navigator.clipboard.writeText(url.href);
+    showMessage('Share link copied to the clipboard.', 'success');
+  } catch (err) {
+    // No clipboard access (e.g. not served over HTTPS); let them copy it
+    window.prompt('Copy this link to share your profile:', url.href);
+  }
+}
+
+/**
+ * Restore the form from a shared profile in the URL fragment, if there is
+ * one.
+ *
+ * @returns {boolean} Whether a shared profile was restored.
+ */
+function applySharedLink() {
+  const value = readShareFragment(window.location.hash);
+  if (!value) return false;
+  try {
+    const { player, dropped } = decodeSharedPlayer(value);
+    applyProfile(player);
+    showMessage(
+      dropped.length
+        ? `Showing a shared profile. Some of its ${dropped.join(' and ')} come from a different version of the app and couldn't be restored.`
+        : `Showing a shared profile. Owned items aren't shared. Save it to keep it.`,
+      dropped.length ? 'error' : 'success'
+    );
+    return true;
+  } catch (err) {
+    console.error('Could not read share link:', err);
+    showMessage(`Could not read the share link: ${err.message}`, 'error');
+    return false;
+  }
+}
+
+/**
+ * Drop the shared profile from the URL, so reloading shows the saved
+ * profiles again.
+ */
+function clearShareFragment() {
+  if (readShareFragment(window.location.hash)) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
+
+/**
+ * Download the active profile as a JSON file.
+ */
+function exportActiveProfile() {
+  const name = profileStore.active;
+  const profile = findProfile(profileStore, name);
+  if (!profile) return;
+  const blob = new Blob([JSON.stringify(exportProfile(name, profile), null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${name.replace(/[^\w -]+/g, '_')}.osrs-profile.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Import a profile from an uploaded JSON file, save it and show it. A
+ * profile with the same name is replaced.
+ *
+ * @param {Event} event - The file input's change event.
+ */
+async function importProfileFile(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  // Let the same file be picked again later
+  event.target.value = '';
+  let imported;
+  try {
+    const fallbackName = file.name.replace(/(\.osrs-profile)?\.json$/i, '').slice(0, MAX_PROFILE_NAME_LENGTH);
+    imported = importProfile(JSON.parse(await file.text()), fallbackName);
+  } catch (err) {
+    console.error('Could not import profile:', err);
+    showMessage(`Could not import profile: ${err.message}`, 'error');
+    return;
+  }
+  profileStore = putProfile(profileStore, imported.name, imported.profile);
+  writeSavedProfiles();
+  renderProfileSelect();
+  applyProfile(imported.profile);
+  showMessage(`Profile "${imported.name}" imported.`, 'success');
+}
+
+// Register our event listener once the DOM is loaded. This ensures the button
+// exists when we attach the click handler.
+document.addEventListener('DOMContentLoaded', async () => {
+  // Build the quest checklist from the quest data
+  populateQuestCheckboxes();
+  // Fill the game mode selects. Changing the mode can change a raid's
+  // requirements, so refresh the cards if they're showing.
+  populateGameModes();
+  document.getElementById('game-mode').addEventListener('change', () => {
+    if (document.querySelector('#results .raid-cards')) {
+      displayResults();
+    }
+  });
+  // The gear selectors and the raid validation both need the item
+  // database, so load it first.
+  try {
+    await loadItemData();
+  } catch (err) {
+    console.error(err);
+    showMessage('Could not load item data. Please refresh the page.', 'error');
+  }
+  // Fill the combat settings and refresh the raid cards' DPS when they
+  // change, if the cards are already showing
+  populateCombatSettings();
+  document.querySelectorAll('#combat-settings select').forEach((select) => {
+    select.addEventListener('change', () => {
+      if (document.querySelector('#results .raid-cards')) {
+        displayResults();
+      }
+    });
+  });
+  // Set up the gear pickers on page load. Picking an item re-checks what
+  // the player can wear and the bonus totals; so does the filter
+  readRecentItems();
+  createItemPickers();
+  // Loadouts keep the grid's setups per combat style
+  populateLoadoutStyles();
+  renderLoadoutSelect();
+  document.getElementById('loadout-select').addEventListener('change', switchLoadout);
+  document.getElementById('save-loadout-btn').addEventListener('click', saveLoadout);
+  document.getElementById('delete-loadout-btn').addEventListener('click', deleteLoadout);
+  // Gear can also be imported from a RuneLite export
+  document.getElementById('runelite-import-btn').addEventListener('click', importRuneLite);
+  document.getElementById('runelite-file').addEventListener('change', loadRuneLiteFile);
+  // Filters and sort order for the raid cards; changing one redraws
+  // them if they're showing
+  populateResultsControls();
+  document.querySelectorAll('#results-controls select').forEach((select) => {
+    select.addEventListener('change', () => {
+      if (document.querySelector('#results .raid-cards')) {
+        displayResults();
+      }
+    });
+  });
+  // Owned items feed the best-in-slot suggestion
+  populateBestInSlotOptions();
+  document.getElementById('bis-btn').addEventListener('click', showBestInSlot);
+  const unwearableFilter = document.getElementById('hide-unwearable');
+  if (unwearableFilter) {
+    unwearableFilter.addEventListener('change', updateGearAvailability);
+  }
+  // Load the raid definitions in the background. Until they arrive the
+  // raid list is simply empty.
+  loadRaidData().catch((err) => {
+    console.error(err);
+    showMessage('Could not load raid data. Please refresh the page.', 'error');
+  });
+  const questFilter = document.getElementById('quest-filter');
+  if (questFilter) {
+    questFilter.addEventListener('input', filterQuestCheckboxes);
+  }
+  // Restore a shared profile from the URL first; otherwise prefill stats,
+  // quests and gear from the active saved profile
+  loadProfile(!applySharedLink());
+  window.addEventListener('hashchange', () => {
+    if (applySharedLink()) {
+      document.getElementById('profile-name').value = 'Shared';
+      if (document.querySelector('#results .raid-cards')) {
+        displayResults();
+      }
+    }
+  });
+
+  // Generate the initial stats summary (either from loaded profile or default values)
+  updateStatsSummary();
+  updateGearAvailability();
+  updateEquipmentStats();
+
+  // Whenever the user manually edits any numeric stat field, refresh the
+  // summary and the quest skill warnings
+  document.querySelectorAll('#stats-form input[type="number"]').forEach((input) => {
+    input.addEventListener('input', () => {
+      updateStatsSummary();
+      updateQuestWarnings();
+      updateGearAvailability();
+    });
+  });
+
+  const fetchButton = document.getElementById('fetch-btn');
+  if (fetchButton) {
+    fetchButton.addEventListener('click', fetchStats);
+  }
+
+  // Attach the eligibility check to the Check Raids button
+  const checkButton = document.getElementById('check-raids-btn');
+  if (checkButton) {
+    checkButton.addEventListener('click', () => {
+      // Gather player data before checking raids
+      const player = getPlayerData();
+      // If the user hasn’t fetched stats and all manual fields are zero,
+      // prompt them to enter values first. This avoids confusion when
+      // everything is locked simply because no data was provided.
+      const manualFieldsEmpty =
+        playerStats === null &&
+        player.attack === 0 &&
+        player.strength === 0 &&
+        player.defence === 0 &&
+        player.hitpoints === 0 &&
+        player.ranged === 0 &&
+        player.prayer === 0 &&
+        player.magic === 0;
+      if (manualFieldsEmpty) {
+        showMessage(
+          'Please enter your stats or fetch them before checking raids.',
+          'error'
+        );
+        return;
+      }
+      // Re-render the raid cards based on the current form values.
+      displayResults();
+    });
+  }
+
+  // Profile switcher and the save, delete, export and import buttons
+  const saveBtn = document.getElementById('save-profile-btn');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', saveProfile);
+    document.getElementById('profile-select').addEventListener('change', switchProfile);
+    document.getElementById('delete-profile-btn').addEventListener('click', deleteProfile);
+    document.getElementById('export-profile-btn').addEventListener('click', exportActiveProfile);
+    document.getElementById('share-profile-btn').addEventListener('click', shareProfile);
+    document.getElementById('profile-import').addEventListener('change', importProfileFile);
+  }
+
+  // Switching the planner's raid redraws its checklist
+  const plannerSelect = document.getElementById('planner-raid');
+  if (plannerSelect) {
+    plannerSelect.addEventListener('change', () => {
+      plannerRaid = plannerSelect.value;
+      renderPlanner(getPlayerData());
+    });
+  }
+
+  // Progress history controls
+  const historyBtn = document.getElementById('history-btn');
+  if (historyBtn) {
+    historyBtn.addEventListener('click', showHistory);
+    document.getElementById('history-clear-btn').addEventListener('click', clearHistory);
+    document.getElementById('history-from').addEventListener('change', showHistory);
+    document.getElementById('history-to').addEventListener('change', showHistory);
+  }
+
+  // Clan roster controls
+  const rosterCheckBtn = document.getElementById('roster-check-btn');
+  if (rosterCheckBtn) {
+    rosterCheckBtn.addEventListener('click', checkRoster);
+    document.getElementById('roster-export-btn').addEventListener('click', exportRosterCsv);
+    document.getElementById('roster-file').addEventListener('change', loadRosterFile);
   }
 
   // Dark mode: restore user preference and set up toggle
@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+// scripts/build-items.mjs
+// Rebuilds data/items.json. Names, slots, equip levels, bonuses and attack
+// speeds come from the Old School RuneScape Wiki item data bundled with the
+// oldschooljs package (a dev dependency). What that data doesn't cover,
+// such as tags, quest requirements, ammunition limits and powered staff
+// offsets, and the levels it leaves out, comes from data/items.curated.json:
+// an entry there replaces the named fields of the item with that id, and
+// `null` removes one. When several items share a name only one id is kept,
+// and an entry, even an empty one, makes it that one.
+//
+// Variants of an item (see splitVariant() in lib/items.mjs, plus the
+// recoloured copies matched by FAMILY_PREFIXES) take the tags,
+// requirements, quests and ammunition of the plain item in their family.
+// Cosmetic variants take its bonuses as well, as validateItemData()
+// expects. A curated entry for the variant itself still wins.
+//
+// Run it with `npm run build:items` after upgrading oldschooljs or editing
+// the curated file.
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+
+import { HISCORE_SKILLS } from '../lib/hiscores.mjs';
+import { BONUS_KEYS, ITEM_DATA_VERSION, ITEM_SLOTS, isCosmeticVariant, splitVariant, validateItemData } from '../lib/items.mjs';
+import { getCombatType } from '../lib/combat.mjs';
+
+const SOURCE = createRequire(import.meta.url).resolve('oldschooljs/dist/data/items/item_data.json');
+const CURATED_PATH = new URL('../data/items.curated.json', import.meta.url);
+const OUTPUT_PATH = new URL('../data/items.json', import.meta.url);
+
+// Wiki equipment fields, in BONUS_KEYS order.
+const SOURCE_BONUSES = [
+  'attack_stab', 'attack_slash', 'attack_crush', 'attack_magic', 'attack_ranged',
+  'defence_stab', 'defence_slash', 'defence_crush', 'defence_magic', 'defence_ranged',
+  'melee_strength', 'ranged_strength', 'magic_damage', 'prayer'
+];
+
+// Wiki slot names that differ from ITEM_SLOTS.
+const SOURCE_SLOTS = { feet: 'boots', '2h': 'weapon' };
+
+// Ammunition each wiki weapon type fires.
+const WEAPON_AMMO = { bow: 'arrow', crossbow: 'bolt' };
+
+// Fields of an item in the order they're written out, and the ones a
+// curated entry may set.
+const FIELD_ORDER = ['name', 'slot', 'requirements', 'quests', 'twoHanded', 'speed', 'ammo', 'poweredStaff', 'ammoType', 'bonuses', 'tags'];
+const CURATED_FIELDS = FIELD_ORDER.filter((field) => field !== 'name' && field !== 'bonuses');
+
+// Recoloured or blessed copies named with a prefix rather than a suffix,
+// with what turns the name into the plain item's.
+const FAMILY_PREFIXES = [
+  [/^(?:sanguine|holy|corrupted|twisted) /i, ''],
+  [/^(?:black|green|red|purple|turquoise|hydra|twisted|tztok|tzkal|vampyric|araxyte) (?=slayer helmet)/i, ''],
+  [/^dinh's blazing /i, "Dinh's "]
+];
+
+// Style tags, one of which every weapon should carry.
+const STYLE_TAGS = { melee: 'melee', ranged: 'ranged', magic: 'mage' };
+
+const SKILLS = HISCORE_SKILLS.filter((skill) => skill !== 'overall');
+
+/**
+ * Work out the kind of ammunition an ammo slot item is from its name.
+ *
+ * @param {string} name - The item name.
+ * @returns {?string} 'arrow', 'bolt', 'dart', 'javelin', 'bolt rack' or null.
+ */
+function getAmmoType(name) {
+  const lower = name.toLowerCase();
+  if (lower.includes('bolt rack')) return 'bolt rack';
+  const match = /\b(arrow|bolt|dart|javelin)s?\b/.exec(lower);
+  return match ? match[1] : null;
+}
+
+/**
+ * Keep the skill levels an item needs, in hiscores order.
+ *
+ * @param {Object} [levels] - Levels keyed by skill name.
+ * @returns {Object} The requirements.
+ */
+function toRequirements(levels = {}) {
+  const requirements = {};
+  SKILLS.forEach((skill) => {
+    const level = levels[skill];
+    if (Number.isInteger(level) && level >= 1 && level <= 99) {
+      requirements[skill] = level;
+    }
+  });
+  return requirements;
+}
+
+/**
+ * Turn a wiki item into an items.json entry.
+ *
+ * @param {Object} entry - The wiki item.
+ * @param {string} [slot] - The slot to file it under instead of the wiki's,
+ *   e.g. 'ammo' for darts, which the blowpipe is loaded with.
+ * @returns {Object} The item.
+ */
+function fromSource(entry, slot) {
+  const { equipment, weapon } = entry;
+  const item = {
+    name: entry.name.trim(),
+    slot: slot || SOURCE_SLOTS[equipment.slot] || equipment.slot,
+    requirements: toRequirements(equipment.requirements || {})
+  };
+  if (equipment.slot === '2h') item.twoHanded = true;
+  if (weapon && item.slot === 'weapon') {
+    if (weapon.attack_speed) item.speed = weapon.attack_speed;
+    const ammo = WEAPON_AMMO[weapon.weapon_type];
+    if (ammo) item.ammo = { type: ammo, maxLevel: item.requirements.ranged || 1 };
+  }
+  if (item.slot === 'ammo') {
+    const ammoType = getAmmoType(item.name);
+    if (ammoType) item.ammoType = ammoType;
+  }
+  item.bonuses = SOURCE_BONUSES.map((key) => Number(equipment[key]) || 0);
+  item.tags = [];
+  return item;
+}
+
+/**
+ * Apply a curated entry to an item.
+ *
+ * @param {Object} item - The item, changed in place.
+ * @param {Object} entry - Fields to replace; null values remove the field.
+ * @param {string} id - The item id, for error messages.
+ */
+function applyCurated(item, entry, id) {
+  Object.entries(entry).forEach(([field, value]) => {
+    if (!CURATED_FIELDS.includes(field)) {
+      throw new Error(`items.curated.json: item ${id} sets unknown field "${field}"`);
+    }
+    if (value === null) {
+      delete item[field];
+    } else {
+      item[field] = field === 'requirements' ? toRequirements(value) : value;
+    }
+  });
+}
+
+/**
+ * Find the id of the plain item a variant belongs to.
+ *
+ * @param {Object} item - The item.
+ * @param {Map<string, string>} plain - Ids of plain items by slot and name.
+ * @returns {?string} The base item's id, or null for a plain item.
+ */
+function findBaseId(item, plain) {
+  const { base, variant } = splitVariant(item.name);
+  const names = [];
+  FAMILY_PREFIXES.forEach(([prefix, replacement]) => {
+    if (prefix.test(base)) names.push(splitVariant(base.replace(prefix, replacement)).base);
+  });
+  if (variant) names.push(base);
+  const found = names.map((name) => plain.get(`${item.slot}/${name.toLowerCase()}`)).find(Boolean);
+  return found || null;
+}
+
+/**
+ * Write an item as one line of JSON, with a space after every comma and
+ * colon like the rest of the file.
+ *
+ * @param {*} value - The value to write.
+ * @returns {string} The JSON text.
+ */
+function formatJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatJson).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.entries(value).map(([key, field]) => `${JSON.stringify(key)}: ${formatJson(field)}`).join(', ')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const source = JSON.parse(readFileSync(SOURCE, 'utf8'));
+const curated = JSON.parse(readFileSync(CURATED_PATH, 'utf8')).items;
+
+// One item per name. Curated ids win, then the lowest id.
+const byName = new Map();
+const candidates = Object.keys(source)
+  .filter((id) => {
+    const { equipable_by_player: equipable, equipment, name } = source[id];
+    return equipable && equipment && name && name.trim() && ITEM_SLOTS.includes(SOURCE_SLOTS[equipment.slot] || equipment.slot);
+  })
+  .sort((a, b) => (b in curated) - (a in curated) || Number(a) - Number(b));
+Object.keys(curated).forEach((id) => {
+  if (!candidates.includes(id)) throw new Error(`items.curated.json: ${id} isn't a wearable item`);
+});
+candidates.forEach((id) => {
+  const key = source[id].name.trim().toLowerCase();
+  if (!byName.has(key)) byName.set(key, id);
+});
+
+const items = {};
+Array.from(byName.values()).forEach((id) => {
+  items[id] = fromSource(source[id], (curated[id] || {}).slot);
+  if (curated[id]) applyCurated(items[id], curated[id], id);
+});
+
+const plain = new Map();
+Object.entries(items).forEach(([id, item]) => {
+  if (!splitVariant(item.name).variant) plain.set(`${item.slot}/${item.name.toLowerCase()}`, id);
+});
+Object.entries(items).forEach(([id, item]) => {
+  const baseId = findBaseId(item, plain);
+  if (!baseId || baseId === id) return;
+  const base = items[baseId];
+  const own = curated[id] || {};
+  if (!('requirements' in own) && (Object.keys(base.requirements).length || isCosmeticVariant(item.name))) {
+    item.requirements = { ...base.requirements };
+  }
+  ['quests', 'ammo', 'poweredStaff'].forEach((field) => {
+    if (field in own) return;
+    if (field in base) item[field] = base[field];
+    else delete item[field];
+  });
+  if (!('tags' in own)) item.tags = [...base.tags];
+  if (isCosmeticVariant(item.name)) item.bonuses = [...base.bonuses];
+});
+
+Object.values(items).forEach((item) => {
+  if (item.slot !== 'weapon' || Object.values(STYLE_TAGS).some((tag) => item.tags.includes(tag))) return;
+  const type = getCombatType(item);
+  if (type !== 'melee') item.tags.push(STYLE_TAGS[type]);
+});
+
+const ordered = {};
+Object.keys(items)
+  .sort((a, b) => Number(a) - Number(b))
+  .forEach((id) => {
+    ordered[id] = {};
+    FIELD_ORDER.filter((field) => field in items[id]).forEach((field) => {
+      ordered[id][field] = items[id][field];
+    });
+  });
+
+const data = { version: ITEM_DATA_VERSION, bonusOrder: BONUS_KEYS, items: ordered };
+const errors = validateItemData(data, { skills: SKILLS });
+if (errors.length) {
+  throw new Error(`The built item data is invalid:\n${errors.join('\n')}`);
+}
+
+const lines = Object.entries(ordered).map(([id, item]) => `    ${JSON.stringify(id)}: ${formatJson(item)}`);
+writeFileSync(
+  OUTPUT_PATH,
+  `{\n  "version": ${ITEM_DATA_VERSION},\n  "bonusOrder": ${formatJson(BONUS_KEYS)},\n  "items": {\n${lines.join(',\n')}\n  }\n}\n`
+);
+console.log(`Wrote ${lines.length} items to data/items.json`);
@@ -1,62 +1,202 @@
 // server.js
 // A lightweight Express server that proxies requests to the OSRS Hiscores API.
 // Running a local backend eliminates reliance on public CORS proxies and
-// allows us to implement simple caching to reduce repeated API calls.
+// allows us to cache responses to reduce repeated API calls.
+// It also answers eligibility questions for tools that don't run a browser,
+// such as a clan Discord bot, using the same lib/ code as the page.
 
 const express = require('express');
 const fetch = require('node-fetch');
+const { readServerConfig } = require('./server/config');
+const { createStore, createCachedFetcher } = require('./server/cache');
+const { fetchTextWithRetry } = require('./server/upstream');
+const { createRateLimiter } = require('./server/rate-limit');
+
+// Cache, upstream and rate limit settings from environment variables; see
+// server/config.js and the README.
+const config = readServerConfig();
 
 const app = express();
+app.set('trust proxy', config.trustProxy);
+app.use(express.json());
 
 // Configure port; default to 3000 or use environment variable
 const PORT = process.env.PORT || 3000;
 
-// In-memory cache to store results for a short period. Each entry
-// contains the fetched data and the timestamp when it was cached.
-const cache = new Map();
-
-// Helper function to fetch hiscore data from Jagex. If a cached
-// response exists and is less than five minutes old, return it.
-async function getHiscoreData(player) {
-  const cacheKey = player.toLowerCase();
-  const now = Date.now();
-  const cached = cache.get(cacheKey);
-  // Cache entries expire after 5 minutes (300000 ms)
-  if (cached && now - cached.timestamp < 300000) {
-    return cached.data;
-  }
-  // Build the hiscores URL. Note: this endpoint returns plain text.
-  const url = `https://secure.runescape.com/m=hiscore_oldschool/index_lite.ws?player=${encodeURIComponent(
-    player
-  )}`;
-  const response = await fetch(url);
-  if (!response.ok) {
-    throw new Error('Failed to fetch hiscore data');
-  }
-  const text = await response.text();
-  // Cache the result before returning it
-  cache.set(cacheKey, { data: text, timestamp: now });
-  return text;
+// The shared logic in lib/ is written as ES modules, which this CommonJS
+// file can only load with import(). start() fills these in before the
+// server accepts any requests.
+let lib = {};
+let raids = [];
+let eligibilityContext = {};
+
+// Fetch hiscore data from Jagex through the cache. Cache keys are
+// "mode/name", since each game mode has its own hiscores table. Resolves to
+// `{ data, status, age }`, where status is 'hit', 'miss' or 'stale'
+// (Jagex failed and an older copy was served instead). A player Jagex no
+// longer knows is never answered from a stale copy.
+const getHiscoreData = createCachedFetcher({
+  store: createStore(config.cache),
+  ttlMs: config.cache.ttlMs,
+  maxStaleMs: config.cache.maxStaleMs,
+  fetcher: (cacheKey) => {
+    const [mode, player] = cacheKey.split('/');
+    return fetchTextWithRetry(lib.getHiscoresUrl(player, mode), { fetch, ...config.upstream });
+  },
+  canServeStale: (err) => err.code !== 'not-found'
+});
+
+/**
+ * Read and check the `player` and `mode` query parameters.
+ *
+ * @param {Object} req - The Express request.
+ * @returns {{player: string, mode: string}} The trimmed name and the mode,
+ *   defaulting to the regular hiscores.
+ * @throws {HiscoresError} If the name or mode is invalid.
+ */
+function readLookupParams(req) {
+  const player = String(req.query.player || '').trim();
+  const mode = String(req.query.mode || lib.DEFAULT_GAME_MODE);
+  if (!lib.isValidUsername(player)) {
+    throw new lib.HiscoresError('invalid-name');
+  }
+  if (!Object.prototype.hasOwnProperty.call(lib.GAME_MODES, mode)) {
+    throw new lib.HiscoresError('invalid-mode');
+  }
+  return { player, mode };
 }
 
-// API endpoint: /api/hiscore?player=USERNAME
-// Returns hiscore data as plain text. If the player parameter is missing
-// or empty, responds with a 400 status code.
-app.get('/api/hiscore', async (req, res) => {
-  const player = req.query.player;
-  if (!player) {
-    return res.status(400).send('Missing player parameter');
+/**
+ * Look a player up through the cache and describe the result in response
+ * headers: X-Cache is HIT, MISS or STALE, and stale responses also carry
+ * the standard Age header.
+ *
+ * @param {string} player - The player's display name.
+ * @param {string} mode - A key of GAME_MODES.
+ * @param {Object} res - The Express response.
+ * @returns {Promise<string>} The hiscores text.
+ */
+async function lookupHiscores(player, mode, res) {
+  const result = await getHiscoreData(`${mode}/${player.toLowerCase()}`);
+  res.set('X-Cache', result.status.toUpperCase());
+  if (result.status !== 'miss') {
+    res.set('Age', String(result.age));
   }
+  return result.data;
+}
+
+/**
+ * Answer a failed lookup. Errors with a HISCORE_ERRORS code get their own
+ * status, message and X-Hiscore-Error header so the page can explain what
+ * went wrong; anything else is a 500.
+ *
+ * @param {Object} res - The Express response.
+ * @param {Error} err - The error.
+ * @param {boolean} json - Send `{ error, code }` rather than plain text.
+ */
+function sendLookupError(res, err, json) {
+  const known = lib.HISCORE_ERRORS[err.code];
+  if (!known || known.status >= 500) {
+    console.error(err);
+  }
+  const status = known ? known.status : 500;
+  const message = known ? known.message : 'Error fetching hiscore data';
+  if (known) {
+    res.set('X-Hiscore-Error', err.code);
+  }
+  res.status(status);
+  if (json) {
+    res.json({ error: message, code: known ? err.code : 'internal' });
+  } else {
+    res.type('text/plain').send(message);
+  }
+}
+
+// Every API route counts towards the caller's rate limit. /api/hiscore
+// answers in plain text, the others in JSON.
+app.use(
+  '/api',
+  createRateLimiter({
+    ...config.rateLimit,
+    onLimit: (req, res) => sendLookupError(res, new lib.HiscoresError('rate-limited'), req.path !== '/hiscore')
+  })
+);
+
+// API endpoint: /api/hiscore?player=USERNAME[&mode=MODE]
+// Returns hiscore data as plain text, from the hiscores table of the given
+// game mode (see GAME_MODES in lib/hiscores.mjs). A missing or invalid name
+// or mode is a 400, a player Jagex doesn't know a 404, and Jagex failing a
+// 502 (or 504 if it timed out).
+app.get('/api/hiscore', async (req, res) => {
   try {
-    const data = await getHiscoreData(player);
+    const { player, mode } = readLookupParams(req);
+    const data = await lookupHiscores(player, mode, res);
     res.set('Content-Type', 'text/plain');
     res.send(data);
   } catch (err) {
-    console.error(err);
-    res.status(500).send('Error fetching hiscore data');
+    sendLookupError(res, err, false);
+  }
+});
+
+// API endpoint: GET /api/eligibility?player=USERNAME[&mode=MODE]
+// Fetches the player's hiscores and returns the raids they have unlocked
+// and, for every locked raid, the requirements they're missing, applying
+// the game mode's requirement overrides. Quests and gear aren't on the
+// hiscores, so use POST for a full profile. Lookup errors get the same
+// status codes as /api/hiscore, as `{ error, code }`.
+app.get('/api/eligibility', async (req, res) => {
+  try {
+    const { player, mode } = readLookupParams(req);
+    const hiscores = lib.parseHiscores(await lookupHiscores(player, mode, res));
+    const eligibility = lib.evaluateEligibility(raids, lib.playerFromHiscores(hiscores, mode), eligibilityContext);
+    res.json({ player, mode, ...lib.summarizeEligibility(eligibility) });
+  } catch (err) {
+    sendLookupError(res, err, true);
+  }
+});
+
+// API endpoint: POST /api/eligibility
+// Accepts a JSON profile with the same shape as getPlayerData() in
+// script.js (levels, game mode, quests, gear item ids and kill counts) and
+// returns the same response as the GET endpoint, without a player name.
+app.post('/api/eligibility', (req, res) => {
+  let player;
+  try {
+    player = lib.normalizePlayer(req.body);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
   }
+  const eligibility = lib.evaluateEligibility(raids, player, eligibilityContext);
+  res.json({ mode: player.mode, ...lib.summarizeEligibility(eligibility) });
+});
+
+// A request body that isn't valid JSON is a bad profile too: answer with
+// the same 400 and `{ error }` instead of Express's HTML error page.
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  return res.status(400).json({ error: 'Request body must be valid JSON' });
 });
 
-app.listen(PORT, () => {
-  console.log(`Express server running on http://localhost:${PORT}`);
+// Load the shared modules, then validate the raid and item data once, the
+// same way the page does. A typo in the data stops the server instead of
+// serving wrong answers.
+async function start() {
+  const modules = await Promise.all([
+    import('./lib/hiscores.mjs'),
+    import('./lib/eligibility.mjs'),
+    import('./lib/app-data.mjs')
+  ]);
+  lib = Object.assign({}, ...modules);
+  const items = lib.checkItemData(require('./data/items.json'));
+  raids = lib.checkRaidData(require('./data/raids.json'), items);
+  eligibilityContext = { items };
+
+  app.listen(PORT, () => {
+    console.log(`Express server running on http://localhost:${PORT}`);
+  });
+}
+
+start().catch((err) => {
+  console.error(err);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,217 @@
+// server/cache.js
+// Cache for hiscores lookups. The cache logic (TTL, stale fallback and
+// sharing one upstream fetch between concurrent requests) lives in
+// createCachedFetcher(); where entries are kept is up to a store:
+//
+//   memory  an in-process LRU map (the default; lost on restart)
+//   file    one JSON file per player in a directory
+//   sqlite  a single SQLite database, via the optional better-sqlite3 package
+//
+// Every store has the same async interface, `get(key)` resolving to
+// `{ data, timestamp }` or undefined, and `set(key, entry)`, and keeps at
+// most `maxEntries` entries, dropping the least recently used first.
+// createStore() picks one from the server configuration (server/config.js).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_ENTRIES = 1000;
+
+/**
+ * In-memory LRU store. A Map keeps insertion order, so re-inserting an
+ * entry on every read moves it to the back and the first key is always the
+ * least recently used.
+ */
+class MemoryStore {
+  constructor({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+/**
+ * File store: one JSON file per key, named by a hash of the key so any
+ * player name is a safe file name. A file's modification time records when
+ * it was last used, which is what eviction goes by.
+ */
+class FileStore {
+  constructor({ dir, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    this.dir = dir;
+    this.maxEntries = maxEntries;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  fileFor(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  async get(key) {
+    const file = this.fileFor(key);
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+      const now = new Date();
+      await fs.promises.utimes(file, now, now);
+      return entry;
+    } catch (err) {
+      // A missing or half-written file is just a cache miss
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    const file = this.fileFor(key);
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(entry));
+    await fs.promises.rename(temp, file);
+    await this.evict();
+  }
+
+  async evict() {
+    const names = (await fs.promises.readdir(this.dir)).filter((name) => name.endsWith('.json'));
+    if (names.length <= this.maxEntries) return;
+    const files = await Promise.all(
+      names.map(async (name) => {
+        const file = path.join(this.dir, name);
+        const stat = await fs.promises.stat(file);
+        return { file, used: stat.mtimeMs };
+      })
+    );
+    files.sort((a, b) => a.used - b.used);
+    await Promise.all(
+      files.slice(0, files.length - this.maxEntries).map(({ file }) => fs.promises.rm(file, { force: true }))
+    );
+  }
+}
+
+/**
+ * SQLite store. better-sqlite3 is only loaded when this store is chosen, so
+ * the other stores work without it installed.
+ */
+class SqliteStore {
+  constructor({ file, maxEntries = DEFAULT_MAX_ENTRIES }) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (err) {
+      throw new Error('The sqlite hiscores cache needs the better-sqlite3 package: npm install better-sqlite3');
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.exec(
+      'CREATE TABLE IF NOT EXISTS hiscores_cache (key TEXT PRIMARY KEY, data TEXT NOT NULL, timestamp INTEGER NOT NULL, used INTEGER NOT NULL)'
+    );
+    this.selectStmt = this.db.prepare('SELECT data, timestamp FROM hiscores_cache WHERE key = ?');
+    this.touchStmt = this.db.prepare('UPDATE hiscores_cache SET used = ? WHERE key = ?');
+    this.upsertStmt = this.db.prepare(
+      'INSERT OR REPLACE INTO hiscores_cache (key, data, timestamp, used) VALUES (?, ?, ?, ?)'
+    );
+    this.evictStmt = this.db.prepare(
+      'DELETE FROM hiscores_cache WHERE key NOT IN (SELECT key FROM hiscores_cache ORDER BY used DESC LIMIT ?)'
+    );
+    this.maxEntries = maxEntries;
+  }
+
+  async get(key) {
+    const row = this.selectStmt.get(key);
+    if (!row) return undefined;
+    this.touchStmt.run(Date.now(), key);
+    return { data: row.data, timestamp: row.timestamp };
+  }
+
+  async set(key, entry) {
+    this.upsertStmt.run(key, entry.data, entry.timestamp, Date.now());
+    this.evictStmt.run(this.maxEntries);
+  }
+}
+
+/**
+ * Create the store named in the server configuration.
+ *
+ * @param {Object} options - The `cache` section of readServerConfig().
+ * @param {string} options.kind - 'memory', 'file' or 'sqlite'.
+ * @param {string} options.path - Directory or database file for the
+ *   file and sqlite stores.
+ * @param {number} options.maxEntries - Entries to keep.
+ * @returns {Object} The store.
+ */
+function createStore({ kind, path: location, maxEntries }) {
+  if (kind === 'file') return new FileStore({ dir: location, maxEntries });
+  if (kind === 'sqlite') return new SqliteStore({ file: location, maxEntries });
+  return new MemoryStore({ maxEntries });
+}
+
+/**
+ * Wrap an upstream fetch with a cache.
+ *
+ * Fresh entries (younger than `ttlMs`) are served without a fetch.
+ * Otherwise the upstream is asked, and concurrent requests for the same key
+ * wait on that one fetch. If the fetch fails and the store still holds an
+ * entry no older than `maxStaleMs`, that entry is served and marked stale.
+ *
+ * @param {Object} options
+ * @param {Object} options.store - A cache store.
+ * @param {number} options.ttlMs - How long an entry counts as fresh.
+ * @param {number} options.maxStaleMs - How old an entry may be and still be
+ *   served when the upstream fails.
+ * @param {Function} options.fetcher - `async (key) => data` for a cache miss.
+ * @param {Function} [options.canServeStale] - `(err) => boolean`; return
+ *   false for errors a stale copy would hide, such as a deleted player.
+ * @returns {Function} `async (key) => ({ data, status, age })`, where status
+ *   is 'hit', 'miss' or 'stale' and age is the entry's age in seconds.
+ */
+function createCachedFetcher({ store, ttlMs, maxStaleMs, fetcher, canServeStale = () => true }) {
+  const inFlight = new Map();
+
+  async function refresh(key) {
+    const cached = await store.get(key);
+    const now = Date.now();
+    if (cached && now - cached.timestamp < ttlMs) {
+      return { data: cached.data, status: 'hit', age: Math.floor((now - cached.timestamp) / 1000) };
+    }
+    try {
+      const data = await fetcher(key);
+      await store.set(key, { data, timestamp: Date.now() });
+      return { data, status: 'miss', age: 0 };
+    } catch (err) {
+      if (cached && canServeStale(err) && Date.now() - cached.timestamp < maxStaleMs) {
+        console.warn(`Serving stale hiscores for "${key}": ${err.message}`);
+        return { data: cached.data, status: 'stale', age: Math.floor((Date.now() - cached.timestamp) / 1000) };
+      }
+      throw err;
+    }
+  }
+
+  return function get(key) {
+    if (!inFlight.has(key)) {
+      inFlight.set(key, refresh(key).finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  FileStore,
+  SqliteStore,
+  createStore,
+  createCachedFetcher
+};
@@ -0,0 +1,83 @@
+// server/config.js
+// Server settings read from environment variables, all in one place so the
+// README's table and the code can't drift apart. Durations are given in
+// seconds and converted to milliseconds here.
+
+const path = require('path');
+
+const CACHE_KINDS = ['memory', 'file', 'sqlite'];
+
+/**
+ * Read a number from an environment variable, falling back to a default
+ * when it is unset.
+ *
+ * @param {Object} env - Environment variables.
+ * @param {string} name - Variable name.
+ * @param {number} fallback - Default value.
+ * @param {number} [min=0] - Smallest accepted value.
+ * @returns {number} The value.
+ * @throws {Error} If the variable is set but isn't a number of at least `min`.
+ */
+function readNumber(env, name, fallback, min = 0) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < min) {
+    throw new Error(`${name} must be a number of at least ${min}, got "${env[name]}"`);
+  }
+  return value;
+}
+
+/**
+ * Convert TRUST_PROXY to what Express expects: a hop count, a boolean, or
+ * a comma-separated list of proxy addresses left as a string.
+ *
+ * @param {string} [value] - The variable's value.
+ * @returns {number|boolean|string} The "trust proxy" setting.
+ */
+function readTrustProxy(value) {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+/**
+ * Build the server configuration.
+ *
+ * @param {Object} [env=process.env] - Environment variables.
+ * @returns {{cache: Object, upstream: Object, rateLimit: Object, trustProxy: *}}
+ * @throws {Error} If a variable has an invalid value.
+ */
+function readServerConfig(env = process.env) {
+  const cacheKind = env.HISCORE_CACHE || 'memory';
+  if (!CACHE_KINDS.includes(cacheKind)) {
+    throw new Error(`HISCORE_CACHE must be one of ${CACHE_KINDS.join(', ')}, got "${cacheKind}"`);
+  }
+  const defaultCachePath = cacheKind === 'sqlite' ? path.join('.cache', 'hiscores.sqlite') : path.join('.cache', 'hiscores');
+  return {
+    cache: {
+      kind: cacheKind,
+      path: env.HISCORE_CACHE_PATH || defaultCachePath,
+      maxEntries: Math.floor(readNumber(env, 'HISCORE_CACHE_SIZE', 1000, 1)),
+      ttlMs: readNumber(env, 'HISCORE_CACHE_TTL', 300, 1) * 1000,
+      maxStaleMs: readNumber(env, 'HISCORE_CACHE_MAX_STALE', 86400, 1) * 1000
+    },
+    upstream: {
+      timeoutMs: readNumber(env, 'HISCORE_TIMEOUT', 5, 1) * 1000,
+      retries: Math.floor(readNumber(env, 'HISCORE_RETRIES', 2)),
+      backoffMs: readNumber(env, 'HISCORE_RETRY_DELAY', 0.5) * 1000
+    },
+    rateLimit: {
+      max: Math.floor(readNumber(env, 'RATE_LIMIT_MAX', 30, 1)),
+      windowMs: readNumber(env, 'RATE_LIMIT_WINDOW', 60, 1) * 1000
+    },
+    // Express's "trust proxy" setting, so req.ip is the client's address
+    // rather than the reverse proxy's. Unset means the server is exposed
+    // directly.
+    trustProxy: readTrustProxy(env.TRUST_PROXY)
+  };
+}
+
+module.exports = {
+  readServerConfig
+};
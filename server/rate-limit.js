@@ -0,0 +1,50 @@
+// server/rate-limit.js
+// Per-IP rate limiting for the API routes. Each address may make `max`
+// requests per fixed window of `windowMs`; further requests in the same
+// window are refused until it ends. Counts are kept in memory, so they
+// reset when the server restarts and aren't shared between processes.
+
+/**
+ * Create Express middleware that limits requests per client address.
+ *
+ * @param {Object} options
+ * @param {number} options.max - Requests allowed per window.
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {Function} options.onLimit - `(req, res) => void`, sends the
+ *   response for a refused request. Retry-After is already set.
+ * @returns {Function} The middleware.
+ */
+function createRateLimiter({ max, windowMs, onLimit }) {
+  const clients = new Map();
+
+  // Drop finished windows now and then so addresses that stopped calling
+  // don't stay in memory forever.
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    clients.forEach((client, ip) => {
+      if (now >= client.resetAt) clients.delete(ip);
+    });
+  }, windowMs);
+  sweep.unref();
+
+  return function rateLimit(req, res, next) {
+    const now = Date.now();
+    let client = clients.get(req.ip);
+    if (!client || now >= client.resetAt) {
+      client = { count: 0, resetAt: now + windowMs };
+      clients.set(req.ip, client);
+    }
+    client.count += 1;
+    res.set('X-RateLimit-Limit', String(max));
+    res.set('X-RateLimit-Remaining', String(Math.max(0, max - client.count)));
+    if (client.count > max) {
+      res.set('Retry-After', String(Math.ceil((client.resetAt - now) / 1000)));
+      return onLimit(req, res);
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
@@ -0,0 +1,82 @@
+// server/upstream.js
+// Fetching from the Jagex hiscores with a time limit, retries and
+// exponential backoff. Failures are thrown as errors whose `code` is a key
+// of HISCORE_ERRORS in lib/hiscores.mjs, so routes can turn them into the
+// right HTTP status:
+//
+//   not-found         Jagex answered 404; the player isn't ranked. Not retried.
+//   upstream-timeout  no answer within the time limit, on every attempt
+//   upstream-error    any other failure (network error, 5xx, bad status)
+
+/**
+ * Create an error carrying a HISCORE_ERRORS code.
+ *
+ * @param {string} code - The error code.
+ * @param {string} message - Details for the server log.
+ * @returns {Error} The error.
+ */
+function upstreamError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Make one request, aborting it after `timeoutMs`.
+ *
+ * @param {Function} fetch - A fetch implementation.
+ * @param {string} url - The URL to fetch.
+ * @param {number} timeoutMs - Time limit for the whole request.
+ * @returns {Promise<string>} The response body.
+ */
+async function fetchOnce(fetch, url, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (response.status === 404) {
+      throw upstreamError('not-found', `Not found: ${url}`);
+    }
+    if (!response.ok) {
+      throw upstreamError('upstream-error', `HTTP ${response.status} from ${url}`);
+    }
+    return await response.text();
+  } catch (err) {
+    if (err.code) throw err;
+    if (err.name === 'AbortError') {
+      throw upstreamError('upstream-timeout', `No response from ${url} within ${timeoutMs} ms`);
+    }
+    throw upstreamError('upstream-error', `${err.message} (${url})`);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch a URL as text, retrying timeouts and upstream errors. The delay
+ * before retry n (counting from 0) is `backoffMs * 2^n`.
+ *
+ * @param {string} url - The URL to fetch.
+ * @param {Object} options
+ * @param {Function} options.fetch - A fetch implementation.
+ * @param {number} options.timeoutMs - Time limit per attempt.
+ * @param {number} options.retries - Extra attempts after the first.
+ * @param {number} options.backoffMs - Delay before the first retry.
+ * @returns {Promise<string>} The response body.
+ */
+async function fetchTextWithRetry(url, { fetch, timeoutMs, retries, backoffMs }) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await fetchOnce(fetch, url, timeoutMs);
+    } catch (err) {
+      if (err.code === 'not-found' || attempt >= retries) throw err;
+      const delay = backoffMs * 2 ** attempt;
+      console.warn(`${err.message}; retrying in ${delay} ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  fetchTextWithRetry
+};
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import cache from '../server/cache.js';
+
+const { MemoryStore, createCachedFetcher } = cache;
+
+test('fresh entries are served without a fetch', async () => {
+  let calls = 0;
+  const get = createCachedFetcher({
+    store: new MemoryStore(),
+    ttlMs: 60000,
+    maxStaleMs: 60000,
+    fetcher: async (key) => `${key} ${++calls}`
+  });
+  assert.deepEqual(await get('zezima'), { data: 'zezima 1', status: 'miss', age: 0 });
+  assert.deepEqual(await get('zezima'), { data: 'zezima 1', status: 'hit', age: 0 });
+  assert.equal(calls, 1);
+});
+
+test('a failed fetch falls back to a stale entry until it is too old', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const store = new MemoryStore();
+  const fetcher = async () => {
+    throw new Error('hiscores down');
+  };
+  const get = createCachedFetcher({ store, ttlMs: 1000, maxStaleMs: 60000, fetcher });
+
+  await store.set('zezima', { data: 'old', timestamp: Date.now() - 30000 });
+  const result = await get('zezima');
+  assert.equal(result.status, 'stale');
+  assert.equal(result.data, 'old');
+  assert.ok(result.age >= 30);
+
+  await store.set('zezima', { data: 'older', timestamp: Date.now() - 120000 });
+  await assert.rejects(get('zezima'), /hiscores down/);
+});
+
+test('concurrent requests for one key share a fetch', async () => {
+  let calls = 0;
+  let release;
+  const get = createCachedFetcher({
+    store: new MemoryStore(),
+    ttlMs: 60000,
+    maxStaleMs: 60000,
+    fetcher: () => {
+      calls += 1;
+      return new Promise((resolve) => {
+        release = resolve;
+      });
+    }
+  });
+  const pending = [get('zezima'), get('zezima')];
+  await new Promise((resolve) => setImmediate(resolve));
+  release('stats');
+  const results = await Promise.all(pending);
+  assert.equal(calls, 1);
+  assert.deepEqual(results.map((result) => result.data), ['stats', 'stats']);
+});
+
+test('the memory store drops the least recently used entry', async () => {
+  const store = new MemoryStore({ maxEntries: 2 });
+  await store.set('a', { data: 'a', timestamp: 0 });
+  await store.set('b', { data: 'b', timestamp: 0 });
+  await store.get('a');
+  await store.set('c', { data: 'c', timestamp: 0 });
+  assert.equal(await store.get('b'), undefined);
+  assert.ok(await store.get('a'));
+});
+
+test('errors a stale copy would hide are passed on', async () => {
+  const store = new MemoryStore();
+  await store.set('zezima', { data: 'old', timestamp: Date.now() - 30000 });
+  const get = createCachedFetcher({
+    store,
+    ttlMs: 1000,
+    maxStaleMs: 60000,
+    fetcher: async () => {
+      throw Object.assign(new Error('Not found'), { code: 'not-found' });
+    },
+    canServeStale: (err) => err.code !== 'not-found'
+  });
+  await assert.rejects(get('zezima'), { code: 'not-found' });
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatGroupSize, filterRaids, sortRaids, groupByCategory } from '../lib/catalogue.mjs';
+
+const cox = { name: 'Chambers of Xeric', category: 'raid', styles: ['melee', 'ranged', 'magic'], groupSize: { min: 1, max: 100 } };
+const zulrah = { name: 'Zulrah', category: 'boss', styles: ['ranged', 'magic'], groupSize: { min: 1, max: 1 } };
+const nex = { name: 'Nex', category: 'boss', styles: ['ranged'], groupSize: { min: 1 } };
+const tob = { name: 'Theatre of Blood', category: 'raid', styles: ['melee', 'ranged', 'magic'], groupSize: { min: 2, max: 5 } };
+const raids = [cox, zulrah, nex, tob];
+
+const names = (list) => list.map((entry) => (entry.raid || entry).name);
+
+test('filters combine, and an empty filter matches everything', () => {
+  assert.deepEqual(filterRaids(raids), raids);
+  assert.deepEqual(names(filterRaids(raids, { category: 'boss', style: '' })), ['Zulrah', 'Nex']);
+  assert.deepEqual(names(filterRaids(raids, { style: 'melee', group: 'solo' })), ['Chambers of Xeric']);
+  assert.deepEqual(names(filterRaids(raids, { group: 'group' })), ['Chambers of Xeric', 'Nex', 'Theatre of Blood']);
+});
+
+// evaluateTiers() results: passed entries with the tier reached, or the
+// number of requirements still missing.
+const passed = (reached) => ({ entry: { passed: true, missing: [] }, reached, tiers: [{ name: 'Entry' }, { name: 'Recommended' }] });
+const missing = (count) => ({ entry: { passed: false, missing: new Array(count).fill('x') }, reached: null, tiers: [] });
+
+const entries = [
+  { raid: cox, evaluation: missing(3) },
+  { raid: zulrah, evaluation: passed('Entry') },
+  { raid: nex, evaluation: missing(1) },
+  { raid: tob, evaluation: passed('Recommended') }
+];
+
+test('entries sort by category, name, readiness and group size', () => {
+  assert.deepEqual(names(sortRaids(entries)), ['Chambers of Xeric', 'Theatre of Blood', 'Zulrah', 'Nex']);
+  assert.deepEqual(names(sortRaids(entries, 'name')), ['Chambers of Xeric', 'Nex', 'Theatre of Blood', 'Zulrah']);
+  assert.deepEqual(names(sortRaids(entries, 'readiness')), ['Theatre of Blood', 'Zulrah', 'Nex', 'Chambers of Xeric']);
+  assert.deepEqual(names(sortRaids(entries, 'groupSize')), ['Zulrah', 'Chambers of Xeric', 'Nex', 'Theatre of Blood']);
+  assert.throws(() => sortRaids(entries, 'difficulty'), /sort must be one of/);
+});
+
+test('sorted entries are grouped under their category', () => {
+  const groups = groupByCategory(sortRaids(entries));
+  assert.deepEqual(
+    groups.map((group) => [group.label, names(group.entries)]),
+    [['Raids', ['Chambers of Xeric', 'Theatre of Blood']], ['Bosses', ['Zulrah', 'Nex']]]
+  );
+});
+
+test('group sizes are described for the cards', () => {
+  assert.equal(formatGroupSize(zulrah.groupSize), 'Solo');
+  assert.equal(formatGroupSize(nex.groupSize), '1+ players');
+  assert.equal(formatGroupSize(tob.groupSize), '2–5 players');
+  assert.equal(formatGroupSize({ min: 3, max: 3 }), '3 players');
+});
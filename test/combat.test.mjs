@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { calculateDps, getCombatType } from '../lib/combat.mjs';
+
+const { items } = JSON.parse(readFileSync(new URL('../data/items.json', import.meta.url), 'utf8'));
+
+const SHADOW = 27275;
+const MAGIC_LONGBOW = 859;
+const AMETHYST_ARROW = 21326;
+const WHIP = 4151;
+
+const player = { attack: 99, strength: 99, defence: 99, ranged: 99, magic: 99, hitpoints: 99 };
+const target = { name: 'Dummy', defence: 1, magic: 1, defenceBonuses: {} };
+
+test("Tumeken's shadow attacks with magic as a powered staff", () => {
+  assert.equal(getCombatType(items[SHADOW]), 'magic');
+  const result = calculateDps({ ...player, gear: { weapon: SHADOW } }, items, target);
+  assert.equal(result.combatType, 'magic');
+  assert.equal(result.maxHit, 34);
+});
+
+test('a bow attacks with ranged', () => {
+  assert.equal(getCombatType(items[MAGIC_LONGBOW]), 'ranged');
+  const gear = { weapon: MAGIC_LONGBOW, ammo: AMETHYST_ARROW };
+  const result = calculateDps({ ...player, gear }, items, target);
+  assert.equal(result.combatType, 'ranged');
+  assert.ok(result.maxHit > 1);
+});
+
+test('untagged weapons fall back to their details and bonuses', () => {
+  const untagged = (id) => ({ ...items[id], tags: [] });
+  assert.equal(getCombatType(untagged(SHADOW)), 'magic');
+  assert.equal(getCombatType(untagged(MAGIC_LONGBOW)), 'ranged');
+  assert.equal(getCombatType({ ...untagged(MAGIC_LONGBOW), ammo: undefined }), 'ranged');
+  assert.equal(getCombatType({ ...untagged(SHADOW), poweredStaff: undefined }), 'magic');
+  assert.equal(getCombatType(untagged(WHIP)), 'melee');
+  assert.equal(getCombatType(null), 'melee');
+});
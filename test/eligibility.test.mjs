@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeCombatLevel, normalizePlayer } from '../lib/eligibility.mjs';
+
+test('only hiscores skills are read as levels', () => {
+  const player = normalizePlayer({ version: 4, attack: '75', slayer: 85, overall: 1500, combat: 90 });
+  assert.equal(player.attack, 75);
+  assert.equal(player.slayer, 85);
+  assert.equal(player.combat, 90);
+  assert.equal(player.version, undefined);
+  assert.equal(player.overall, undefined);
+});
+
+test('out of range skill levels are refused', () => {
+  assert.throws(() => normalizePlayer({ magic: 120 }), /magic must be a level from 0 to 99/);
+});
+
+test('missing combat skills default to a new account', () => {
+  const player = normalizePlayer({});
+  assert.equal(player.hitpoints, 10);
+  assert.equal(player.combat, 3);
+  assert.equal(computeCombatLevel({ attack: 99, strength: 99, defence: 99, hitpoints: 99, prayer: 99, ranged: 99, magic: 99 }), 126);
+});
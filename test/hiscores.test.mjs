@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HISCORE_SKILLS, HISCORE_ACTIVITIES, parseHiscores, getSkillLevels, getActivityScores } from '../lib/hiscores.mjs';
+
+// An index_lite.ws body with every skill at level 50 and no activities
+// ranked, apart from the rows given.
+function hiscoresText({ skills = {}, activities = {} } = {}) {
+  const skillRows = HISCORE_SKILLS.map((name, i) => skills[name] || `${1000 + i},50,101333`);
+  const activityRows = HISCORE_ACTIVITIES.map((name) => activities[name] || '-1,-1');
+  return `${skillRows.concat(activityRows).join('\n')}\n`;
+}
+
+test('rows are named by their position in the response', () => {
+  const text = hiscoresText({
+    skills: { overall: '5000,1150,20000000', attack: '1234,75,1210421' },
+    activities: { 'Chambers of Xeric': '800,42' }
+  });
+  const { skills, activities } = parseHiscores(text);
+  assert.deepEqual(skills.overall, { rank: 5000, level: 1150, xp: 20000000, ranked: true });
+  assert.deepEqual(skills.attack, { rank: 1234, level: 75, xp: 1210421, ranked: true });
+  assert.equal(skills.sailing.level, 50);
+  assert.deepEqual(activities['Chambers of Xeric'], { rank: 800, score: 42, ranked: true });
+  assert.deepEqual(activities.Zulrah, { rank: null, score: null, ranked: false });
+});
+
+test('unranked skills keep their level but have no rank or xp', () => {
+  const { skills } = parseHiscores(hiscoresText({ skills: { hunter: '-1,1,-1' } }));
+  assert.deepEqual(skills.hunter, { rank: null, level: 1, xp: null, ranked: false });
+});
+
+test('rows missing from a short response count as unranked', () => {
+  const { skills, activities } = parseHiscores('1,2277,4600000000\n2,99,200000000');
+  assert.equal(skills.attack.level, 99);
+  assert.deepEqual(skills.hitpoints, { rank: null, level: 10, xp: null, ranked: false });
+  assert.equal(skills.defence.level, 1);
+  assert.equal(activities.Vorkath.ranked, false);
+});
+
+test('rows beyond the known layout are ignored', () => {
+  const { activities } = parseHiscores(`${hiscoresText().trim()}\n10,10\n20,20`);
+  assert.deepEqual(Object.keys(activities), HISCORE_ACTIVITIES);
+});
+
+test('empty and non-hiscores responses are rejected', () => {
+  assert.throws(() => parseHiscores(''), /Empty hiscores response/);
+  assert.throws(() => parseHiscores(null), /Empty hiscores response/);
+  assert.throws(() => parseHiscores('<!DOCTYPE html><html>'), /Unrecognised hiscores response/);
+});
+
+test('levels and scores flatten for the requirement checks', () => {
+  const parsed = parseHiscores(hiscoresText({
+    skills: { slayer: '300,87,4000000' },
+    activities: { Vorkath: '100,250' }
+  }));
+  const levels = getSkillLevels(parsed);
+  assert.equal(levels.slayer, 87);
+  assert.equal('overall' in levels, false);
+  assert.deepEqual(getActivityScores(parsed), { Vorkath: 250 });
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ITEM_DATA_VERSION, splitVariant, isCosmeticVariant, validateItemData } from '../lib/items.mjs';
+import { HISCORE_SKILLS } from '../lib/hiscores.mjs';
+import { QUESTS } from '../lib/quests.mjs';
+
+const data = JSON.parse(readFileSync(new URL('../data/items.json', import.meta.url), 'utf8'));
+
+test('splitVariant groups charges, trims and degradation with the plain item', () => {
+  const cases = {
+    'Amulet of glory(4)': ['Amulet of glory', '(4)'],
+    'Amulet of glory(t6)': ['Amulet of glory', '(t6)'],
+    'Void seal(8)': ['Void seal', '(8)'],
+    'Abyssal bracelet(5)': ['Abyssal bracelet', '(5)'],
+    'Rune kiteshield (h3)': ['Rune kiteshield', '(h3)'],
+    'Dragon defender (l)(t)': ['Dragon defender', '(l)(t)'],
+    "Ahrim's hood 75": ["Ahrim's hood", '75'],
+    'Crystal bow 3/10': ['Crystal bow', '3/10'],
+    'Crystal bow full': ['Crystal bow', 'full'],
+    'New crystal bow': ['Crystal bow', 'New'],
+    'Dragon dagger(p++)': ['Dragon dagger', '(p++)'],
+    'Abyssal whip': ['Abyssal whip', '']
+  };
+  Object.entries(cases).forEach(([name, [base, variant]]) => {
+    assert.deepEqual(splitVariant(name), { base, variant }, name);
+  });
+});
+
+test('numbers that are part of a name are kept', () => {
+  assert.deepEqual(splitVariant('Dragon Slayer 2 cape'), { base: 'Dragon Slayer 2 cape', variant: '' });
+  assert.deepEqual(splitVariant('(4)'), { base: '(4)', variant: '' });
+});
+
+test('only ornament, locked and trimmed variants are cosmetic', () => {
+  assert.equal(isCosmeticVariant('Amulet of torture (or)'), true);
+  assert.equal(isCosmeticVariant('Fighter torso (l)'), true);
+  assert.equal(isCosmeticVariant('Berserker ring (i)'), false);
+  assert.equal(isCosmeticVariant('Amulet of glory(4)'), false);
+  assert.equal(isCosmeticVariant('Amulet of torture'), false);
+});
+
+test('the shipped items.json is valid', () => {
+  const names = { skills: HISCORE_SKILLS.filter((skill) => skill !== 'overall'), quests: QUESTS.map((quest) => quest.name) };
+  assert.deepEqual(validateItemData(data, names), []);
+});
+
+test('cosmetic variants must match their plain item', () => {
+  const item = (name, bonus, requirements) => ({
+    name,
+    slot: 'neck',
+    requirements,
+    bonuses: [bonus, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+    tags: []
+  });
+  const errors = validateItemData({
+    version: ITEM_DATA_VERSION,
+    items: {
+      1: item('Amulet of torture', 15, { hitpoints: 75 }),
+      2: item('Amulet of torture (or)', 14, {}),
+      3: item('Amulet of glory', 10, {}),
+      4: item('Amulet of glory(4)', 12, {})
+    }
+  });
+  assert.deepEqual(errors, [
+    'items["2"].bonuses: must match Amulet of torture, as Amulet of torture (or) is cosmetic',
+    'items["2"].requirements: must match Amulet of torture, as Amulet of torture (or) is cosmetic'
+  ]);
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_INVENTORY_SIZE, CURRENT_GEAR_LOADOUT, addInventoryItem, getStyleLoadouts, normalizeLoadouts } from '../lib/loadouts.mjs';
+
+test('loadouts from a profile are tidied and checked', () => {
+  assert.deepEqual(normalizeLoadouts([{ name: ' Mage ', style: 'magic', gear: { weapon: 22323, head: '' } }]), [
+    { name: 'Mage', style: 'magic', gear: { weapon: '22323' }, inventory: [] }
+  ]);
+  assert.throws(() => normalizeLoadouts([{ name: 'Mage', style: 'magic' }, { name: 'Mage', style: 'ranged' }]), /duplicate loadout name "Mage"/);
+  assert.throws(() => normalizeLoadouts([{ name: 'Mage', style: 'prayer' }]), /loadouts\[0\]\.style must be one of/);
+});
+
+test('an inventory holds at most 28 items', () => {
+  const full = new Array(MAX_INVENTORY_SIZE).fill('12695');
+  assert.throws(() => addInventoryItem(full, '12926'), /at most 28 items/);
+  assert.deepEqual(addInventoryItem([], 12926), ['12926']);
+});
+
+test('players without loadouts are checked on their current gear', () => {
+  const player = { gear: { weapon: '4151' }, inventory: ['12926'], loadouts: [] };
+  assert.deepEqual(getStyleLoadouts(player, 'melee'), [
+    { name: CURRENT_GEAR_LOADOUT, style: 'melee', gear: { weapon: '4151' }, inventory: ['12926'] }
+  ]);
+  const mage = { name: 'Mage', style: 'magic', gear: {}, inventory: [] };
+  assert.deepEqual(getStyleLoadouts({ ...player, loadouts: [mage] }, 'melee'), []);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeOwnedItems, suggestBestInSlot } from '../lib/owned.mjs';
+
+// Bonus order is BONUS_KEYS: slash attack is [1], melee strength [10].
+const weapon = (name, attack, slash, strength, tags = []) => ({
+  name,
+  slot: 'weapon',
+  requirements: { attack },
+  bonuses: [0, slash, 0, 0, 0, 0, 0, 0, 0, 0, strength, 0, 0, 0],
+  tags
+});
+
+const items = {
+  1: weapon('Iron scimitar', 1, 10, 9),
+  2: weapon('Rune scimitar', 40, 45, 44),
+  3: weapon('Dragon scimitar', 60, 67, 66, ['spec weapon']),
+  4: weapon('Abyssal whip', 70, 82, 82),
+  5: weapon('Ghrazi rapier', 80, 94, 89)
+};
+
+const raid = { name: 'Test raid', requirements: { gear: [{ tag: 'spec weapon' }] } };
+const player = { attack: 75, quests: [], gear: {}, inventory: [], loadouts: [], owned: ['1'] };
+
+test('the next upgrade is the smallest step up the player can equip', () => {
+  const { slots } = suggestBestInSlot(raid, 'melee', player, { items });
+  const weaponSlot = slots.find((slot) => slot.slot === 'weapon');
+  assert.equal(weaponSlot.id, '1');
+  assert.equal(weaponSlot.next.item.name, 'Rune scimitar');
+});
+
+test("items the player can't equip are never suggested", () => {
+  const { slots } = suggestBestInSlot(raid, 'melee', { ...player, owned: ['4', '5'] }, { items });
+  const weaponSlot = slots.find((slot) => slot.slot === 'weapon');
+  // The rapier needs 80 Attack, so the whip is worn and nothing is next
+  assert.equal(weaponSlot.item.name, 'Abyssal whip');
+  assert.equal(weaponSlot.next, null);
+});
+
+test('items a gear rule asks for are carried as switches', () => {
+  const { gear, inventory, rules } = suggestBestInSlot(raid, 'melee', { ...player, owned: ['3', '4'] }, { items });
+  assert.deepEqual(gear, { weapon: '4' });
+  assert.deepEqual(inventory, ['3']);
+  assert.deepEqual(
+    rules.map(({ passedNow, passedWithSetup }) => ({ passedNow, passedWithSetup })),
+    [{ passedNow: false, passedWithSetup: true }]
+  );
+});
+
+test('owned lists from outside the app are tidied', () => {
+  assert.deepEqual(normalizeOwnedItems([4151, '4151', '', null, '11785']), ['4151', '11785']);
+  assert.throws(() => normalizeOwnedItems('4151'), /owned must be an array/);
+});
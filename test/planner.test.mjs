@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { XP_TABLE, getXpBetween, planRaid, rankLockedRaids } from '../lib/planner.mjs';
+
+const player = { combat: 90, attack: 70, strength: 70, ranged: 60, magic: 80, quests: [], gear: {}, killCounts: {} };
+
+test('the XP table matches the game', () => {
+  assert.equal(XP_TABLE[1], 0);
+  assert.equal(XP_TABLE[2], 83);
+  assert.equal(XP_TABLE[92], 6517253);
+  assert.equal(XP_TABLE[99], 13034431);
+});
+
+test('XP between levels', () => {
+  assert.equal(getXpBetween(70, 75), 1210421 - 737627);
+  assert.equal(getXpBetween(null, 10), 1154);
+  assert.equal(getXpBetween(80, 75), 0);
+  assert.equal(getXpBetween(98, 120), 13034431 - 11805606);
+});
+
+test('quest levels are trained before the quest and not twice', () => {
+  const raid = { name: 'Test', requirements: { stats: { magic: 60, ranged: 70 }, quests: ['Desert Treasure I'] } };
+  const plan = planRaid(raid, { ...player, magic: 40 });
+  const steps = plan.steps.map((step) => (step.type === 'skill' ? `${step.skill} ${step.to}` : step.quest));
+  assert.ok(steps.indexOf('magic 50') < steps.indexOf('Desert Treasure I'));
+  assert.ok(steps.includes('magic 60'));
+  assert.equal(steps.filter((step) => step === 'ranged 70').length, 1);
+  assert.equal(plan.xp, plan.steps.reduce((sum, step) => sum + (step.xp || 0), 0));
+});
+
+test('the cheaper option of an any group is planned', () => {
+  const raid = { name: 'Test', requirements: { any: [{ stats: { ranged: 90 } }, { stats: { magic: 85 } }] } };
+  const [step] = planRaid(raid, player).steps;
+  assert.deepEqual([step.skill, step.from, step.to], ['magic', 80, 85]);
+  assert.equal(step.xp, getXpBetween(80, 85));
+});
+
+test('locked raids are ranked closest first and unlocked ones left out', () => {
+  const raids = [
+    { name: 'Far', requirements: { stats: { ranged: 90 } } },
+    { name: 'Open', requirements: { stats: { attack: 60 } } },
+    { name: 'Near', requirements: { stats: { ranged: 65 } } }
+  ];
+  assert.deepEqual(rankLockedRaids(raids, player).map((plan) => plan.raid.name), ['Near', 'Far']);
+});
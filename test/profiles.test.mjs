@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROFILE_VERSION, migrateProfile, parseProfileStore, importProfile } from '../lib/profiles.mjs';
+
+test('saved profiles from a newer version are refused, even with none inside', () => {
+  const saved = JSON.stringify({ version: PROFILE_VERSION + 1, active: null, profiles: [] });
+  assert.throws(() => parseProfileStore(saved), /newer version/);
+});
+
+test('saved profiles without a version are refused', () => {
+  assert.throws(() => parseProfileStore(JSON.stringify({ profiles: [] })), /Unknown profile version/);
+});
+
+test('damaged saves are refused rather than read as empty', () => {
+  assert.throws(() => parseProfileStore('{broken'), SyntaxError);
+});
+
+// The single profile saved before named profiles, at version 1.
+const legacyProfile = { attack: 70, strength: 70, quests: ['Regicide'], gear: { weapon: '4151' } };
+
+test('migrations bring a version 1 profile up to date', () => {
+  const migrated = migrateProfile(legacyProfile, 1);
+  assert.equal(migrated.mode, 'main');
+  assert.deepEqual(migrated.quests, ['Regicide']);
+  assert.deepEqual(migrateProfile(migrated, PROFILE_VERSION), migrated);
+});
+
+test('version 2 profiles gain empty loadouts and inventory', () => {
+  const migrated = migrateProfile({ ...legacyProfile, mode: 'ironman' }, 2);
+  assert.equal(migrated.mode, 'ironman');
+  assert.deepEqual(migrated.inventory, []);
+  assert.deepEqual(migrated.loadouts, []);
+  assert.deepEqual(migrated.gear, legacyProfile.gear);
+});
+
+test('version 3 profiles gain an empty owned list', () => {
+  const saved = { ...legacyProfile, mode: 'main', inventory: ['12926'], loadouts: [] };
+  assert.deepEqual(migrateProfile(saved, 3), { ...saved, owned: [] });
+});
+
+test('a single-profile save becomes the Main profile', () => {
+  const store = parseProfileStore(null, JSON.stringify(legacyProfile));
+  assert.equal(store.version, PROFILE_VERSION);
+  assert.equal(store.active, 'Main');
+  assert.deepEqual(store.profiles[0].profile, migrateProfile(legacyProfile, 1));
+});
+
+test('imported bare profiles are migrated and named after the file', () => {
+  const { name, profile } = importProfile(legacyProfile, 'alt');
+  assert.equal(name, 'alt');
+  assert.equal(profile.mode, 'main');
+  assert.equal(profile.attack, 70);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QUESTS, getQuest, getQuestPrerequisites, findMissingQuestPrerequisites } from '../lib/quests.mjs';
+
+test('every prerequisite is a known quest and no quest needs itself', () => {
+  QUESTS.forEach((quest) => {
+    quest.quests.forEach((prereq) => assert.ok(getQuest(prereq), `${quest.name} needs unknown quest ${prereq}`));
+    assert.ok(!getQuestPrerequisites(quest.name).includes(quest.name), `${quest.name} depends on itself`);
+  });
+});
+
+test('prerequisites are listed after their own prerequisites', () => {
+  const chain = getQuestPrerequisites('Desert Treasure I');
+  assert.ok(chain.includes('Priest in Peril'));
+  chain.forEach((name, i) => {
+    getQuest(name).quests.forEach((prereq) => assert.ok(chain.indexOf(prereq) < i, `${prereq} comes after ${name}`));
+  });
+  assert.deepEqual(getQuestPrerequisites("Cook's Assistant"), []);
+});
+
+test('old quest names still resolve', () => {
+  assert.equal(getQuest('Dragon Slayer').name, 'Dragon Slayer I');
+  assert.deepEqual(getQuestPrerequisites('Desert Treasure'), getQuestPrerequisites('Desert Treasure I'));
+});
+
+test('completed quests report the direct prerequisites they are missing', () => {
+  const done = ['Desert Treasure I', ...getQuestPrerequisites('Desert Treasure I')].filter((name) => name !== 'Waterfall Quest');
+  assert.deepEqual(findMissingQuestPrerequisites(done), [{ quest: 'Desert Treasure I', quests: ['Waterfall Quest'], skills: [] }]);
+});
+
+test('skill levels are only checked when they are known', () => {
+  const done = ['Desert Treasure I', ...getQuestPrerequisites('Desert Treasure I')];
+  assert.deepEqual(findMissingQuestPrerequisites(done), []);
+  const [problem] = findMissingQuestPrerequisites(done, { magic: 45, thieving: 60 });
+  assert.deepEqual(problem.skills, [{ skill: 'magic', required: 50, current: 45 }]);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { HISCORE_SKILLS, HISCORE_ACTIVITIES } from '../lib/hiscores.mjs';
+import { QUESTS } from '../lib/quests.mjs';
+import { RAID_DATA_VERSION, validateRaidData } from '../lib/raid-data.mjs';
+
+const names = {
+  skills: HISCORE_SKILLS.filter((skill) => skill !== 'overall'),
+  quests: QUESTS.map((quest) => quest.name),
+  activities: HISCORE_ACTIVITIES
+};
+
+function raidsWith(requirements) {
+  return {
+    version: RAID_DATA_VERSION,
+    raids: [
+      {
+        name: 'Test raid',
+        guide: 'https://example.com',
+        category: 'raid',
+        styles: ['melee'],
+        groupSize: { min: 1, max: 5 },
+        requirements
+      }
+    ]
+  };
+}
+
+test('the shipped raids.json is valid', () => {
+  const data = JSON.parse(readFileSync(new URL('../data/raids.json', import.meta.url), 'utf8'));
+  assert.deepEqual(validateRaidData(data, names), []);
+});
+
+test('unknown stats, quests and activities are reported', () => {
+  const errors = validateRaidData(raidsWith({
+    stats: { cooking: 50, slaying: 80 },
+    quests: ['Dragon Slayer II', 'Dragon Slayer 3'],
+    kc: { 'Chambers of Zeah': 1 }
+  }), names);
+  assert.deepEqual(errors, [
+    'raids[0] (Test raid).requirements.stats: unknown stat "slaying"',
+    'raids[0] (Test raid).requirements.quests[1]: unknown quest "Dragon Slayer 3"',
+    'raids[0] (Test raid).requirements.kc: unknown hiscores activity "Chambers of Zeah"'
+  ]);
+});
+
+test('unknown requirement keys and an unsupported version are reported', () => {
+  const data = raidsWith({ combat: 100, gold: 1 });
+  data.version = RAID_DATA_VERSION + 1;
+  const errors = validateRaidData(data, names);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /^Unsupported raid data version/);
+  assert.match(errors[1], /requirements: unknown requirement "gold"/);
+});
+
+test('gear rules are only checked against items when names are given', () => {
+  const data = raidsWith({ gear: [{ item: 20997 }, { tag: 'spec weapon', slot: 'weapon' }] });
+  assert.deepEqual(validateRaidData(data, names), []);
+  assert.deepEqual(validateRaidData(data, { ...names, items: [11785], tags: ['spec weapon'], slots: ['hands'] }), [
+    'raids[0] (Test raid).requirements.gear[0].item: unknown item id 20997',
+    'raids[0] (Test raid).requirements.gear[1].slot: unknown slot "weapon"'
+  ]);
+});
+
+test('gear rules name exactly one item, tag or bonus', () => {
+  const errors = validateRaidData(raidsWith({ gear: ['Twisted bow', { item: 20997, tag: 'bow' }] }), names);
+  assert.deepEqual(errors, [
+    'raids[0] (Test raid).requirements.gear[0]: gear rule must be an object with "item", "tag" or "bonus"',
+    'raids[0] (Test raid).requirements.gear[1]: gear rule must have exactly one of "item", "tag" or "bonus"'
+  ]);
+});
+
+test('every entry says what kind of content it is and who can do it', () => {
+  const data = raidsWith({ combat: 100 });
+  Object.assign(data.raids[0], { category: 'dungeon', styles: ['ranged', 'ranged'], groupSize: { min: 3, max: 2 } });
+  assert.deepEqual(validateRaidData(data, { ...names, categories: ['raid', 'boss'], styles: ['ranged'] }), [
+    'raids[0] (Test raid).category: unknown category "dungeon"',
+    'raids[0] (Test raid).styles[1]: duplicate style "ranged"',
+    'raids[0] (Test raid).groupSize.max: must be a whole number of at least 3'
+  ]);
+});
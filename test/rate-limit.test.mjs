@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import rateLimit from '../server/rate-limit.js';
+
+const { createRateLimiter } = rateLimit;
+
+// Just enough of an Express response for the middleware.
+function fakeResponse() {
+  return {
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+    }
+  };
+}
+
+test('each address gets its own allowance per window', (t) => {
+  t.mock.timers.enable({ apis: ['Date', 'setInterval'] });
+  const refused = [];
+  const limiter = createRateLimiter({ max: 2, windowMs: 60000, onLimit: (req) => refused.push(req.ip) });
+  const call = (ip) => {
+    let passed = false;
+    const res = fakeResponse();
+    limiter({ ip }, res, () => {
+      passed = true;
+    });
+    return { passed, res };
+  };
+
+  assert.equal(call('1.1.1.1').passed, true);
+  assert.equal(call('1.1.1.1').res.headers['X-RateLimit-Remaining'], '0');
+  const third = call('1.1.1.1');
+  assert.equal(third.passed, false);
+  assert.equal(third.res.headers['Retry-After'], '60');
+  assert.equal(call('2.2.2.2').passed, true);
+  assert.deepEqual(refused, ['1.1.1.1']);
+
+  t.mock.timers.tick(60000);
+  assert.equal(call('1.1.1.1').passed, true);
+});
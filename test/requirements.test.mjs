@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluateTiers, getTierRequirements } from '../lib/requirements.mjs';
+
+const raid = {
+  name: 'Test raid',
+  requirements: { combat: 50, gear: [] },
+  tiers: [
+    { name: 'Recommended', requirements: { prayer: 70, gear: [{ tag: 'spec weapon' }] } },
+    { name: 'Optimal', requirements: { prayer: 77 } }
+  ],
+  overrides: [{ modes: ['ironman'], requirements: { prayer: 43, gear: [] } }]
+};
+
+const player = { combat: 80, prayer: 60, attack: 70, quests: [], gear: {} };
+
+test('mode overrides replace the keys a tier sets', () => {
+  assert.deepEqual(getTierRequirements(raid, raid.tiers[0], 'ironman'), { prayer: 43, gear: [] });
+  assert.deepEqual(getTierRequirements(raid, raid.tiers[0], 'main'), raid.tiers[0].requirements);
+});
+
+test("mode overrides don't add keys a tier leaves out", () => {
+  const tier = { name: 'Kill count', requirements: { kc: { 'Test raid': 5 } } };
+  assert.deepEqual(getTierRequirements(raid, tier, 'ironman'), tier.requirements);
+});
+
+test("evaluateTiers checks tiers with the player's mode overrides", () => {
+  assert.equal(evaluateTiers(raid, { ...player, mode: 'main' }).reached, 'Entry');
+  const ironman = evaluateTiers(raid, { ...player, mode: 'ironman' });
+  assert.equal(ironman.reached, 'Optimal');
+  assert.deepEqual(ironman.tiers.map((tier) => tier.passed), [true, true, true]);
+});
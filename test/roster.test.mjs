@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildRosterMatrix, rosterToCsv } from '../lib/roster.mjs';
+
+const raids = [
+  {
+    name: 'Gear raid',
+    requirements: {
+      combat: 90,
+      gear: [{ tag: 'spec weapon' }],
+      any: [{ gear: [{ tag: 'salve', slot: 'neck' }] }, { gear: [{ tag: 'dragonbane', slot: 'weapon' }] }]
+    }
+  },
+  { name: 'Stats raid', requirements: { combat: 90, gear: [], any: [{ stats: { ranged: 70 } }, { stats: { magic: 70 } }] } }
+];
+
+const member = { combat: 100, ranged: 80, magic: 1, quests: [], gear: {} };
+
+test("roster members aren't locked out by gear rules", () => {
+  const [row] = buildRosterMatrix(raids, [{ name: 'Zezima', player: member }], { items: {} }).rows;
+  assert.deepEqual(
+    row.cells.map(({ unlocked, gearUnchecked }) => ({ unlocked, gearUnchecked })),
+    [{ unlocked: true, gearUnchecked: true }, { unlocked: true, gearUnchecked: false }]
+  );
+});
+
+test('stat rules are still checked', () => {
+  const [row] = buildRosterMatrix(raids, [{ name: 'Zezima', player: { ...member, combat: 50 } }]).rows;
+  assert.deepEqual(row.cells[0].missing, ['Combat 90+ required (current 50)']);
+});
+
+test("the CSV marks raids whose gear wasn't checked", () => {
+  const csv = rosterToCsv(buildRosterMatrix(raids, [{ name: 'Zezima', player: member }]));
+  assert.equal(csv.split('\r\n')[1], 'Zezima,,unlocked (gear not checked),unlocked');
+});
+
+test('CSV fields that a spreadsheet would run as formulas are kept as text', () => {
+  const csv = rosterToCsv({ raids: [], rows: [{ name: '=HYPERLINK("x")', error: '@SUM(A1)', cells: [] }] });
+  assert.equal(csv.split('\r\n')[1], `"'=HYPERLINK(""x"")",'@SUM(A1)`);
+});
+
+test('gear rules in game mode overrides are left out too', () => {
+  const raid = {
+    name: 'Ironman raid',
+    requirements: { combat: 90 },
+    overrides: [{ modes: ['ironman'], requirements: { gear: [{ tag: 'spec weapon' }] } }]
+  };
+  const [row] = buildRosterMatrix([raid], [{ name: 'Iron Zezima', player: { ...member, mode: 'ironman' } }]).rows;
+  assert.deepEqual(row.cells[0], { raid: 'Ironman raid', unlocked: true, missing: [], gearUnchecked: true });
+});
+
+test('loadout rules are left out like gear rules', () => {
+  const raid = { name: 'Loadout raid', requirements: { combat: 90, loadouts: { magic: [{ bonus: 'magicAttack', min: 60 }] } } };
+  const [row] = buildRosterMatrix([raid], [{ name: 'Zezima', player: member }]).rows;
+  assert.deepEqual(row.cells[0], { raid: 'Loadout raid', unlocked: true, missing: [], gearUnchecked: true });
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { parseRuneLiteExport, mapRuneLiteItems, describeUnmapped } from '../lib/runelite.mjs';
+
+const { items } = JSON.parse(readFileSync(new URL('../data/items.json', import.meta.url), 'utf8'));
+
+test('equipment lists and slot-keyed objects are read', () => {
+  assert.deepEqual(parseRuneLiteExport('[10828, null, -1, { "id": 4151, "quantity": 1 }]'), {
+    kind: 'equipment',
+    name: '',
+    worn: ['10828', '4151'],
+    carried: []
+  });
+  assert.deepEqual(parseRuneLiteExport('{ "HEAD": 10828, "AMULET": { "id": 6585 } }').worn, ['10828', '6585']);
+});
+
+test('inventory setups are read in the current and older shape', () => {
+  const current = parseRuneLiteExport('{ "setup": { "name": "Cox", "eq": [{ "id": 20997 }], "inv": [{ "id": 385 }, null] } }');
+  assert.deepEqual(current, { kind: 'setup', name: 'Cox', worn: ['20997'], carried: ['385'] });
+  const older = parseRuneLiteExport('{ "name": "Cox", "equipment": [{ "id": 20997 }], "inventory": [] }');
+  assert.deepEqual(older, { kind: 'setup', name: 'Cox', worn: ['20997'], carried: [] });
+});
+
+test('bank tags are read with and without the format header', () => {
+  const expected = { kind: 'bank tag', name: 'cox', worn: [], carried: ['4151', '12954'] };
+  assert.deepEqual(parseRuneLiteExport('banktags,1,cox,20997,4151,12954,layout,0,4151'), expected);
+  assert.deepEqual(parseRuneLiteExport('cox,20997,4151,12954'), expected);
+});
+
+test('text that is no export is refused', () => {
+  assert.throws(() => parseRuneLiteExport('  '), /Paste a RuneLite export first/);
+  assert.throws(() => parseRuneLiteExport('{ broken'), /not valid JSON/);
+  assert.throws(() => parseRuneLiteExport('{ "bank": [] }'), /no equipment, inventory setup or bank tag/);
+  assert.throws(() => parseRuneLiteExport('hello there'), /not a RuneLite/);
+});
+
+test('items are placed by slot and the rest are carried or reported', () => {
+  const parsed = { kind: 'setup', name: '', worn: ['20997', '12954', '10828', '385'], carried: ['4151', '385'] };
+  const { gear, inventory, unmapped } = mapRuneLiteItems(parsed, items);
+  // The defender can't be worn with a two-handed bow
+  assert.deepEqual(gear, { weapon: '20997', head: '10828' });
+  assert.deepEqual(inventory, ['12954', '4151']);
+  assert.deepEqual(unmapped, [{ id: '385', count: 2, reason: 'unknown' }]);
+  assert.deepEqual(describeUnmapped(unmapped, items), ['Item 385 ×2: not in the item database']);
+});
+
+test('a bank tag wears the first item for each slot', () => {
+  const { gear, inventory } = mapRuneLiteItems(parseRuneLiteExport('cox,0,4151,11785,12954'), items);
+  assert.deepEqual(gear, { weapon: '4151', shield: '12954' });
+  assert.deepEqual(inventory, ['11785']);
+});
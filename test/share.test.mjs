@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QUESTS } from '../lib/quests.mjs';
+import { SHARE_VERSION, SHARE_QUEST_IDS, encodeSharedPlayer, decodeSharedPlayer } from '../lib/share.mjs';
+
+const player = {
+  mode: 'ironman',
+  combat: 100,
+  attack: 80,
+  magic: 94,
+  quests: ['Dragon Slayer II', 'Regicide'],
+  gear: { weapon: '4151', ammo: '11212' },
+  inventory: ['12926', '11785'],
+  loadouts: [
+    { name: 'Mage ✨', style: 'magic', gear: { weapon: '22323', head: '21018' }, inventory: ['12695'] },
+    { name: 'Tank', style: 'tank', gear: {}, inventory: [] }
+  ],
+  killCounts: { Vorkath: 50 }
+};
+
+test('every quest has exactly one share id', () => {
+  assert.equal(new Set(SHARE_QUEST_IDS).size, SHARE_QUEST_IDS.length);
+  QUESTS.forEach((quest) => assert.ok(SHARE_QUEST_IDS.includes(quest.name), `${quest.name} has no share id`));
+});
+
+test('share links round-trip stats, quests, gear and kill counts', () => {
+  const value = encodeSharedPlayer(player);
+  assert.ok(value.startsWith(`${SHARE_VERSION}.`));
+  const { player: shared, dropped } = decodeSharedPlayer(value);
+  assert.deepEqual(dropped, []);
+  assert.equal(shared.mode, 'ironman');
+  assert.equal(shared.magic, 94);
+  assert.deepEqual(shared.quests.sort(), player.quests.sort());
+  assert.deepEqual(shared.gear, player.gear);
+  assert.deepEqual(shared.killCounts, player.killCounts);
+});
+
+test('share links carry loadouts and inventory switches', () => {
+  const { player: shared, dropped } = decodeSharedPlayer(encodeSharedPlayer(player));
+  assert.deepEqual(dropped, []);
+  assert.deepEqual(shared.inventory, player.inventory);
+  assert.deepEqual(shared.loadouts, player.loadouts);
+});
+
+test('version 1 links still open, without loadouts', () => {
+  // Made by the version 1 encoder from `player` above, before The Frozen
+  // Door was added to the quest list
+  const { player: shared, dropped } = decodeSharedPlayer(
+    '1.AWQYUAAAAAAAXgAAAAAAAAAAAAAAAAAAAAAAFgAAAAAAAAIAAAAAAAAAAAABAAAAAACQCLcgzFdhIgFSMg'
+  );
+  assert.deepEqual(dropped, []);
+  assert.equal(shared.mode, 'ironman');
+  assert.equal(shared.magic, 94);
+  assert.deepEqual(shared.quests.sort(), player.quests.sort());
+  assert.deepEqual(shared.gear, player.gear);
+  assert.deepEqual(shared.killCounts, player.killCounts);
+  assert.deepEqual(shared.inventory, []);
+  assert.deepEqual(shared.loadouts, []);
+});
+
+test('quests this version has no id for are reported, the rest restored', () => {
+  // Rewrite the quest bitset as a version with one more quest would, with
+  // that quest and the first one done. Mode, combat and every level take
+  // one byte each, so the bitset's length is right after the levels.
+  const [version, payload] = encodeSharedPlayer({ ...player, quests: [] }).split('.');
+  const bytes = Array.from(Buffer.from(payload, 'base64url'));
+  const questAt = 3 + bytes[2];
+  const questBits = new Array(Math.ceil((SHARE_QUEST_IDS.length + 1) / 8)).fill(0);
+  questBits[0] |= 1;
+  questBits[SHARE_QUEST_IDS.length >> 3] |= 1 << (SHARE_QUEST_IDS.length & 7);
+  bytes.splice(questAt, 1 + bytes[questAt], questBits.length, ...questBits);
+
+  const { player: shared, dropped } = decodeSharedPlayer(`${version}.${Buffer.from(bytes).toString('base64url')}`);
+  assert.deepEqual(dropped, ['quests']);
+  assert.deepEqual(shared.quests, [SHARE_QUEST_IDS[0]]);
+  assert.equal(shared.magic, 94);
+});
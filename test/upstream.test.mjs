@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import upstream from '../server/upstream.js';
+
+const { fetchTextWithRetry } = upstream;
+
+const options = { timeoutMs: 50, retries: 2, backoffMs: 1 };
+
+// A fetch that answers with the given statuses in turn, or hangs for null.
+function fakeFetch(statuses) {
+  const fetch = (url, { signal }) => {
+    const status = statuses[fetch.calls++];
+    if (status === null) {
+      return new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      });
+    }
+    return Promise.resolve({ status, ok: status === 200, text: async () => 'stats' });
+  };
+  fetch.calls = 0;
+  return fetch;
+}
+
+test('upstream errors and timeouts are retried', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const fetch = fakeFetch([503, null, 200]);
+  assert.equal(await fetchTextWithRetry('https://example.com', { ...options, fetch }), 'stats');
+  assert.equal(fetch.calls, 3);
+});
+
+test('the last failure is reported once retries run out', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const fetch = fakeFetch([503, 503, null]);
+  await assert.rejects(fetchTextWithRetry('https://example.com', { ...options, fetch }), { code: 'upstream-timeout' });
+  assert.equal(fetch.calls, 3);
+});
+
+test('a missing player is not retried', async () => {
+  const fetch = fakeFetch([404]);
+  await assert.rejects(fetchTextWithRetry('https://example.com', { ...options, fetch }), { code: 'not-found' });
+  assert.equal(fetch.calls, 1);
+});